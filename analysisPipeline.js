@@ -0,0 +1,129 @@
+/**
+ * Main-thread side of the live analysis: runs liveAnalysis.js in a worker
+ */
+import { createLiveAnalysis } from './liveAnalysis.js'
+
+/**
+ * Creates the live analysis pipeline. Analysis runs in a module worker; if
+ * one cannot be created, or it fails, it runs on the main thread with the
+ * same interface and the settings sent so far.
+ * @param {Object} handlers - The result callbacks.
+ * @param {Function} handlers.onFrames - Called with `{db, time}` frames and their layout.
+ * @param {Function} handlers.onNotes - Called with tracked notes, times in seconds on the analysis clock.
+ * @param {Function} [handlers.onKey] - Called with the key estimate when it changes, see `estimateKey`.
+ * @param {Function} [handlers.onChords] - Called with recognized chord segments, times on the analysis clock.
+ * @param {Function} [handlers.onOnsets] - Called with onset times on the analysis clock, see `createOnsetDetector`.
+ * @param {Function} [handlers.onTempo] - Called with the tempo estimate of the recent input, see `createTempoTracker`.
+ * @param {Function} [handlers.onTuner] - Called with the latest tuner reading while the tuner is on, see `createTuner`.
+ * @param {Function} [handlers.onFallback] - Called when a failed worker was replaced by the main
+ *   thread; an input connected with `connectInput` went with the worker and needs connecting again.
+ * @returns {Object} The pipeline with `configure`, `configureTracking`, `setTunerEnabled`, `reset`, `push` and `connectInput`.
+ */
+export function createAnalysisPipeline ({ onFrames, onNotes, onKey, onChords, onOnsets, onTempo, onTuner, onFallback }) {
+  let worker = null
+  let localAnalysis = null
+  // The latest settings messages, replayed when the worker fails
+  const analysisSettings = {}
+  const state = {}
+
+  const handleResult = (message) => {
+    if (message.type === 'frames') onFrames(message.frames, message.layout)
+    if (message.type === 'notes') onNotes(message.notes)
+    if (message.type === 'key' && onKey) onKey(message.key)
+    if (message.type === 'chords' && onChords) onChords(message.chords)
+    if (message.type === 'onsets' && onOnsets) onOnsets(message.onsets)
+    if (message.type === 'tempo' && onTempo) onTempo(message.tempo)
+    if (message.type === 'tuner' && onTuner) onTuner(message.reading)
+  }
+
+  try {
+    worker = new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = (event) => handleResult(event.data)
+    worker.onerror = (event) => {
+      console.error('Analysis worker error, analyzing on the main thread:', event.message)
+      worker.terminate()
+      worker = null
+      localAnalysis = createLiveAnalysis(handleResult)
+      for (const message of [state.configure, state.reset, state.tracking, state.tuner]) {
+        if (message) localAnalysis.handleMessage(message)
+      }
+      if (onFallback) onFallback()
+    }
+  } catch (err) {
+    console.warn('Analysis worker unavailable, analyzing on the main thread:', err)
+    localAnalysis = createLiveAnalysis(handleResult)
+  }
+
+  function send (message, transfer = []) {
+    if (message.type === 'configure') {
+      Object.assign(analysisSettings, message.analysis)
+      state.configure = { type: 'configure', analysis: { ...analysisSettings } }
+    } else if (message.type !== 'samples') {
+      state[message.type] = message
+    }
+
+    if (worker) {
+      worker.postMessage(message, transfer)
+    } else {
+      localAnalysis.handleMessage(message)
+    }
+  }
+
+  /**
+   * Updates the analyzer settings.
+   * @param {Object} settings - See `createSpectrumAnalyzer`.
+   */
+  function configure (settings) {
+    send({ type: 'configure', analysis: settings })
+  }
+
+  /**
+   * Sets the note tracking mode and thresholds.
+   * @param {string} mode - 'off', 'melody' or 'polyphonic'.
+   * @param {Object} settings - Thresholds of both trackers.
+   */
+  function configureTracking (mode, settings) {
+    send({ type: 'tracking', mode, settings })
+  }
+
+  /**
+   * Turns the tuner on or off.
+   * @param {boolean} enabled - Whether tuner readings are wanted.
+   */
+  function setTunerEnabled (enabled) {
+    send({ type: 'tuner', enabled })
+  }
+
+  /**
+   * Restarts the analysis clock for a new input.
+   * @param {number} sampleRate - The input sample rate.
+   */
+  function reset (sampleRate) {
+    send({ type: 'reset', sampleRate })
+  }
+
+  /**
+   * Analyzes samples captured on the main thread.
+   * @param {Float32Array} samples - Mono samples; they are copied.
+   */
+  function push (samples) {
+    if (samples.length === 0) return
+    const copy = samples.slice()
+    send({ type: 'samples', samples: copy }, [copy.buffer])
+  }
+
+  /**
+   * Connects a port delivering sample blocks, e.g. from the capture worklet.
+   * Blocks go straight to the worker.
+   * @param {MessagePort} port - The port.
+   */
+  function connectInput (port) {
+    if (worker) {
+      worker.postMessage({ type: 'input', port }, [port])
+    } else {
+      port.onmessage = (event) => localAnalysis.handleMessage({ type: 'samples', samples: event.data })
+    }
+  }
+
+  return { configure, configureTracking, setTunerEnabled, reset, push, connectInput }
+}
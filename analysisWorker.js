@@ -0,0 +1,21 @@
+/**
+ * Worker running the live analysis, see liveAnalysis.js. Besides the
+ * analysis messages it accepts `{ type: 'input', port }`: a MessagePort
+ * delivering sample blocks straight from the capture worklet.
+ */
+import { createLiveAnalysis } from './liveAnalysis.js'
+
+const analysis = createLiveAnalysis((message, transfer) => self.postMessage(message, transfer))
+let inputPort = null
+
+self.onmessage = (event) => {
+  const message = event.data
+  if (message.type !== 'input') {
+    analysis.handleMessage(message)
+    return
+  }
+
+  if (inputPort) inputPort.close()
+  inputPort = message.port
+  inputPort.onmessage = (blockEvent) => analysis.handleMessage({ type: 'samples', samples: blockEvent.data })
+}
@@ -1,20 +1,33 @@
 let audioContext
 let analyser
-let dataArray
+let captureBuffer
 let source
 let isRunning = false
+let lastReadTime = 0
 
-// Update the FFT size constants
-const FFT_SIZES = [2048, 4096, 8192, 16384, 32768]
-const DEFAULT_FFT_SIZE = 2048
+// Capture through an AudioWorklet where supported; the analyser is the fallback
+let captureNode = null
+let captureModule = null
+
+// Playback of a loaded file
+let playbackBuffer = null
+let playbackSource = null
+let playbackOffset = 0 // file position when playback (re)started or paused
+let playbackStartTime = 0 // audioContext time when playback started
+let loopRegion = null
+
+// Without AudioWorklet support the analyser serves as a capture buffer; analysis
+// happens in stftAnalyzer.js. Its largest size holds ~0.7 s at 48 kHz, so reads may
+// be that far apart without gaps.
+const CAPTURE_BUFFER_SIZE = 32768
 
 /**
  * Initializes the audio context and analyzer.
- * @returns {Object} An object containing the analyser and dataArray.
+ * @returns {Object} An object containing the analyser and audioContext.
  */
 export function initAudio () {
   // We'll create the AudioContext here, but not start it yet
-  return { analyser: null, dataArray: null, audioContext: null }
+  return { analyser: null, audioContext: null }
 }
 
 /**
@@ -29,6 +42,20 @@ export function toggleAudio () {
   }
 }
 
+/**
+ * Creates the shared AudioContext on first use.
+ * @returns {AudioContext} The audio context.
+ */
+function ensureAudioContext () {
+  if (!audioContext) {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)()
+    analyser = audioContext.createAnalyser()
+    analyser.fftSize = CAPTURE_BUFFER_SIZE
+    captureBuffer = new Float32Array(CAPTURE_BUFFER_SIZE)
+  }
+  return audioContext
+}
+
 /**
  * Starts the audio input.
  * @returns {Promise<boolean>} A promise that resolves to true if the audio input was started successfully.
@@ -43,20 +70,21 @@ function startAudioInput () {
     return Promise.resolve(false)
   }
 
-  if (!audioContext) {
-    audioContext = new (window.AudioContext || window.webkitAudioContext)()
-    analyser = audioContext.createAnalyser()
-    analyser.fftSize = 2048 // Default FFT size, can be changed later
-    dataArray = new Uint8Array(analyser.frequencyBinCount)
-  }
+  ensureAudioContext()
 
   return navigator.mediaDevices.getUserMedia({ audio: true })
     .then(stream => {
       source = audioContext.createMediaStreamSource(stream)
-      source.connect(analyser)
+      return ensureCaptureNode()
+    })
+    .then(node => {
+      source.connect(node || analyser)
       isRunning = true
       return audioContext.resume()
     })
+    .then(() => {
+      lastReadTime = audioContext.currentTime
+    })
     .then(() => {
       console.log('Audio context started successfully')
       return true
@@ -69,7 +97,50 @@ function startAudioInput () {
 }
 
 /**
- * Stops the audio input.
+ * Creates the capture worklet node on first use.
+ * @returns {Promise<AudioWorkletNode|null>} The node, or null without AudioWorklet support.
+ */
+function ensureCaptureNode () {
+  if (!audioContext.audioWorklet) return Promise.resolve(null)
+
+  if (!captureModule) {
+    captureModule = audioContext.audioWorklet.addModule(new URL('./captureProcessor.js', import.meta.url))
+      .then(() => {
+        // One explicit channel downmixes the input; without outputs the node is still processed
+        captureNode = new AudioWorkletNode(audioContext, 'capture-processor', {
+          numberOfInputs: 1,
+          numberOfOutputs: 0,
+          channelCount: 1,
+          channelCountMode: 'explicit'
+        })
+        return captureNode
+      })
+      .catch(err => {
+        console.warn('AudioWorklet capture unavailable, using the analyser:', err)
+        return null
+      })
+  }
+  return captureModule
+}
+
+/**
+ * Opens a channel that receives the captured input from the worklet as
+ * transferred Float32Array blocks of mono samples. A new channel replaces
+ * the previous one.
+ * @returns {MessagePort|null} The receiving port, or null when the input is
+ *   captured with the analyser and read with `readNewSamples` instead.
+ */
+export function openCapturePort () {
+  if (!captureNode) return null
+
+  const channel = new MessageChannel()
+  captureNode.port.postMessage({ type: 'connect', port: channel.port1 }, [channel.port1])
+  return channel.port2
+}
+
+/**
+ * Stops the audio input. The shared audio context is suspended unless a
+ * loaded file is playing on it.
  * @returns {Promise<boolean>} A promise that resolves to false when the audio input is stopped.
  */
 function stopAudioInput () {
@@ -77,26 +148,191 @@ function stopAudioInput () {
 
   source.disconnect()
   isRunning = false
+  if (playbackSource) return Promise.resolve(false)
   return audioContext.suspend().then(() => false)
 }
 
 /**
- * Updates the FFT size of the analyser.
- * @param {number} size - The new FFT size.
- * @returns {Object} The updated analyser and dataArray.
+ * Returns whether the microphone input is running.
+ * @returns {boolean} True while the input is running.
+ */
+export function isAudioInputRunning () {
+  return isRunning
+}
+
+/**
+ * Decodes an audio file (WAV, MP3, OGG, FLAC, ... whatever the browser supports).
+ * @param {File} file - The file to decode.
+ * @returns {Promise<AudioBuffer>} A promise that resolves to the decoded audio.
+ */
+export function loadAudioFile (file) {
+  const context = ensureAudioContext()
+  return file.arrayBuffer().then(data => context.decodeAudioData(data))
+}
+
+/**
+ * Mixes all channels of an audio buffer down to mono.
+ * @param {AudioBuffer} audioBuffer - The decoded audio.
+ * @returns {Float32Array} The mono samples.
  */
-export function updateFFTSize (size) {
-  if (FFT_SIZES.includes(size) && analyser) {
-    analyser.fftSize = size
-    dataArray = new Uint8Array(analyser.frequencyBinCount)
+export function getMonoSamples (audioBuffer) {
+  const mono = new Float32Array(audioBuffer.length)
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel)
+    for (let i = 0; i < data.length; i++) {
+      mono[i] += data[i] / audioBuffer.numberOfChannels
+    }
   }
-  return { analyser, dataArray }
+  return mono
+}
+
+/**
+ * Returns the input samples captured since the previous call. The count is
+ * derived from the audio clock, so it does not depend on how often this is called.
+ * @returns {Float32Array|null} The new samples, or null when the input is stopped
+ *   or captured by the worklet, see `openCapturePort`.
+ */
+export function readNewSamples () {
+  if (!isRunning || captureNode) return null
+
+  const now = audioContext.currentTime
+  const pending = Math.round((now - lastReadTime) * audioContext.sampleRate)
+  const count = Math.min(CAPTURE_BUFFER_SIZE, pending)
+  if (count <= 0) return captureBuffer.subarray(0, 0)
+
+  // Advance by the samples actually read to avoid drifting from rounding;
+  // after a stall longer than the buffer the lost samples are skipped, not
+  // read again later
+  lastReadTime = pending > CAPTURE_BUFFER_SIZE ? now : lastReadTime + count / audioContext.sampleRate
+  analyser.getFloatTimeDomainData(captureBuffer)
+  return captureBuffer.subarray(CAPTURE_BUFFER_SIZE - count)
+}
+
+/**
+ * Sets the decoded file used for playback and rewinds to its start.
+ * @param {AudioBuffer|null} audioBuffer - The decoded audio, or null to unload.
+ */
+export function setPlaybackBuffer (audioBuffer) {
+  stopPlayback()
+  playbackBuffer = audioBuffer
+  playbackOffset = 0
+  loopRegion = null
+}
+
+/**
+ * Returns whether a loaded file is currently playing.
+ * @returns {boolean} True while playing.
+ */
+export function isPlaybackActive () {
+  return playbackSource !== null
+}
+
+/**
+ * Starts playback of the loaded file at the current position.
+ * @returns {Promise<boolean>} A promise that resolves to true if playback started.
+ */
+export function startPlayback () {
+  if (!playbackBuffer) return Promise.resolve(false)
+  if (playbackSource) return Promise.resolve(true)
+
+  const context = ensureAudioContext()
+  return context.resume().then(() => {
+    let offset = playbackOffset
+    if (loopRegion && (offset < loopRegion.start || offset >= loopRegion.end)) {
+      offset = loopRegion.start
+    }
+    if (offset >= playbackBuffer.duration) offset = 0
+
+    const node = context.createBufferSource()
+    node.buffer = playbackBuffer
+    applyLoopRegion(node)
+    node.connect(context.destination)
+    node.onended = () => {
+      // Only a source that ran to the end rewinds; stop() clears playbackSource first
+      if (playbackSource === node) {
+        playbackSource = null
+        playbackOffset = 0
+      }
+    }
+
+    playbackOffset = offset
+    playbackStartTime = context.currentTime
+    playbackSource = node
+    node.start(0, offset)
+    return true
+  })
+}
+
+/**
+ * Pauses playback and keeps the current position.
+ */
+export function pausePlayback () {
+  if (!playbackSource) return
+  playbackOffset = getPlaybackPosition()
+  stopPlayback()
+}
+
+/**
+ * Moves the playback position, continuing playback if it was running.
+ * @param {number} time - The new position in seconds.
+ * @returns {Promise<boolean>} A promise that resolves to whether playback is running.
+ */
+export function seekPlayback (time) {
+  if (!playbackBuffer) return Promise.resolve(false)
+
+  const wasPlaying = playbackSource !== null
+  stopPlayback()
+  playbackOffset = Math.max(0, Math.min(playbackBuffer.duration, time))
+  return wasPlaying ? startPlayback() : Promise.resolve(false)
+}
+
+/**
+ * Sets or clears the loop region. A running source is restarted at the same
+ * position, or at the loop start if the position lies outside the new region.
+ * @param {{start: number, end: number}|null} region - The region in seconds, or null.
+ */
+export function setLoopRegion (region) {
+  const wasPlaying = playbackSource !== null
+  if (wasPlaying) pausePlayback()
+  loopRegion = region && region.end > region.start ? { ...region } : null
+  if (wasPlaying) startPlayback()
+}
+
+/**
+ * Returns the current playback position, following the audio clock.
+ * @returns {number} The position in seconds.
+ */
+export function getPlaybackPosition () {
+  if (!playbackSource) return playbackOffset
+
+  const position = playbackOffset + audioContext.currentTime - playbackStartTime
+  if (loopRegion && position >= loopRegion.end) {
+    const length = loopRegion.end - loopRegion.start
+    return loopRegion.start + (position - loopRegion.start) % length
+  }
+  return Math.min(position, playbackBuffer.duration)
+}
+
+function applyLoopRegion (node) {
+  node.loop = loopRegion !== null
+  if (loopRegion) {
+    node.loopStart = loopRegion.start
+    node.loopEnd = loopRegion.end
+  }
+}
+
+function stopPlayback () {
+  if (!playbackSource) return
+  const node = playbackSource
+  playbackSource = null
+  node.stop()
+  node.disconnect()
 }
 
 /**
  * Gets the current audio data.
- * @returns {Object} An object containing the analyser, dataArray, and audioContext.
+ * @returns {Object} An object containing the analyser and audioContext.
  */
 export function getAudioData () {
-  return { analyser, dataArray, audioContext }
+  return { analyser, audioContext }
 }
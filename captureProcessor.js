@@ -0,0 +1,51 @@
+/**
+ * AudioWorklet processor that forwards the input samples in blocks. Runs in
+ * the AudioWorkletGlobalScope, loaded with `audioWorklet.addModule`.
+ *
+ * The node gets a MessagePort to send to (`{ type: 'connect', port }`), so
+ * the samples reach the analysis worker without passing the main thread.
+ * Each message is a Float32Array of mono samples, transferred.
+ */
+
+// Samples per message: 16 render quanta, ~43 ms at 48 kHz
+const BLOCK_SIZE = 2048
+
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor () {
+    super()
+    this.target = null
+    this.block = new Float32Array(BLOCK_SIZE)
+    this.blockLength = 0
+
+    this.port.onmessage = (event) => {
+      if (event.data.type !== 'connect') return
+      if (this.target) this.target.close()
+      this.target = event.data.port
+      this.blockLength = 0
+    }
+  }
+
+  process (inputs) {
+    const channels = inputs[0]
+    if (!this.target || !channels || channels.length === 0) return true
+
+    // The node is created with one channel, so the input arrives downmixed
+    const samples = channels[0]
+    let offset = 0
+    while (offset < samples.length) {
+      const count = Math.min(samples.length - offset, BLOCK_SIZE - this.blockLength)
+      this.block.set(samples.subarray(offset, offset + count), this.blockLength)
+      this.blockLength += count
+      offset += count
+
+      if (this.blockLength === BLOCK_SIZE) {
+        this.target.postMessage(this.block, [this.block.buffer])
+        this.block = new Float32Array(BLOCK_SIZE)
+        this.blockLength = 0
+      }
+    }
+    return true
+  }
+}
+
+registerProcessor('capture-processor', CaptureProcessor)
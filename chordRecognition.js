@@ -0,0 +1,168 @@
+/**
+ * Chord recognition on chroma profiles: the frames of each segment are summed
+ * and matched against chord templates (binary pitch-class sets).
+ */
+import { NOTE_NAMES } from './utils/midiUtils.js'
+
+/**
+ * Default chord recognizer settings.
+ * @type {Object}
+ */
+export const DEFAULT_CHORD_SETTINGS = {
+  segmentLength: 0.5,
+  minScore: 0.6,
+  silenceDb: -70
+}
+
+/**
+ * Chord qualities by their symbol suffix, with the intervals above the root
+ * in semitones.
+ * @type {{suffix: string, name: string, intervals: number[]}[]}
+ */
+export const CHORD_QUALITIES = [
+  { suffix: '', name: 'major', intervals: [0, 4, 7] },
+  { suffix: 'm', name: 'minor', intervals: [0, 3, 7] },
+  { suffix: '7', name: 'dominant 7th', intervals: [0, 4, 7, 10] },
+  { suffix: 'maj7', name: 'major 7th', intervals: [0, 4, 7, 11] },
+  { suffix: 'm7', name: 'minor 7th', intervals: [0, 3, 7, 10] },
+  { suffix: 'sus2', name: 'suspended 2nd', intervals: [0, 2, 7] },
+  { suffix: 'sus4', name: 'suspended 4th', intervals: [0, 5, 7] },
+  { suffix: 'dim', name: 'diminished', intervals: [0, 3, 6] },
+  { suffix: 'dim7', name: 'diminished 7th', intervals: [0, 3, 6, 9] },
+  { suffix: 'm7b5', name: 'half-diminished 7th', intervals: [0, 3, 6, 10] }
+]
+
+/**
+ * Symbol of segments without a recognizable chord.
+ * @type {string}
+ */
+export const NO_CHORD = 'N.C.'
+
+// Scores of four-note chords are scaled by this, so the upper partials of a
+// triad do not turn it into a seventh chord
+const FOUR_NOTE_CHORD_WEIGHT = 0.95
+
+/**
+ * Finds the chord template closest to a chroma profile. The profile is
+ * compared in amplitude (square root of the power), so the loudest partial
+ * does not decide alone; the score is the cosine similarity with the
+ * template, slightly lower for four-note chords.
+ * @param {ArrayLike<number>} chroma - Power of the pitch classes C..B.
+ * @returns {{root: number, quality: string, symbol: string, score: number}|null}
+ *   The chord with its root pitch class, quality suffix, a symbol like 'F#m7'
+ *   and the score (0..1); null for an empty profile.
+ */
+export function matchChord (chroma) {
+  const amplitudes = new Float64Array(12)
+  let norm = 0
+  for (let i = 0; i < 12; i++) {
+    amplitudes[i] = Math.sqrt(Math.max(0, chroma[i]))
+    norm += chroma[i] > 0 ? chroma[i] : 0
+  }
+  if (!(norm > 0)) return null
+  norm = Math.sqrt(norm)
+
+  let best = null
+  for (const quality of CHORD_QUALITIES) {
+    for (let root = 0; root < 12; root++) {
+      let sum = 0
+      for (const interval of quality.intervals) sum += amplitudes[(root + interval) % 12]
+      const weight = quality.intervals.length > 3 ? FOUR_NOTE_CHORD_WEIGHT : 1
+      const score = weight * sum / (norm * Math.sqrt(quality.intervals.length))
+      if (!best || score > best.score) {
+        best = { root, quality: quality.suffix, symbol: NOTE_NAMES[root] + quality.suffix, score }
+      }
+    }
+  }
+  return best
+}
+
+/**
+ * Creates a chord recognizer for a stream of chroma frames. Time is cut
+ * into segments of `segmentLength` from the first frame on; when a segment
+ * is complete, the normalized chroma of its frames is matched against the
+ * chord templates. Consecutive segments may carry the same chord.
+ * @param {Object} [options] - Settings, see `DEFAULT_CHORD_SETTINGS`.
+ * @param {number} [options.segmentLength] - Segment duration in seconds.
+ * @param {number} [options.minScore] - Segments matching no chord this well are `NO_CHORD`.
+ * @param {number} [options.silenceDb] - Frames with less total power are skipped.
+ * @returns {Object} The recognizer with `push`, `flush` and `reset`.
+ */
+export function createChordRecognizer (options = {}) {
+  const settings = { ...DEFAULT_CHORD_SETTINGS, ...options }
+  const weights = new Float64Array(12)
+  let segmentStart = null
+  let frameCount = 0
+
+  /**
+   * Adds the chroma of a frame.
+   * @param {ArrayLike<number>} chroma - The power per pitch class, see `computeChroma`.
+   * @param {number} time - The frame time in seconds.
+   * @returns {Object|null} The chord of the segment the frame completed, see `flush`.
+   */
+  function push (chroma, time) {
+    let chord = null
+    if (segmentStart === null) {
+      segmentStart = time
+    } else if (time >= segmentStart + settings.segmentLength) {
+      chord = flush()
+      // Skip the segments a gap in the frames left empty
+      const skipped = Math.floor((time - segmentStart) / settings.segmentLength)
+      segmentStart += skipped * settings.segmentLength
+    }
+
+    let total = 0
+    for (let i = 0; i < 12; i++) total += chroma[i]
+    if (total > Math.pow(10, settings.silenceDb / 10)) {
+      for (let i = 0; i < 12; i++) weights[i] += chroma[i] / total
+      frameCount++
+    }
+    return chord
+  }
+
+  /**
+   * Ends the current segment and recognizes its chord.
+   * @returns {{startTime: number, endTime: number, symbol: string, root: number|null, quality: string|null, score: number}|null}
+   *   The chord, `NO_CHORD` without root and quality for silence or an
+   *   unclear match; null before any frame.
+   */
+  function flush () {
+    if (segmentStart === null) return null
+
+    const match = frameCount > 0 ? matchChord(weights) : null
+    const chord = match && match.score >= settings.minScore
+      ? { symbol: match.symbol, root: match.root, quality: match.quality, score: match.score }
+      : { symbol: NO_CHORD, root: null, quality: null, score: match ? match.score : 0 }
+    chord.startTime = segmentStart
+    chord.endTime = segmentStart + settings.segmentLength
+
+    segmentStart = chord.endTime
+    weights.fill(0)
+    frameCount = 0
+    return chord
+  }
+
+  /**
+   * Forgets all frames.
+   */
+  function reset () {
+    weights.fill(0)
+    segmentStart = null
+    frameCount = 0
+  }
+
+  return { push, flush, reset }
+}
+
+/**
+ * Formats chords as a plain-text timeline, one `start<TAB>end<TAB>symbol`
+ * line per chord with times in seconds (the .lab format of chord
+ * annotations, which e.g. Sonic Visualiser imports).
+ * @param {{startTime: number, endTime: number, symbol: string}[]} chords - The chords in time order.
+ * @returns {string} The timeline.
+ */
+export function formatChordTimeline (chords) {
+  return chords
+    .map(chord => `${chord.startTime.toFixed(3)}\t${chord.endTime.toFixed(3)}\t${chord.symbol}`)
+    .join('\n') + '\n'
+}
@@ -1,5 +1,18 @@
-let currentTheme = 'heatmap'
-const customTheme = ['#0000FF', '#00FF00', '#FF0000']
+import { settings } from './settingsStore.js'
+
+/**
+ * Number of entries in a color lookup table.
+ * @type {number}
+ */
+export const COLOR_TABLE_SIZE = 1024
+
+// Lookup table of the current theme, and the theme and custom colors it was
+// built for
+let colorTable = null
+let colorTableKey = null
+
+// Byte order of Uint32Array views on ImageData pixels
+const isLittleEndian = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1
 
 /**
  * Color themes for the spectrogram.
@@ -24,33 +37,58 @@ const colorThemes = {
       return `rgb(255, ${255 - (intensity * 255)}, 0)`
     }
   },
-  custom: value => interpolateColor(customTheme, value)
+  custom: value => interpolateColor([settings.get('customColorLow'), settings.get('customColorMid'), settings.get('customColorHigh')], value)
 }
 
 /**
- * Gets the color for a given value based on the current theme.
+ * Gets the color for a given value based on the theme setting.
  * @param {number} value - The value to get the color for (0-1).
  * @returns {string} The color in CSS format.
  */
 export function getColor (value) {
-  return colorThemes[currentTheme](value)
+  return colorThemes[settings.get('theme')](value)
 }
 
 /**
- * Updates the current color theme.
- * @param {string} theme - The name of the new theme.
+ * Returns the current theme as a lookup table of opaque pixels, packed for a
+ * Uint32Array view on ImageData. Entry `i` is the color of value
+ * `i / (COLOR_TABLE_SIZE - 1)`. The table is rebuilt when the theme or the
+ * custom colors changed.
+ * @returns {Uint32Array} The lookup table.
  */
-export function updateTheme (theme) {
-  currentTheme = theme
+export function getColorTable () {
+  const key = ['theme', 'customColorLow', 'customColorMid', 'customColorHigh'].map(settings.get).join()
+  if (key !== colorTableKey) {
+    colorTableKey = key
+    colorTable = new Uint32Array(COLOR_TABLE_SIZE)
+    for (let i = 0; i < COLOR_TABLE_SIZE; i++) {
+      const [r, g, b] = parseCssColor(getColor(i / (COLOR_TABLE_SIZE - 1)))
+      colorTable[i] = isLittleEndian
+        ? (255 << 24 | b << 16 | g << 8 | r) >>> 0
+        : (r << 24 | g << 16 | b << 8 | 255) >>> 0
+    }
+  }
+  return colorTable
 }
 
 /**
- * Updates a color in the custom theme.
- * @param {string} color - The new color in hex format.
- * @param {number} index - The index of the color to update (0-2).
+ * Converts a theme color to RGB.
+ * @param {string} css - A color as `rgb(r, g, b)` or `hsl(h, s%, l%)`.
+ * @returns {number[]} The red, green and blue components (0-255).
  */
-export function updateCustomTheme (color, index) {
-  customTheme[index] = color
+function parseCssColor (css) {
+  const [h, s, l] = css.match(/-?[\d.]+/g).map(Number)
+  if (!css.startsWith('hsl')) return [h, s, l].map(component => Math.round(Math.max(0, Math.min(255, component))))
+
+  // HSL to RGB, see CSS Color Module Level 4
+  const saturation = s / 100
+  const lightness = l / 100
+  const channel = n => {
+    const k = (n + h / 30) % 12
+    const a = saturation * Math.min(lightness, 1 - lightness)
+    return Math.round(255 * (lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))))
+  }
+  return [channel(0), channel(8), channel(4)]
 }
 
 /**
@@ -0,0 +1,211 @@
+/**
+ * Streaming constant-Q transform on raw time-domain samples
+ * (Brown & Puckette 1992: an FFT per frame, multiplied by sparse spectral kernels)
+ */
+import { getWindow } from './utils/windowFunctions.js'
+import { getFFTPlan } from './utils/fft.js'
+
+/**
+ * Default constant-Q settings. The range is given in MIDI notes, tuned
+ * equally from A4 at `referenceFrequency`, and `binsPerOctave` is a multiple
+ * of 12, so every note falls on a bin.
+ * @type {Object}
+ */
+export const DEFAULT_CQT_SETTINGS = {
+  sampleRate: 44100,
+  referenceFrequency: 440,
+  binsPerOctave: 24,
+  minNote: 21,
+  maxNote: 108,
+  windowSize: 2048,
+  overlap: 0.75
+}
+
+// Longest kernel in samples. Bins whose constant-Q window would be longer
+// get this one, trading some bass resolution for latency and FFT size.
+const MAX_KERNEL_LENGTH = 32768
+// Spectral kernel coefficients below this fraction of the kernel's peak are dropped
+const KERNEL_THRESHOLD = 0.0054
+// Lowest level reported, as in the STFT
+const DB_FLOOR = -200
+
+/**
+ * Creates a streaming constant-Q analyzer with the interface of
+ * `createStftAnalyzer`. Bin k is centred on `minFrequency * 2^(k / binsPerOctave)`;
+ * levels are in dBFS, a full-scale sine at a bin frequency peaks at 0 dB.
+ * The hop follows the STFT window size and overlap.
+ * @param {Object} [options] - Initial settings, see `DEFAULT_CQT_SETTINGS`.
+ * @param {number} [options.referenceFrequency] - Frequency of A4 (MIDI note 69) in Hz.
+ * @param {number} [options.binsPerOctave] - Bins per octave: 12, 24, 36 or 48.
+ * @param {number} [options.minNote] - MIDI note of the lowest bin.
+ * @param {number} [options.maxNote] - MIDI note of the highest bin.
+ * @param {number} [options.windowSize] - STFT window length, sets the hop with `overlap`.
+ * @param {number} [options.overlap] - STFT overlap (0..1).
+ * @returns {Object} The analyzer with `configure`, `push`, `reset` and `getLayout`.
+ */
+export function createCqtAnalyzer (options = {}) {
+  const settings = { ...DEFAULT_CQT_SETTINGS }
+  let nFft, nBins, hopLength, minFrequency, plan, kernels
+  let kernelKey = null
+  let buffer, spectrumRe, spectrumIm
+  let samplesUntilFrame, totalSamples
+
+  configure(options)
+
+  /**
+   * Updates the settings; the kernels are rebuilt when the sample rate, the
+   * tuning or the bins change, the sample history when the FFT size changes.
+   * @param {Object} changes - The settings to change.
+   */
+  function configure (changes) {
+    Object.assign(settings, changes)
+
+    const { sampleRate, referenceFrequency, binsPerOctave, minNote, maxNote, windowSize, overlap } = settings
+    if (binsPerOctave % 12 !== 0) {
+      throw new Error(`Bins per octave must be a multiple of 12, got ${binsPerOctave}`)
+    }
+    minFrequency = referenceFrequency * Math.pow(2, (minNote - 69) / 12)
+    nBins = (maxNote - minNote) * binsPerOctave / 12 + 1
+    hopLength = Math.max(1, Math.round(windowSize * (1 - overlap)))
+
+    const q = 1 / (Math.pow(2, 1 / binsPerOctave) - 1)
+    const longest = Math.min(MAX_KERNEL_LENGTH, Math.ceil(q * sampleRate / minFrequency))
+    nFft = Math.pow(2, Math.ceil(Math.log2(longest)))
+    plan = getFFTPlan(nFft)
+
+    const key = `${sampleRate}:${referenceFrequency}:${binsPerOctave}:${minNote}:${maxNote}`
+    if (key !== kernelKey) {
+      kernels = createKernels(q)
+      kernelKey = key
+    }
+
+    if (!buffer || buffer.length !== nFft) {
+      buffer = new Float32Array(nFft)
+      spectrumRe = new Float64Array(nFft / 2 + 1)
+      spectrumIm = new Float64Array(nFft / 2 + 1)
+      reset()
+    }
+  }
+
+  /**
+   * Computes the spectral kernel of every bin: the FFT of a Hann-windowed
+   * complex exponential at the bin frequency, centred in the frame and
+   * scaled so a sine of amplitude 1 yields 1. Only the coefficients that
+   * matter are kept.
+   */
+  function createKernels (q) {
+    const { sampleRate, binsPerOctave } = settings
+    const re = new Float64Array(nFft)
+    const im = new Float64Array(nFft)
+    const result = []
+
+    for (let k = 0; k < nBins; k++) {
+      const frequency = minFrequency * Math.pow(2, k / binsPerOctave)
+      const length = Math.min(nFft, Math.ceil(q * sampleRate / frequency))
+      const window = getWindow('hann', length)
+      let windowSum = 0
+      for (let n = 0; n < length; n++) windowSum += window[n]
+
+      re.fill(0)
+      im.fill(0)
+      const start = Math.floor((nFft - length) / 2)
+      for (let n = 0; n < length; n++) {
+        const phase = 2 * Math.PI * frequency * (n - length / 2) / sampleRate
+        const weight = 2 * window[n] / windowSum
+        re[start + n] = weight * Math.cos(phase)
+        im[start + n] = weight * Math.sin(phase)
+      }
+      plan.forward(re, im)
+
+      // The kernel is concentrated around the bin frequency in the positive half
+      let peak = 0
+      for (let j = 0; j <= nFft / 2; j++) peak = Math.max(peak, Math.hypot(re[j], im[j]))
+      const bins = []
+      const kernelRe = []
+      const kernelIm = []
+      for (let j = 0; j <= nFft / 2; j++) {
+        if (Math.hypot(re[j], im[j]) < KERNEL_THRESHOLD * peak) continue
+        bins.push(j)
+        // Conjugated and divided by nFft, for Parseval's theorem
+        kernelRe.push(re[j] / nFft)
+        kernelIm.push(-im[j] / nFft)
+      }
+      result.push({ bins: Int32Array.from(bins), re: Float64Array.from(kernelRe), im: Float64Array.from(kernelIm) })
+    }
+    return result
+  }
+
+  /**
+   * Clears the sample history.
+   */
+  function reset () {
+    buffer.fill(0)
+    samplesUntilFrame = hopLength
+    totalSamples = 0
+  }
+
+  /**
+   * Appends samples and analyzes every frame that became complete.
+   * @param {Float32Array} samples - New mono samples.
+   * @returns {{db: Float32Array, time: number}[]} The new frames; `time` is the
+   *   frame center in seconds since the analyzer started.
+   */
+  function push (samples) {
+    const frames = []
+    let offset = 0
+
+    while (offset < samples.length) {
+      const count = Math.min(samplesUntilFrame, samples.length - offset)
+
+      buffer.copyWithin(0, count)
+      buffer.set(samples.subarray(offset, offset + count), nFft - count)
+
+      offset += count
+      totalSamples += count
+      samplesUntilFrame -= count
+
+      if (samplesUntilFrame === 0) {
+        samplesUntilFrame = hopLength
+        frames.push({
+          db: analyzeFrame(),
+          time: (totalSamples - nFft / 2) / settings.sampleRate
+        })
+      }
+    }
+
+    return frames
+  }
+
+  /**
+   * Computes the constant-Q levels of the current frame in dBFS.
+   * @returns {Float32Array} The levels per bin.
+   */
+  function analyzeFrame () {
+    plan.forwardReal(buffer, spectrumRe, spectrumIm)
+
+    const db = new Float32Array(nBins)
+    for (let k = 0; k < nBins; k++) {
+      const kernel = kernels[k]
+      let sumRe = 0
+      let sumIm = 0
+      for (let i = 0; i < kernel.bins.length; i++) {
+        const j = kernel.bins[i]
+        sumRe += spectrumRe[j] * kernel.re[i] - spectrumIm[j] * kernel.im[i]
+        sumIm += spectrumRe[j] * kernel.im[i] + spectrumIm[j] * kernel.re[i]
+      }
+      db[k] = Math.max(DB_FLOOR, 10 * Math.log10(sumRe * sumRe + sumIm * sumIm))
+    }
+    return db
+  }
+
+  /**
+   * Describes the frames the analyzer currently produces. `nFft` is the
+   * size of the FFT behind the kernels.
+   * @returns {{sampleRate: number, nFft: number, nBins: number, hopLength: number, minFrequency: number, binsPerOctave: number}}
+   */
+  function getLayout () {
+    return { sampleRate: settings.sampleRate, nFft, nBins, hopLength, minFrequency, binsPerOctave: settings.binsPerOctave }
+  }
+
+  return { configure, push, reset, getLayout }
+}
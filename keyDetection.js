@@ -0,0 +1,175 @@
+/**
+ * Chroma (pitch-class) profiles of spectrum frames and key estimation
+ * (Krumhansl & Kessler 1982 key profiles, Krumhansl-Schmuckler correlation).
+ */
+import { getBinFrequencies } from './stftAnalyzer.js'
+import { NOTE_NAMES } from './utils/midiUtils.js'
+
+/**
+ * Default key estimator settings.
+ * @type {Object}
+ */
+export const DEFAULT_KEY_SETTINGS = {
+  halfLife: 10,
+  silenceDb: -70
+}
+
+// Frequency range folded into the chroma: bass to the upper harmonics of melodies
+const CHROMA_MIN_FREQUENCY = 55
+const CHROMA_MAX_FREQUENCY = 5000
+
+// Probe-tone ratings of the pitch classes above the tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88]
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+
+// Bins further apart than this fraction of their frequency (a semitone) are
+// too coarse to place the peaks of neighbouring notes and are skipped
+const MAX_BIN_SPACING = Math.pow(2, 1 / 12) - 1
+
+// MIDI pitch per bin (NaN outside the range or too coarse), by bin frequency table
+const binPitchCache = new WeakMap()
+
+/**
+ * Folds a spectrum frame into the twelve pitch classes C..B (see
+ * `NOTE_NAMES`). Each spectral peak between 55 Hz and 5 kHz adds the power
+ * of its three bins to the pitch class of its interpolated frequency, so the
+ * skirts of a peak do not leak into the neighbouring semitones. FFT bins are
+ * only used where they are less than a semitone apart.
+ * @param {Float32Array} frame - Levels in dBFS per bin.
+ * @param {Object} layout - The analyzer layout of the frame.
+ * @param {Float64Array} [chroma] - Receives the result; allocated when omitted.
+ * @returns {Float64Array} The power per pitch class.
+ */
+export function computeChroma (frame, layout, chroma = new Float64Array(12)) {
+  const pitches = getBinPitches(getBinFrequencies(layout))
+  chroma.fill(0)
+  const count = Math.min(frame.length, pitches.length) - 1
+  for (let bin = 1; bin < count; bin++) {
+    const level = frame[bin]
+    if (Number.isNaN(pitches[bin]) || level <= frame[bin - 1] || level < frame[bin + 1]) continue
+
+    // Parabolic interpolation of the peak position between the neighbours
+    const curvature = frame[bin - 1] - 2 * level + frame[bin + 1]
+    const offset = curvature < 0 ? 0.5 * (frame[bin - 1] - frame[bin + 1]) / curvature : 0
+    const neighbour = offset < 0 ? bin - 1 : bin + 1
+    const pitch = pitches[bin] + Math.abs(offset) * (pitches[neighbour] - pitches[bin])
+    if (Number.isNaN(pitch)) continue
+
+    const pitchClass = ((Math.round(pitch) % 12) + 12) % 12
+    chroma[pitchClass] += Math.pow(10, frame[bin - 1] / 10) + Math.pow(10, level / 10) + Math.pow(10, frame[bin + 1] / 10)
+  }
+  return chroma
+}
+
+function getBinPitches (frequencies) {
+  let pitches = binPitchCache.get(frequencies)
+  if (!pitches) {
+    pitches = new Float32Array(frequencies.length).fill(NaN)
+    for (let bin = 1; bin < frequencies.length - 1; bin++) {
+      const frequency = frequencies[bin]
+      if (frequency < CHROMA_MIN_FREQUENCY || frequency > CHROMA_MAX_FREQUENCY) continue
+      const spacing = (frequencies[bin + 1] - frequencies[bin - 1]) / 2
+      if (spacing > frequency * MAX_BIN_SPACING) continue
+      pitches[bin] = 69 + 12 * Math.log2(frequency / 440)
+    }
+    binPitchCache.set(frequencies, pitches)
+  }
+  return pitches
+}
+
+/**
+ * Estimates the key of a chroma profile: the major or minor key profile,
+ * rotated to each tonic, that correlates best with it.
+ * @param {ArrayLike<number>} chroma - Weights of the pitch classes C..B.
+ * @returns {{tonic: number, mode: string, name: string, correlation: number}|null}
+ *   The key with its tonic pitch class, 'major' or 'minor', a name like
+ *   'A minor' and the correlation (-1..1); null for an empty profile.
+ */
+export function estimateKey (chroma) {
+  let total = 0
+  for (let i = 0; i < 12; i++) total += chroma[i]
+  if (!(total > 0)) return null
+
+  let best = null
+  for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const correlation = correlate(chroma, profile, tonic)
+      if (!best || correlation > best.correlation) {
+        best = { tonic, mode, name: `${NOTE_NAMES[tonic]} ${mode}`, correlation }
+      }
+    }
+  }
+  return best
+}
+
+// Pearson correlation of the chroma with a profile starting at the tonic
+function correlate (chroma, profile, tonic) {
+  let chromaMean = 0
+  let profileMean = 0
+  for (let i = 0; i < 12; i++) {
+    chromaMean += chroma[i] / 12
+    profileMean += profile[i] / 12
+  }
+
+  let product = 0
+  let chromaSquares = 0
+  let profileSquares = 0
+  for (let i = 0; i < 12; i++) {
+    const a = chroma[(tonic + i) % 12] - chromaMean
+    const b = profile[i] - profileMean
+    product += a * b
+    chromaSquares += a * a
+    profileSquares += b * b
+  }
+  return chromaSquares > 0 ? product / Math.sqrt(chromaSquares * profileSquares) : 0
+}
+
+/**
+ * Creates a running key estimate. Every frame adds its chroma, normalized
+ * so loud passages do not outweigh quiet ones; older frames fade out with
+ * the half-life, so the estimate follows modulations.
+ * @param {Object} [options] - Settings, see `DEFAULT_KEY_SETTINGS`.
+ * @param {number} [options.halfLife] - Seconds after which a frame counts half.
+ * @param {number} [options.silenceDb] - Frames with less total power are skipped.
+ * @returns {Object} The estimator with `push`, `getKey` and `reset`.
+ */
+export function createKeyEstimator (options = {}) {
+  const settings = { ...DEFAULT_KEY_SETTINGS, ...options }
+  const weights = new Float64Array(12)
+  let lastTime = null
+
+  /**
+   * Adds the chroma of a frame.
+   * @param {ArrayLike<number>} chroma - The power per pitch class, see `computeChroma`.
+   * @param {number} time - The frame time in seconds.
+   */
+  function push (chroma, time) {
+    let total = 0
+    for (let i = 0; i < 12; i++) total += chroma[i]
+    if (!(total > Math.pow(10, settings.silenceDb / 10))) return
+
+    const decay = lastTime === null ? 1 : Math.pow(0.5, Math.max(0, time - lastTime) / settings.halfLife)
+    lastTime = time
+    for (let i = 0; i < 12; i++) {
+      weights[i] = weights[i] * decay + chroma[i] / total
+    }
+  }
+
+  /**
+   * Returns the current estimate, see `estimateKey`.
+   * @returns {Object|null} The key, or null before any sound.
+   */
+  function getKey () {
+    return estimateKey(weights)
+  }
+
+  /**
+   * Forgets all frames.
+   */
+  function reset () {
+    weights.fill(0)
+    lastTime = null
+  }
+
+  return { push, getKey, reset }
+}
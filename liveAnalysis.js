@@ -0,0 +1,152 @@
+/**
+ * Analysis of the live input: spectrum frames, key, chords, onsets, tempo, tuner and note tracking, driven by
+ * messages so it can run in a worker (analysisWorker.js) or, where workers
+ * are not available, on the main thread.
+ */
+import { createSpectrumAnalyzer } from './stftAnalyzer.js'
+import { createPitchTracker } from './pitchTracker.js'
+import { createPolyphonicTranscriber } from './polyphonicTranscriber.js'
+import { computeChroma, createKeyEstimator } from './keyDetection.js'
+import { createChordRecognizer } from './chordRecognition.js'
+import { createTuner } from './tuner.js'
+import { createOnsetDetector, createTempoTracker } from './onsetDetection.js'
+
+// Seconds between tempo estimates
+const TEMPO_INTERVAL = 1
+
+/**
+ * Creates the live analysis. It understands these messages:
+ * - `{ type: 'configure', analysis }`: analyzer settings, see
+ *   `createSpectrumAnalyzer`; a new transform starts afresh
+ * - `{ type: 'tracking', mode, settings }`: note tracking mode ('off',
+ *   'melody' or 'polyphonic') and thresholds; a new mode starts afresh
+ * - `{ type: 'tuner', enabled }`: turns the tuner on or off
+ * - `{ type: 'reset', sampleRate }`: restarts the analysis clock for a new input
+ * - `{ type: 'samples', samples }`: mono samples to analyze
+ *
+ * Results are posted as `{ type: 'frames', frames, layout }` with frames
+ * `{db, time}` (their buffers listed for transfer), `{ type: 'notes', notes }`,
+ * `{ type: 'key', key }` whenever the key estimate changes (see `estimateKey`)
+ * `{ type: 'chords', chords }` for every completed chord segment (see
+ * `createChordRecognizer`), `{ type: 'onsets', onsets }` with the onset times
+ * (see `createOnsetDetector`), `{ type: 'tempo', tempo }` every second once
+ * the tempo can be estimated (see `createTempoTracker`) and, while the tuner
+ * is on, `{ type: 'tuner', reading }` with the latest reading of each block
+ * (see `createTuner`).
+ * @param {Function} post - Called with a result message and the buffers to transfer.
+ * @returns {{handleMessage: Function}} The analysis.
+ */
+export function createLiveAnalysis (post) {
+  const analysisSettings = {}
+  let analyzer = createSpectrumAnalyzer(analysisSettings)
+  const trackers = {
+    melody: createPitchTracker(),
+    polyphonic: createPolyphonicTranscriber()
+  }
+  let trackingMode = 'off'
+  const keyEstimator = createKeyEstimator()
+  const chordRecognizer = createChordRecognizer()
+  const tuner = createTuner()
+  const onsetDetector = createOnsetDetector()
+  const tempoTracker = createTempoTracker()
+  let nextTempoTime = 0
+  let isTunerEnabled = false
+  const chroma = new Float64Array(12)
+  let keyName = null
+
+  /**
+   * Handles one message, see `createLiveAnalysis`.
+   * @param {Object} message - The message.
+   */
+  function handleMessage (message) {
+    switch (message.type) {
+      case 'configure': {
+        const transform = analysisSettings.transform
+        Object.assign(analysisSettings, message.analysis)
+        if (analysisSettings.transform !== transform) {
+          analyzer = createSpectrumAnalyzer(analysisSettings)
+        } else {
+          analyzer.configure(message.analysis)
+        }
+        break
+      }
+      case 'tracking':
+        if (message.mode !== trackingMode) {
+          Object.values(trackers).forEach(tracker => tracker.reset())
+          trackingMode = message.mode
+        }
+        Object.values(trackers).forEach(tracker => tracker.configure(message.settings))
+        break
+      case 'tuner':
+        if (message.enabled && !isTunerEnabled) tuner.reset()
+        isTunerEnabled = message.enabled
+        break
+      case 'reset':
+        analysisSettings.sampleRate = message.sampleRate
+        analyzer.configure({ sampleRate: message.sampleRate })
+        analyzer.reset()
+        keyEstimator.reset()
+        chordRecognizer.reset()
+        onsetDetector.reset()
+        tempoTracker.reset()
+        nextTempoTime = 0
+        tuner.configure({ sampleRate: message.sampleRate })
+        tuner.reset()
+        keyName = null
+        for (const tracker of Object.values(trackers)) {
+          tracker.configure({ sampleRate: message.sampleRate })
+          tracker.reset()
+        }
+        break
+      case 'samples':
+        analyze(message.samples)
+        break
+    }
+  }
+
+  function analyze (samples) {
+    const frames = analyzer.push(samples)
+    if (frames.length) {
+      const layout = analyzer.getLayout()
+      const chords = []
+      const onsets = []
+      for (const frame of frames) {
+        computeChroma(frame.db, layout, chroma)
+        keyEstimator.push(chroma, frame.time)
+        const chord = chordRecognizer.push(chroma, frame.time)
+        if (chord) chords.push(chord)
+        const onset = onsetDetector.push(frame.db, frame.time)
+        onsets.push(...onset.onsets)
+        tempoTracker.push(onset.strength, frame.time)
+      }
+      const key = keyEstimator.getKey()
+      if (key && key.name !== keyName) {
+        keyName = key.name
+        post({ type: 'key', key }, [])
+      }
+      if (chords.length) post({ type: 'chords', chords }, [])
+      if (onsets.length) post({ type: 'onsets', onsets }, [])
+
+      const time = frames[frames.length - 1].time
+      if (time >= nextTempoTime) {
+        nextTempoTime = time + TEMPO_INTERVAL
+        const tempo = tempoTracker.estimate()
+        if (tempo) post({ type: 'tempo', tempo }, [])
+      }
+      post({ type: 'frames', frames, layout }, frames.map(frame => frame.db.buffer))
+    }
+
+    if (isTunerEnabled) {
+      const readings = tuner.push(samples)
+      if (readings.length) post({ type: 'tuner', reading: readings[readings.length - 1] }, [])
+    }
+
+    const tracker = trackers[trackingMode]
+    if (tracker) {
+      const notes = tracker.push(samples)
+      if (notes.length) post({ type: 'notes', notes }, [])
+    }
+  }
+
+  return { handleMessage }
+}
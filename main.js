@@ -1,4 +1,4 @@
-import { initSpectrogramRenderer, updateFrequencyRange, drawFrequencyMarkers } from './spectrogramRenderer.js'
+import { initSpectrogramRenderer, drawFrequencyMarkers, redrawSpectrogram } from './spectrogramRenderer.js'
 import { initUIControls } from './uiController.js'
 
 /**
@@ -24,8 +24,6 @@ document.addEventListener('DOMContentLoaded', function () {
   initUIControls(canvas, labelCanvas)
 
   // Draw frequency markers immediately after initialization
-  const maxFreq = Math.pow(10, 4) // 10^4 = 10000 Hz
-  updateFrequencyRange(maxFreq)
   drawFrequencyMarkers()
 
   // Event listeners for canvas sizing
@@ -38,6 +36,7 @@ document.addEventListener('DOMContentLoaded', function () {
     setCanvasSize()
     updateLabelCanvasSize()
     drawFrequencyMarkers() // Redraw markers after resize
+    redrawSpectrogram() // Re-render the file or the live history at the new size
   })
 
   function setCanvasSize () {
@@ -0,0 +1,293 @@
+/**
+ * Editing model of the drawn notes: stable ids, a selection, a clipboard and
+ * an undo/redo history
+ */
+
+/**
+ * Default number of edits that can be undone.
+ * @type {number}
+ */
+export const DEFAULT_UNDO_LIMIT = 200
+
+/**
+ * Creates the note editing model. Notes are plain objects with `startTime`
+ * and `endTime` in seconds and a `frequency`; an edit replaces a note object
+ * rather than modifying it, so the objects handed out stay unchanged.
+ *
+ * Edits made between `begin` and `commit` (or a single `set` outside of
+ * them) are undone and redone as one step. Notes added or removed with
+ * `insert` and `removeWhere`, e.g. tracked or imported ones, are not part
+ * of the history.
+ * @param {Object} [options] - The settings.
+ * @param {number} [options.undoLimit=200] - The number of edits kept for undo.
+ * @returns {Object} The editor, see the functions below.
+ */
+export function createNoteEditor (options = {}) {
+  const undoLimit = options.undoLimit || DEFAULT_UNDO_LIMIT
+  const notes = new Map()
+  const selection = new Set()
+  let nextId = 1
+  let pending = null // notes before the open edit, by id
+  let undoStack = []
+  let redoStack = []
+  let clipboard = []
+
+  /**
+   * Returns a note.
+   * @param {number} id - The note id.
+   * @returns {Object|undefined} The note.
+   */
+  function get (id) {
+    return notes.get(id)
+  }
+
+  /**
+   * Returns the notes with their ids.
+   * @returns {Iterator<[number, Object]>} The entries.
+   */
+  function entries () {
+    return notes.entries()
+  }
+
+  /**
+   * Returns the notes.
+   * @returns {Iterator<Object>} The notes.
+   */
+  function values () {
+    return notes.values()
+  }
+
+  /**
+   * Returns the number of notes.
+   * @returns {number} The count.
+   */
+  function count () {
+    return notes.size
+  }
+
+  /**
+   * Adds a note outside of the history.
+   * @param {Object} note - The note.
+   * @returns {number} Its id.
+   */
+  function insert (note) {
+    const id = nextId++
+    notes.set(id, note)
+    return id
+  }
+
+  /**
+   * Removes the matching notes outside of the history; edits of them can
+   * no longer be undone.
+   * @param {Function} predicate - Called with a note, true to remove it.
+   */
+  function removeWhere (predicate) {
+    const removed = []
+    for (const [id, note] of notes) {
+      if (predicate(note)) removed.push(id)
+    }
+    for (const id of removed) {
+      notes.delete(id)
+      selection.delete(id)
+      if (pending) pending.delete(id)
+      for (const edit of [...undoStack, ...redoStack]) {
+        edit.before.delete(id)
+        edit.after.delete(id)
+      }
+    }
+  }
+
+  /**
+   * Removes all notes, the selection and the history.
+   */
+  function clear () {
+    notes.clear()
+    selection.clear()
+    pending = null
+    undoStack = []
+    redoStack = []
+  }
+
+  /**
+   * Starts an edit; changes until `commit` form one undo step.
+   */
+  function begin () {
+    if (!pending) pending = new Map()
+  }
+
+  /**
+   * Adds, replaces or deletes a note as part of the open edit, or as an
+   * edit of its own when none is open.
+   * @param {number|null} id - The note id; null adds a new note.
+   * @param {Object|null} note - The new note, or null to delete it.
+   * @returns {number} The note id.
+   */
+  function set (id, note) {
+    const isOwnEdit = !pending
+    begin()
+    if (id === null) id = nextId++
+    if (!pending.has(id)) pending.set(id, notes.get(id) || null)
+    store(id, note)
+    if (isOwnEdit) commit()
+    return id
+  }
+
+  /**
+   * Ends the open edit and records it for undo, unless nothing changed.
+   */
+  function commit () {
+    if (!pending) return
+    const before = pending
+    pending = null
+
+    const after = new Map()
+    for (const id of before.keys()) after.set(id, notes.get(id) || null)
+    if (Array.from(before).every(([id, note]) => note === after.get(id))) return
+
+    undoStack.push({ before, after })
+    if (undoStack.length > undoLimit) undoStack.shift()
+    redoStack = []
+  }
+
+  /**
+   * Reverts the open edit.
+   */
+  function cancel () {
+    if (!pending) return
+    for (const [id, note] of pending) store(id, note)
+    pending = null
+  }
+
+  /**
+   * Undoes the last edit and selects the notes it touched.
+   * @returns {boolean} Whether there was an edit to undo.
+   */
+  function undo () {
+    commit()
+    const edit = undoStack.pop()
+    if (!edit) return false
+    restore(edit.before)
+    redoStack.push(edit)
+    return true
+  }
+
+  /**
+   * Redoes the last undone edit and selects the notes it touched.
+   * @returns {boolean} Whether there was an edit to redo.
+   */
+  function redo () {
+    const edit = redoStack.pop()
+    if (!edit) return false
+    restore(edit.after)
+    undoStack.push(edit)
+    return true
+  }
+
+  function restore (state) {
+    selection.clear()
+    for (const [id, note] of state) {
+      store(id, note)
+      if (note) selection.add(id)
+    }
+  }
+
+  function store (id, note) {
+    if (note) {
+      notes.set(id, note)
+    } else {
+      notes.delete(id)
+      selection.delete(id)
+    }
+  }
+
+  /**
+   * Selects notes.
+   * @param {Iterable<number>} ids - The note ids.
+   * @param {boolean} [add=false] - Add to the selection instead of replacing it.
+   */
+  function select (ids, add = false) {
+    if (!add) selection.clear()
+    for (const id of ids) {
+      if (notes.has(id)) selection.add(id)
+    }
+  }
+
+  /**
+   * Removes notes from the selection.
+   * @param {Iterable<number>} ids - The note ids.
+   */
+  function deselect (ids) {
+    for (const id of ids) selection.delete(id)
+  }
+
+  /**
+   * Returns whether a note is selected.
+   * @param {number} id - The note id.
+   * @returns {boolean} Whether it is selected.
+   */
+  function isSelected (id) {
+    return selection.has(id)
+  }
+
+  /**
+   * Returns the selected note ids.
+   * @returns {number[]} The ids.
+   */
+  function getSelection () {
+    return Array.from(selection)
+  }
+
+  /**
+   * Copies the selected notes to the clipboard.
+   * @returns {number} The number of notes copied.
+   */
+  function copy () {
+    const selected = getSelection().map(id => notes.get(id))
+    if (selected.length) clipboard = selected
+    return selected.length
+  }
+
+  /**
+   * Pastes the clipboard as one edit, the earliest note starting at a time,
+   * and selects the pasted notes.
+   * @param {number} time - The start time in seconds.
+   * @returns {number[]} The ids of the new notes.
+   */
+  function paste (time) {
+    if (clipboard.length === 0) return []
+    const offset = time - Math.min(...clipboard.map(note => note.startTime))
+
+    begin()
+    const ids = clipboard.map(note => set(null, {
+      ...note,
+      startTime: note.startTime + offset,
+      endTime: note.endTime + offset,
+      source: undefined
+    }))
+    commit()
+    select(ids)
+    return ids
+  }
+
+  return {
+    get,
+    entries,
+    values,
+    count,
+    insert,
+    removeWhere,
+    clear,
+    begin,
+    set,
+    commit,
+    cancel,
+    undo,
+    redo,
+    select,
+    deselect,
+    isSelected,
+    getSelection,
+    copy,
+    paste
+  }
+}
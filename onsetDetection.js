@@ -0,0 +1,333 @@
+/**
+ * Onset detection (spectral flux with adaptive peak picking, after Böck,
+ * Krebs & Schedl 2012) and tempo estimation from the onset strength
+ * (autocorrelation with a tempo prior, comb filter for the beat phase).
+ */
+
+/**
+ * Default onset detector settings. Times are in seconds, strengths in dB
+ * of average level rise per bin.
+ * @type {Object}
+ */
+export const DEFAULT_ONSET_SETTINGS = {
+  floorDb: -80,
+  preMax: 0.03,
+  postMax: 0.03,
+  preAvg: 0.1,
+  postAvg: 0.07,
+  delta: 1,
+  wait: 0.05
+}
+
+/**
+ * Default tempo estimator settings.
+ * @type {Object}
+ */
+export const DEFAULT_TEMPO_SETTINGS = {
+  minBpm: 50,
+  maxBpm: 220,
+  startBpm: 120,
+  tempoStd: 1,
+  windowLength: 8
+}
+
+/**
+ * Returns the spectral flux between two frames: the average rise of the
+ * level per bin, with falling bins counting as zero, so only new energy
+ * counts.
+ * @param {Float32Array} frame - Levels in dBFS per bin.
+ * @param {Float32Array} previous - The levels of the frame before.
+ * @param {number} [floorDb=-80] - Lower levels count as this, so noise below it does not count.
+ * @returns {number} The flux in dB.
+ */
+export function computeSpectralFlux (frame, previous, floorDb = DEFAULT_ONSET_SETTINGS.floorDb) {
+  const count = Math.min(frame.length, previous.length)
+  let flux = 0
+  for (let bin = 0; bin < count; bin++) {
+    const rise = Math.max(frame[bin], floorDb) - Math.max(previous[bin], floorDb)
+    if (rise > 0) flux += rise
+  }
+  return count > 0 ? flux / count : 0
+}
+
+/**
+ * Creates an onset detector for a stream of spectrum frames. A frame is an
+ * onset when its spectral flux is the largest within `preMax` before and
+ * `postMax` after it, exceeds the mean flux from `preAvg` before to
+ * `postAvg` after it by `delta`, and lies at least `wait` after the last
+ * onset. Onsets are therefore reported with a delay of the longer of
+ * `postMax` and `postAvg`.
+ * @param {Object} [options] - Settings, see `DEFAULT_ONSET_SETTINGS`.
+ * @param {number} [options.floorDb] - Levels below count as this.
+ * @param {number} [options.preMax] - Seconds before a peak it must exceed.
+ * @param {number} [options.postMax] - Seconds after a peak it must exceed.
+ * @param {number} [options.preAvg] - Seconds before a peak in the mean it is compared with.
+ * @param {number} [options.postAvg] - Seconds after a peak in the mean it is compared with.
+ * @param {number} [options.delta] - dB of flux a peak must exceed the mean by.
+ * @param {number} [options.wait] - Minimum seconds between onsets.
+ * @returns {Object} The detector with `push`, `flush` and `reset`.
+ */
+export function createOnsetDetector (options = {}) {
+  const settings = { ...DEFAULT_ONSET_SETTINGS, ...options }
+  const lookBack = Math.max(settings.preMax, settings.preAvg)
+  const lookAhead = Math.max(settings.postMax, settings.postAvg)
+  let previous = null
+  let history = [] // {time, strength} of the recent frames
+  let next = 0 // index of the first frame not decided yet
+  let lastOnset = -Infinity
+
+  /**
+   * Adds a frame.
+   * @param {Float32Array} frame - Levels in dBFS per bin.
+   * @param {number} time - The frame time in seconds.
+   * @returns {{strength: number, onsets: number[]}} The spectral flux of the
+   *   frame, and the times of the onsets that were decided.
+   */
+  function push (frame, time) {
+    let strength = 0
+    if (previous && previous.length === frame.length) {
+      strength = computeSpectralFlux(frame, previous, settings.floorDb)
+      previous.set(frame)
+    } else {
+      // A new layout starts over
+      previous = Float32Array.from(frame)
+    }
+    history.push({ time, strength })
+    return { strength, onsets: decide(time - lookAhead) }
+  }
+
+  /**
+   * Decides the remaining frames as if the stream ended.
+   * @returns {number[]} The onset times.
+   */
+  function flush () {
+    return decide(Infinity)
+  }
+
+  /**
+   * Forgets all frames.
+   */
+  function reset () {
+    previous = null
+    history = []
+    next = 0
+    lastOnset = -Infinity
+  }
+
+  function decide (until) {
+    const onsets = []
+    while (next < history.length && history[next].time <= until) {
+      if (isOnset(history[next])) {
+        lastOnset = history[next].time
+        onsets.push(lastOnset)
+      }
+      next++
+    }
+
+    // Frames no undecided frame looks back to are dropped
+    const earliest = (next < history.length ? history[next].time : until) - lookBack
+    let count = 0
+    while (count < next && history[count].time < earliest) count++
+    history.splice(0, count)
+    next -= count
+    return onsets
+  }
+
+  function isOnset ({ time, strength }) {
+    if (!(strength > 0) || time - lastOnset < settings.wait) return false
+
+    let sum = 0
+    let count = 0
+    for (const entry of history) {
+      const offset = entry.time - time
+      if (offset >= -settings.preMax && offset <= settings.postMax && entry.strength > strength) return false
+      if (offset >= -settings.preAvg && offset <= settings.postAvg) {
+        sum += entry.strength
+        count++
+      }
+    }
+    return strength >= sum / count + settings.delta
+  }
+
+  return { push, flush, reset }
+}
+
+// Times the beats are fitted anew to the comb moved onto the last fit
+const BEAT_FIT_PASSES = 2
+
+/**
+ * Estimates the tempo and beat phase of an onset strength envelope. The
+ * autocorrelation of the envelope is weighted with a log-normal prior
+ * around `startBpm`, which settles the choice between half and double
+ * tempo; the beat phase is the offset at which a comb of beats collects
+ * the most onset strength. Phase and period are then refined together
+ * through the onset peaks, see `fitBeats`.
+ * @param {ArrayLike<number>} envelope - Onset strength per frame, e.g. spectral flux.
+ * @param {number} frameRate - Frames per second.
+ * @param {Object} [options] - Settings, see `DEFAULT_TEMPO_SETTINGS`.
+ * @param {number} [options.minBpm] - Slowest tempo considered.
+ * @param {number} [options.maxBpm] - Fastest tempo considered.
+ * @param {number} [options.startBpm] - Centre of the tempo prior.
+ * @param {number} [options.tempoStd] - Width of the prior in octaves.
+ * @returns {{bpm: number, beatTime: number, confidence: number}|null} The
+ *   tempo, the time of the first beat in seconds from the first frame and
+ *   how periodic the envelope is (0..1); null when the envelope is shorter
+ *   than two beats at the slowest tempo or flat.
+ */
+export function estimateTempo (envelope, frameRate, options = {}) {
+  const { minBpm, maxBpm, startBpm, tempoStd } = { ...DEFAULT_TEMPO_SETTINGS, ...options }
+  const length = envelope.length
+  const minLag = Math.max(1, Math.floor(60 * frameRate / maxBpm))
+  const maxLag = Math.ceil(60 * frameRate / minBpm)
+  if (length < 2 * maxLag + 1) return null
+
+  let mean = 0
+  for (let i = 0; i < length; i++) mean += envelope[i]
+  mean /= length
+  const centred = Float64Array.from(envelope, value => value - mean)
+
+  const autocorrelation = lag => {
+    let sum = 0
+    for (let i = 0; i + lag < length; i++) sum += centred[i] * centred[i + lag]
+    return sum / (length - lag)
+  }
+  const variance = autocorrelation(0)
+  if (!(variance > 0)) return null
+
+  const scores = new Float64Array(maxLag + 2)
+  let bestLag = -1
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    const bpm = 60 * frameRate / lag
+    const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / startBpm) / tempoStd, 2))
+    scores[lag] = autocorrelation(lag) * prior
+    if (lag >= minLag && lag <= maxLag && (bestLag < 0 || scores[lag] > scores[bestLag])) bestLag = lag
+  }
+  if (!(scores[bestLag] > 0)) return null
+
+  // Parabolic interpolation of the period between the neighbouring lags
+  const curvature = scores[bestLag - 1] - 2 * scores[bestLag] + scores[bestLag + 1]
+  const shift = curvature < 0 ? 0.5 * (scores[bestLag - 1] - scores[bestLag + 1]) / curvature : 0
+  const period = bestLag + Math.max(-0.5, Math.min(0.5, shift))
+
+  let bestPhase = 0
+  let bestSum = -Infinity
+  for (let phase = 0; phase < period; phase++) {
+    let sum = 0
+    for (let position = phase; position < length; position += period) sum += envelope[Math.round(position)] || 0
+    if (sum > bestSum) {
+      bestSum = sum
+      bestPhase = phase
+    }
+  }
+  const beats = fitBeats(envelope, bestPhase, period)
+
+  return {
+    bpm: 60 * frameRate / beats.period,
+    beatTime: beats.phase / frameRate,
+    confidence: Math.max(0, Math.min(1, autocorrelation(bestLag) / variance))
+  }
+}
+
+/**
+ * Refines the beat phase and period of `estimateTempo` at sub-frame
+ * resolution: the onset peak near every beat of the comb is located by
+ * parabolic interpolation, and a line weighted by peak strength is fitted
+ * through them. The comb is moved onto the fitted line and fitted again, so
+ * an error in the autocorrelation period does not pull the phase off over a
+ * long envelope.
+ * @returns {{phase: number, period: number}} The first beat in frames
+ *   (0 <= phase < period) and the period in frames.
+ */
+function fitBeats (envelope, phase, period) {
+  const radius = Math.max(1, Math.floor(period / 4))
+  let beats = { phase, period }
+
+  for (let pass = 0; pass < BEAT_FIT_PASSES; pass++) {
+    let sumW = 0
+    let sumX = 0
+    let sumY = 0
+    let sumXX = 0
+    let sumXY = 0
+    for (let beat = 0; beats.phase + beat * beats.period < envelope.length; beat++) {
+      const predicted = Math.round(beats.phase + beat * beats.period)
+      let peak = -1
+      for (let i = Math.max(1, predicted - radius); i <= Math.min(envelope.length - 2, predicted + radius); i++) {
+        if (envelope[i] > 0 && (peak < 0 || envelope[i] > envelope[peak])) peak = i
+      }
+      if (peak < 0) continue
+
+      const curvature = envelope[peak - 1] - 2 * envelope[peak] + envelope[peak + 1]
+      const shift = curvature < 0 ? 0.5 * (envelope[peak - 1] - envelope[peak + 1]) / curvature : 0
+      const weight = envelope[peak]
+      const position = peak + Math.max(-0.5, Math.min(0.5, shift))
+      sumW += weight
+      sumX += weight * beat
+      sumY += weight * position
+      sumXX += weight * beat * beat
+      sumXY += weight * beat * position
+    }
+
+    const denominator = sumW * sumXX - sumX * sumX
+    if (!(denominator > 0)) break
+    const fittedPeriod = (sumW * sumXY - sumX * sumY) / denominator
+    // A fit that strays from the autocorrelation period followed the wrong peaks
+    if (!(Math.abs(fittedPeriod - period) <= 1)) break
+    const intercept = (sumY - fittedPeriod * sumX) / sumW
+    beats = { phase: intercept - fittedPeriod * Math.floor(intercept / fittedPeriod), period: fittedPeriod }
+  }
+  return beats
+}
+
+/**
+ * Creates a tempo tracker that estimates the tempo of the last
+ * `windowLength` seconds of a stream of onset strengths, see `estimateTempo`.
+ * @param {Object} [options] - Settings, see `DEFAULT_TEMPO_SETTINGS`.
+ * @param {number} [options.windowLength] - Seconds of onset strength the estimate covers.
+ * @returns {Object} The tracker with `push`, `estimate` and `reset`.
+ */
+export function createTempoTracker (options = {}) {
+  const settings = { ...DEFAULT_TEMPO_SETTINGS, ...options }
+  let strengths = []
+  let times = []
+
+  /**
+   * Adds the onset strength of a frame; frames are expected at a steady rate.
+   * @param {number} strength - The onset strength, see `createOnsetDetector`.
+   * @param {number} time - The frame time in seconds.
+   */
+  function push (strength, time) {
+    strengths.push(strength)
+    times.push(time)
+    let count = 0
+    while (times[count] < time - settings.windowLength) count++
+    if (count) {
+      strengths.splice(0, count)
+      times.splice(0, count)
+    }
+  }
+
+  /**
+   * Estimates the tempo of the recent frames.
+   * @returns {{bpm: number, beatTime: number, confidence: number}|null} The
+   *   estimate with the time of a beat in seconds on the clock of the frames;
+   *   null before half a window was heard.
+   */
+  function estimate () {
+    const length = times.length
+    const duration = length > 1 ? times[length - 1] - times[0] : 0
+    if (duration < settings.windowLength / 2) return null
+
+    const tempo = estimateTempo(strengths, (length - 1) / duration, settings)
+    return tempo && { ...tempo, beatTime: times[0] + tempo.beatTime }
+  }
+
+  /**
+   * Forgets all frames.
+   */
+  function reset () {
+    strengths = []
+    times = []
+  }
+
+  return { push, estimate, reset }
+}
@@ -0,0 +1,318 @@
+/**
+ * Monophonic pitch tracking (YIN) and note segmentation
+ * (de Cheveigné & Kawahara 2002).
+ */
+import { getFFTPlan } from './utils/fft.js'
+import { dbToVelocity } from './utils/midiUtils.js'
+
+/**
+ * Default tracker settings.
+ * @type {Object}
+ */
+export const DEFAULT_PITCH_SETTINGS = {
+  sampleRate: 44100,
+  frameSize: 2048,
+  hopLength: 512,
+  minFrequency: 50,
+  maxFrequency: 2000,
+  yinThreshold: 0.15,
+  confidenceThreshold: 0.7,
+  minNoteLength: 0.08,
+  silenceDb: -50
+}
+
+// Pitch drift (in semitones beyond half a semitone) tolerated within one note, e.g. vibrato
+const PITCH_HYSTERESIS = 0.2
+// Unvoiced frames bridged inside a note
+const MAX_GAP_FRAMES = 2
+
+/**
+ * Estimates the fundamental frequency of a frame with YIN.
+ * The first half of the frame is the integration window, so lags up to
+ * `frame.length / 2` can be measured.
+ * @param {Float32Array} frame - The samples.
+ * @param {number} sampleRate - The sample rate in Hz.
+ * @param {Object} [options] - Search range and threshold.
+ * @param {number} [options.minFrequency=50] - Lowest frequency searched.
+ * @param {number} [options.maxFrequency=2000] - Highest frequency searched.
+ * @param {number} [options.yinThreshold=0.15] - Absolute threshold on the normalized difference.
+ * @returns {{frequency: number, confidence: number}} The estimate; `confidence`
+ *   is 1 minus the aperiodicity at the chosen lag.
+ */
+export function yinPitch (frame, sampleRate, { minFrequency = 50, maxFrequency = 2000, yinThreshold = 0.15 } = {}) {
+  const windowSize = Math.floor(frame.length / 2)
+  const tauMax = Math.min(windowSize, Math.ceil(sampleRate / minFrequency))
+  const tauMin = Math.max(2, Math.floor(sampleRate / maxFrequency))
+  const difference = differenceFunction(frame, windowSize, tauMax)
+
+  // Cumulative mean normalized difference
+  const cmnd = new Float64Array(tauMax + 1)
+  cmnd[0] = 1
+  let runningSum = 0
+  for (let tau = 1; tau <= tauMax; tau++) {
+    runningSum += difference[tau]
+    cmnd[tau] = runningSum > 0 ? difference[tau] * tau / runningSum : 1
+  }
+
+  // First dip below the threshold, followed down to its local minimum;
+  // without one, the global minimum is used with its (low) confidence
+  let bestTau = -1
+  for (let tau = tauMin; tau < tauMax; tau++) {
+    if (cmnd[tau] < yinThreshold) {
+      while (tau + 1 < tauMax && cmnd[tau + 1] < cmnd[tau]) tau++
+      bestTau = tau
+      break
+    }
+  }
+  if (bestTau === -1) {
+    bestTau = tauMin
+    for (let tau = tauMin + 1; tau < tauMax; tau++) {
+      if (cmnd[tau] < cmnd[bestTau]) bestTau = tau
+    }
+  }
+
+  // Parabolic interpolation around the minimum
+  let refinedTau = bestTau
+  if (bestTau > 1 && bestTau < tauMax) {
+    const left = cmnd[bestTau - 1]
+    const center = cmnd[bestTau]
+    const right = cmnd[bestTau + 1]
+    const denominator = left - 2 * center + right
+    if (denominator > 0) refinedTau += (left - right) / (2 * denominator)
+  }
+
+  return {
+    frequency: sampleRate / refinedTau,
+    confidence: Math.max(0, Math.min(1, 1 - cmnd[bestTau]))
+  }
+}
+
+/**
+ * Computes the YIN difference function
+ * `d(tau) = sum_j (x[j] - x[j + tau])^2` for `j < windowSize`, with the
+ * cross term evaluated as an FFT correlation.
+ * @param {Float32Array} frame - The samples (at least windowSize + tauMax long).
+ * @param {number} windowSize - The integration window.
+ * @param {number} tauMax - The largest lag.
+ * @returns {Float64Array} The difference for lags `0..tauMax`.
+ */
+function differenceFunction (frame, windowSize, tauMax) {
+  const length = windowSize + tauMax
+  let size = 1
+  while (size < length + windowSize) size <<= 1
+  const plan = getFFTPlan(size)
+  const bins = size / 2 + 1
+
+  const signal = new Float64Array(size)
+  const window = new Float64Array(size)
+  for (let i = 0; i < length; i++) signal[i] = frame[i]
+  for (let i = 0; i < windowSize; i++) window[i] = frame[i]
+
+  const signalRe = new Float64Array(bins)
+  const signalIm = new Float64Array(bins)
+  const windowRe = new Float64Array(bins)
+  const windowIm = new Float64Array(bins)
+  plan.forwardReal(signal, signalRe, signalIm)
+  plan.forwardReal(window, windowRe, windowIm)
+
+  // conj(W) * S is the spectrum of sum_j w[j] s[j + tau]
+  for (let k = 0; k < bins; k++) {
+    const re = windowRe[k] * signalRe[k] + windowIm[k] * signalIm[k]
+    const im = windowRe[k] * signalIm[k] - windowIm[k] * signalRe[k]
+    signalRe[k] = re
+    signalIm[k] = im
+  }
+  const correlation = new Float64Array(size)
+  plan.inverseReal(signalRe, signalIm, correlation)
+
+  // Energies of the window at lag 0 and at every lag from prefix sums of squares
+  const squares = new Float64Array(length + 1)
+  for (let i = 0; i < length; i++) squares[i + 1] = squares[i] + frame[i] * frame[i]
+  const energy0 = squares[windowSize]
+
+  const difference = new Float64Array(tauMax + 1)
+  for (let tau = 1; tau <= tauMax; tau++) {
+    const energyTau = squares[tau + windowSize] - squares[tau]
+    difference[tau] = Math.max(0, energy0 + energyTau - 2 * correlation[tau])
+  }
+  return difference
+}
+
+/**
+ * Creates a streaming pitch tracker that segments the pitch contour into
+ * notes. Samples are pushed in arbitrary block sizes; notes are returned once
+ * they have ended.
+ * @param {Object} [options] - Initial settings, see `DEFAULT_PITCH_SETTINGS`.
+ * @param {number} [options.confidenceThreshold] - Minimum YIN confidence (0..1) of a voiced frame.
+ * @param {number} [options.minNoteLength] - Shortest note kept, in seconds.
+ * @param {number} [options.silenceDb] - RMS level below which frames count as silent.
+ * @returns {Object} The tracker with `configure`, `push`, `flush` and `reset`.
+ */
+export function createPitchTracker (options = {}) {
+  const settings = { ...DEFAULT_PITCH_SETTINGS }
+  let buffer, samplesUntilFrame, totalSamples
+  let currentNote = null
+
+  configure(options)
+
+  /**
+   * Updates tracker settings; the sample history is cleared when the frame size changes.
+   * @param {Object} changes - The settings to change.
+   */
+  function configure (changes) {
+    Object.assign(settings, changes)
+    if (!buffer || buffer.length !== settings.frameSize) {
+      buffer = new Float32Array(settings.frameSize)
+      reset()
+    }
+  }
+
+  /**
+   * Clears the sample history and drops an unfinished note.
+   */
+  function reset () {
+    buffer.fill(0)
+    samplesUntilFrame = settings.hopLength
+    totalSamples = 0
+    currentNote = null
+  }
+
+  /**
+   * Appends samples and tracks every frame that became complete.
+   * @param {Float32Array} samples - New mono samples.
+   * @returns {Object[]} Notes that ended, see `finishNote`.
+   */
+  function push (samples) {
+    const notes = []
+    let offset = 0
+
+    while (offset < samples.length) {
+      const count = Math.min(samplesUntilFrame, samples.length - offset)
+      buffer.copyWithin(0, count)
+      buffer.set(samples.subarray(offset, offset + count), buffer.length - count)
+
+      offset += count
+      totalSamples += count
+      samplesUntilFrame -= count
+
+      if (samplesUntilFrame === 0) {
+        samplesUntilFrame = settings.hopLength
+        const note = trackFrame((totalSamples - buffer.length / 2) / settings.sampleRate)
+        if (note) notes.push(note)
+      }
+    }
+
+    return notes
+  }
+
+  /**
+   * Ends the note that is still sounding, e.g. at the end of a file.
+   * @returns {Object[]} The note if it was long enough.
+   */
+  function flush () {
+    const note = currentNote ? finishNote(currentNote) : null
+    currentNote = null
+    return note ? [note] : []
+  }
+
+  /**
+   * Estimates the pitch of the current frame and extends, ends or starts a note.
+   * @param {number} time - The frame center in seconds.
+   * @returns {Object|null} A note that ended with this frame.
+   */
+  function trackFrame (time) {
+    const { sampleRate, minFrequency, maxFrequency, confidenceThreshold, silenceDb } = settings
+    const { frequency, confidence } = yinPitch(buffer, sampleRate, settings)
+    const rmsDb = frameRmsDb(buffer)
+    const frameDuration = settings.hopLength / sampleRate
+
+    const isVoiced = confidence >= confidenceThreshold &&
+      rmsDb > silenceDb &&
+      frequency >= minFrequency &&
+      frequency <= maxFrequency
+    const midi = 69 + 12 * Math.log2(frequency / 440)
+
+    let finished = null
+    if (currentNote) {
+      if (isVoiced && Math.abs(midi - currentNote.midiNote) < 0.5 + PITCH_HYSTERESIS) {
+        currentNote.endTime = time + frameDuration
+        currentNote.frequencies.push(frequency)
+        currentNote.peakDb = Math.max(currentNote.peakDb, rmsDb)
+        currentNote.gap = 0
+        return null
+      }
+      if (!isVoiced && currentNote.gap < MAX_GAP_FRAMES) {
+        currentNote.gap++
+        return null
+      }
+      finished = finishNote(currentNote)
+      currentNote = null
+    }
+
+    if (isVoiced) {
+      currentNote = {
+        startTime: time,
+        endTime: time + frameDuration,
+        midiNote: Math.round(midi),
+        frequencies: [frequency],
+        peakDb: rmsDb,
+        gap: 0
+      }
+    }
+    return finished
+  }
+
+  /**
+   * Turns a tracked segment into a note, or null if it is too short.
+   * @param {Object} segment - The tracked segment.
+   * @returns {{startTime: number, endTime: number, frequency: number, midiNote: number, velocity: number}|null}
+   */
+  function finishNote (segment) {
+    if (segment.endTime - segment.startTime < settings.minNoteLength) return null
+
+    const sorted = segment.frequencies.slice().sort((a, b) => a - b)
+    return {
+      startTime: segment.startTime,
+      endTime: segment.endTime,
+      frequency: sorted[Math.floor(sorted.length / 2)],
+      midiNote: segment.midiNote,
+      velocity: dbToVelocity(segment.peakDb)
+    }
+  }
+
+  return { configure, push, flush, reset }
+}
+
+/**
+ * Tracks the notes of a complete signal, yielding to the event loop between
+ * chunks so the page stays responsive.
+ * @param {Float32Array} samples - Mono samples.
+ * @param {Object} options - Tracker settings, see `createPitchTracker`.
+ * @param {Function} [onProgress] - Called with the tracked fraction (0..1).
+ * @returns {Promise<Object[]>} The notes.
+ */
+export async function trackPitch (samples, options, onProgress) {
+  const tracker = createPitchTracker(options)
+  const chunkSize = (options.hopLength || DEFAULT_PITCH_SETTINGS.hopLength) * 64
+  const notes = []
+
+  for (let offset = 0; offset < samples.length; offset += chunkSize) {
+    notes.push(...tracker.push(samples.subarray(offset, offset + chunkSize)))
+    if (onProgress) onProgress(offset / samples.length)
+    await new Promise(resolve => setTimeout(resolve))
+  }
+  notes.push(...tracker.flush())
+
+  return notes
+}
+
+/**
+ * RMS level of a frame in dBFS.
+ * @param {Float32Array} frame - The samples.
+ * @returns {number} The level in dB.
+ */
+function frameRmsDb (frame) {
+  let sum = 0
+  for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i]
+  return 10 * Math.log10(sum / frame.length + 1e-20)
+}
@@ -0,0 +1,343 @@
+/**
+ * Polyphonic note transcription from spectral peaks: harmonic grouping with
+ * iterative estimation and cancellation (after Klapuri 2003) and note
+ * tracking with onset/offset hysteresis.
+ */
+import { createStftAnalyzer } from './stftAnalyzer.js'
+import { dbToVelocity } from './utils/midiUtils.js'
+
+/**
+ * Default transcriber settings.
+ * @type {Object}
+ */
+export const DEFAULT_POLYPHONIC_SETTINGS = {
+  sampleRate: 44100,
+  peakThresholdDb: -60,
+  relativeThreshold: 0.15,
+  maxPolyphony: 6,
+  minNoteLength: 0.08,
+  minNote: 21,
+  maxNote: 108
+}
+
+// Fine frequency grid for low notes, about 23 ms hop at 44.1 kHz
+const ANALYSIS_SETTINGS = { windowSize: 4096, windowType: 'hann', overlap: 0.75, zeroPadding: 2 }
+
+const MAX_PEAKS = 48
+const HARMONICS = 8
+// Tolerance of a harmonic match in cents
+const HARMONIC_TOLERANCE = 40
+// Frames a note has to be detected before it starts, and missed before it ends
+const ONSET_FRAMES = 2
+const OFFSET_FRAMES = 3
+// Notes that are already sounding are kept down to this fraction of the thresholds
+const SUSTAIN_FACTOR = 0.5
+// Jump of the fundamental level in dB that re-triggers a sounding note
+const RETRIGGER_DB = 5
+// Overtones are picked down to this many dB below the fundamental threshold
+const OVERTONE_RANGE_DB = 20
+
+/**
+ * Picks the spectral peaks of a frame, refined by parabolic interpolation.
+ * @param {Float32Array} db - Levels in dBFS per bin.
+ * @param {number} binWidth - The bin spacing in Hz.
+ * @param {number} thresholdDb - Peaks below this level are ignored.
+ * @param {number} maxFrequency - Peaks above this frequency are ignored.
+ * @returns {{frequency: number, db: number, amplitude: number}[]} The strongest
+ *   peaks sorted by frequency.
+ */
+export function findSpectralPeaks (db, binWidth, thresholdDb, maxFrequency) {
+  const peaks = []
+  const lastBin = Math.min(db.length - 1, Math.ceil(maxFrequency / binWidth))
+
+  for (let bin = 1; bin < lastBin; bin++) {
+    const level = db[bin]
+    if (level < thresholdDb || level <= db[bin - 1] || level < db[bin + 1]) continue
+
+    const left = db[bin - 1]
+    const right = db[bin + 1]
+    const denominator = left - 2 * level + right
+    const offset = denominator < 0 ? 0.5 * (left - right) / denominator : 0
+    const peakDb = level - 0.25 * (left - right) * offset
+
+    peaks.push({
+      frequency: (bin + offset) * binWidth,
+      db: peakDb,
+      amplitude: Math.pow(10, peakDb / 20)
+    })
+  }
+
+  peaks.sort((a, b) => b.db - a.db)
+  return peaks.slice(0, MAX_PEAKS).sort((a, b) => a.frequency - b.frequency)
+}
+
+/**
+ * Estimates the fundamentals sounding in a frame. The most salient
+ * candidate (weighted sum of its harmonic amplitudes) is taken first and its
+ * harmonics are cancelled from the peaks, keeping what exceeds a smooth
+ * spectral envelope so that notes an octave apart can both be found.
+ * @param {Object[]} peaks - Peaks from `findSpectralPeaks`.
+ * @param {Object} settings - Thresholds, see `DEFAULT_POLYPHONIC_SETTINGS`.
+ * @param {Set<number>} [sounding] - MIDI notes already sounding, detected at lower thresholds.
+ * @returns {{midiNote: number, frequency: number, db: number, fundamentalDb: number}[]}
+ *   The notes found; `db` is the level of all matched harmonics together.
+ */
+export function estimateFundamentals (peaks, settings, sounding = new Set()) {
+  const { peakThresholdDb, relativeThreshold, maxPolyphony, minNote, maxNote } = settings
+  const minAmplitude = Math.pow(10, peakThresholdDb / 20)
+  const residual = peaks.map(peak => peak.amplitude)
+  const tolerance = Math.pow(2, HARMONIC_TOLERANCE / 1200)
+  const notes = []
+  let firstSalience = 0
+
+  const candidates = []
+  peaks.forEach((peak, index) => {
+    const midiNote = Math.round(69 + 12 * Math.log2(peak.frequency / 440))
+    if (midiNote >= minNote && midiNote <= maxNote) candidates.push({ index, midiNote })
+  })
+
+  while (notes.length < maxPolyphony) {
+    let best = null
+
+    for (const candidate of candidates) {
+      if (notes.some(note => note.midiNote === candidate.midiNote)) continue
+
+      const factor = sounding.has(candidate.midiNote) ? SUSTAIN_FACTOR : 1
+      if (residual[candidate.index] < minAmplitude * factor) continue
+
+      // A note needs at least one overtone left besides its fundamental
+      const harmonics = matchHarmonics(peaks, peaks[candidate.index].frequency, tolerance)
+      let salience = 0
+      let partials = 0
+      harmonics.forEach((peakIndex, h) => {
+        if (peakIndex === -1 || residual[peakIndex] === 0) return
+        salience += residual[peakIndex] / (h + 1)
+        partials++
+      })
+
+      if (partials < 2 || salience < firstSalience * relativeThreshold * factor) continue
+      if (!best || salience > best.salience) best = { ...candidate, harmonics, salience }
+    }
+    if (!best) break
+
+    if (!notes.length) firstSalience = best.salience
+
+    // The fundamental is removed completely, overtones down to the smoothed
+    // envelope of the measured peaks; shared overtones keep the excess
+    let energy = 0
+    const amplitudes = best.harmonics.map(peakIndex => peakIndex === -1 ? 0 : peaks[peakIndex].amplitude)
+    best.harmonics.forEach((peakIndex, h) => {
+      if (peakIndex === -1) return
+      const envelope = h === 0
+        ? residual[peakIndex]
+        : Math.min(amplitudes[h], (amplitudes[h - 1] + (amplitudes[h + 1] || 0)) / 2)
+      const explained = Math.min(residual[peakIndex], envelope)
+      energy += explained * explained
+      residual[peakIndex] -= explained
+    })
+
+    notes.push({
+      midiNote: best.midiNote,
+      frequency: peaks[best.index].frequency,
+      db: 10 * Math.log10(energy),
+      fundamentalDb: peaks[best.index].db
+    })
+  }
+
+  return notes
+}
+
+/**
+ * Finds the peak closest to every harmonic of a fundamental.
+ * @param {Object[]} peaks - Peaks sorted by frequency.
+ * @param {number} fundamental - The fundamental frequency in Hz.
+ * @param {number} tolerance - The largest frequency ratio of a match.
+ * @returns {number[]} Peak indices per harmonic, -1 where none matches.
+ */
+function matchHarmonics (peaks, fundamental, tolerance) {
+  const matches = new Array(HARMONICS).fill(-1)
+
+  for (let h = 0; h < HARMONICS; h++) {
+    const target = fundamental * (h + 1)
+    let bestRatio = tolerance
+
+    for (let i = 0; i < peaks.length; i++) {
+      const ratio = peaks[i].frequency > target ? peaks[i].frequency / target : target / peaks[i].frequency
+      if (ratio < bestRatio) {
+        bestRatio = ratio
+        matches[h] = i
+      }
+    }
+  }
+  return matches
+}
+
+/**
+ * Creates a streaming polyphonic transcriber. Samples are pushed in arbitrary
+ * block sizes and analyzed with an STFT of its own; notes are returned once
+ * they have ended.
+ * @param {Object} [options] - Initial settings, see `DEFAULT_POLYPHONIC_SETTINGS`.
+ * @param {number} [options.peakThresholdDb] - Level in dBFS a fundamental peak must reach.
+ * @param {number} [options.relativeThreshold] - Salience of further notes relative to the strongest (0..1).
+ * @param {number} [options.maxPolyphony] - Most notes per frame.
+ * @param {number} [options.minNoteLength] - Shortest note kept, in seconds.
+ * @returns {Object} The transcriber with `configure`, `push`, `flush` and `reset`.
+ */
+export function createPolyphonicTranscriber (options = {}) {
+  const settings = { ...DEFAULT_POLYPHONIC_SETTINGS }
+  const analyzer = createStftAnalyzer(ANALYSIS_SETTINGS)
+  const tracks = new Map()
+
+  configure(options)
+
+  /**
+   * Updates transcriber settings.
+   * @param {Object} changes - The settings to change.
+   */
+  function configure (changes) {
+    Object.assign(settings, changes)
+    if (changes.sampleRate) analyzer.configure({ sampleRate: settings.sampleRate })
+  }
+
+  /**
+   * Clears the sample history and drops unfinished notes.
+   */
+  function reset () {
+    analyzer.reset()
+    tracks.clear()
+  }
+
+  /**
+   * Appends samples and transcribes every frame that became complete.
+   * @param {Float32Array} samples - New mono samples.
+   * @returns {Object[]} Notes that ended, see `finishNote`.
+   */
+  function push (samples) {
+    const notes = []
+    analyzer.push(samples).forEach(frame => notes.push(...trackFrame(frame)))
+    return notes
+  }
+
+  /**
+   * Ends the notes that are still sounding, e.g. at the end of a file.
+   * @returns {Object[]} The notes that were long enough.
+   */
+  function flush () {
+    const notes = []
+    for (const track of tracks.values()) {
+      if (track.isConfirmed) {
+        const note = finishNote(track)
+        if (note) notes.push(note)
+      }
+    }
+    tracks.clear()
+    return notes
+  }
+
+  /**
+   * Matches the fundamentals of a frame to the sounding notes: detections
+   * start a note after `ONSET_FRAMES`, misses end it after `OFFSET_FRAMES`.
+   * @param {{db: Float32Array, time: number}} frame - An analyzer frame.
+   * @returns {Object[]} Notes that ended with this frame.
+   */
+  function trackFrame (frame) {
+    const { sampleRate, nFft, hopLength } = analyzer.getLayout()
+    const binWidth = sampleRate / nFft
+    const frameDuration = hopLength / sampleRate
+    const maxFrequency = 440 * Math.pow(2, (settings.maxNote - 69) / 12) * HARMONICS
+
+    const sounding = new Set()
+    for (const [midiNote, track] of tracks) {
+      if (track.isConfirmed) sounding.add(midiNote)
+    }
+
+    const peaks = findSpectralPeaks(frame.db, binWidth, settings.peakThresholdDb - OVERTONE_RANGE_DB, maxFrequency)
+    const detected = estimateFundamentals(peaks, settings, sounding)
+    const finished = []
+
+    for (const { midiNote, frequency, db, fundamentalDb } of detected) {
+      let track = tracks.get(midiNote)
+
+      if (track && track.isConfirmed && fundamentalDb - Math.min(...track.recentDb) > RETRIGGER_DB) {
+        const note = finishNote(track)
+        if (note) finished.push(note)
+        track = null
+      }
+      if (!track) {
+        track = { midiNote, startTime: frame.time, frequencies: [], recentDb: [], peakDb: db, hits: 0, isConfirmed: false }
+        tracks.set(midiNote, track)
+      }
+
+      track.endTime = frame.time + frameDuration
+      track.frequencies.push(frequency)
+      track.peakDb = Math.max(track.peakDb, db)
+      // An attack can be spread over two frames, so the jump is measured against the last few
+      track.recentDb.push(fundamentalDb)
+      if (track.recentDb.length > ONSET_FRAMES + 1) track.recentDb.shift()
+      track.misses = 0
+      track.hits++
+      if (track.hits >= ONSET_FRAMES) track.isConfirmed = true
+    }
+
+    for (const [midiNote, track] of tracks) {
+      if (detected.some(note => note.midiNote === midiNote)) continue
+
+      track.misses++
+      if (!track.isConfirmed) {
+        tracks.delete(midiNote)
+      } else if (track.misses > OFFSET_FRAMES) {
+        tracks.delete(midiNote)
+        const note = finishNote(track)
+        if (note) finished.push(note)
+      }
+    }
+
+    return finished
+  }
+
+  /**
+   * Turns a track into a note, or null if it is too short.
+   * @param {Object} track - The track.
+   * @returns {{startTime: number, endTime: number, frequency: number, midiNote: number, velocity: number}|null}
+   */
+  function finishNote (track) {
+    if (track.endTime - track.startTime < settings.minNoteLength) return null
+
+    const sorted = track.frequencies.slice().sort((a, b) => a - b)
+    return {
+      startTime: track.startTime,
+      endTime: track.endTime,
+      frequency: sorted[Math.floor(sorted.length / 2)],
+      midiNote: track.midiNote,
+      velocity: dbToVelocity(track.peakDb)
+    }
+  }
+
+  return { configure, push, flush, reset }
+}
+
+/**
+ * Transcribes a complete signal, yielding to the event loop between chunks
+ * so the page stays responsive.
+ * @param {Float32Array} samples - Mono samples.
+ * @param {Object} options - Transcriber settings, see `createPolyphonicTranscriber`.
+ * @param {Function} [onProgress] - Called with the transcribed fraction (0..1).
+ * @returns {Promise<Object[]>} The notes sorted by start time.
+ */
+export async function transcribePolyphonic (samples, options, onProgress) {
+  const transcriber = createPolyphonicTranscriber(options)
+  const chunkSize = ANALYSIS_SETTINGS.windowSize * 16
+  const notes = []
+
+  for (let offset = 0; offset < samples.length; offset += chunkSize) {
+    notes.push(...transcriber.push(samples.subarray(offset, offset + chunkSize)))
+    if (onProgress) onProgress(offset / samples.length)
+    await new Promise(resolve => setTimeout(resolve))
+  }
+
+  // Flush half a window of silence so notes at the very end are analyzed too
+  notes.push(...transcriber.push(new Float32Array(ANALYSIS_SETTINGS.windowSize * ANALYSIS_SETTINGS.zeroPadding / 2)))
+  notes.push(...transcriber.flush())
+
+  return notes.sort((a, b) => a.startTime - b.startTime)
+}
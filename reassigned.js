@@ -0,0 +1,219 @@
+/**
+ * Canonical time-frequency reassigned spectrogram
+ * (Flandrin, Auger & Chassande-Mottin 2002; librosa.reassigned_spectrogram).
+ */
+import { getWindow, padCenter, cyclicGradient, timeWeightedWindow } from './utils/windowFunctions.js'
+import { stftMulti, padSignal, getFrameCount } from './utils/stft.js'
+import { getFFTPlan } from './utils/fft.js'
+
+/**
+ * Computes reassigned frequencies, times and magnitudes for every STFT bin.
+ *
+ * The matrices have shape `(1 + nFft / 2, nFrames)` and are stored row-major
+ * (bin-major), matching the C-ordered arrays returned by librosa:
+ * the value for `bin` and `frame` lives at `bin * nFrames + frame`.
+ *
+ * @param {Object} options - Analysis options.
+ * @param {Float32Array} options.y - Mono input signal.
+ * @param {number} [options.sr=22050] - Sample rate in Hz.
+ * @param {number} [options.nFft=2048] - FFT size.
+ * @param {number} [options.hopLength] - Hop in samples (default `winLength / 4`).
+ * @param {number} [options.winLength] - Window length in samples (default `nFft`).
+ * @param {string|Float32Array} [options.window='hann'] - Window name or samples.
+ * @param {boolean} [options.center=false] - Center frames on their time stamps.
+ * @param {number|Function} [options.refPower=1e-6] - Power threshold below which
+ *   estimates are discarded, or a function of the power matrix returning it.
+ * @param {boolean} [options.fillNan=false] - Replace discarded estimates by the
+ *   bin frequency and frame time instead of NaN.
+ * @param {boolean} [options.clip=true] - Clamp frequencies to `[0, sr / 2]` and
+ *   times to `[0, y.length / sr]`.
+ * @returns {{freqs: Float32Array, times: Float32Array, mags: Float32Array, nBins: number, nFrames: number}}
+ */
+export function reassignedSpectrogram ({
+  y,
+  sr = 22050,
+  nFft = 2048,
+  hopLength,
+  winLength,
+  window = 'hann',
+  center = false,
+  refPower = 1e-6,
+  fillNan = false,
+  clip = true
+}) {
+  if (typeof refPower !== 'function' && !(refPower >= 0)) {
+    throw new Error('refPower must be non-negative or a function')
+  }
+  winLength = winLength || nFft
+  hopLength = hopLength || Math.floor(winLength / 4)
+
+  const { h, dh, th } = getBuffers(window, winLength, nFft)
+
+  const nBins = Math.floor(nFft / 2) + 1
+  const nFrames = getFrameCount(padSignal(y, nFft, center).length, nFft, hopLength)
+  const freqs = new Float32Array(nBins * nFrames)
+  const times = new Float32Array(nBins * nFrames)
+  const mags = new Float32Array(nBins * nFrames)
+
+  // Non-centered frames are stamped at their middle sample
+  const frameOffset = center ? 0 : Math.floor(nFft / 2)
+  const freqScale = 0.5 * sr / Math.PI
+
+  stftMulti(y, [h, dh, th], { nFft, hopLength, center }, (frame, [sh, sdh, sth]) => {
+    const frameTime = (frame * hopLength + frameOffset) / sr
+
+    for (let bin = 0; bin < nBins; bin++) {
+      const index = bin * nFrames + frame
+      const re = sh.re[bin]
+      const im = sh.im[bin]
+      const power = re * re + im * im
+
+      // Equation 5.20: omega - imag(S_dh / S_h)
+      const dhImag = (sdh.im[bin] * re - sdh.re[bin] * im) / power
+      // Equation 5.23: t + real(S_th / S_h)
+      const thReal = (sth.re[bin] * re + sth.im[bin] * im) / power
+
+      mags[index] = Math.sqrt(power)
+      freqs[index] = power > 0 ? bin * sr / nFft - dhImag * freqScale : NaN
+      times[index] = power > 0 ? frameTime + thReal / sr : NaN
+    }
+  })
+
+  const threshold = typeof refPower === 'function' ? refPower(squared(mags)) : refPower
+  const minMag = Math.sqrt(threshold)
+  const duration = y.length / sr
+
+  for (let bin = 0; bin < nBins; bin++) {
+    for (let frame = 0; frame < nFrames; frame++) {
+      const index = bin * nFrames + frame
+
+      if (threshold > 0 && mags[index] < minMag) {
+        freqs[index] = NaN
+        times[index] = NaN
+      }
+
+      if (fillNan) {
+        if (Number.isNaN(freqs[index])) freqs[index] = bin * sr / nFft
+        if (Number.isNaN(times[index])) times[index] = (frame * hopLength + frameOffset) / sr
+      }
+
+      if (clip) {
+        freqs[index] = clamp(freqs[index], 0, sr / 2)
+        times[index] = clamp(times[index], 0, duration)
+      }
+    }
+  }
+
+  return { freqs, times, mags, nBins, nFrames }
+}
+
+/**
+ * Computes the reassigned frequencies and magnitudes of one frame, the first
+ * `nFft` samples of `y`, like a single non-centered frame of
+ * `reassignedSpectrogram`. Windows and buffers are cached per window and FFT
+ * size, so streaming analysis does not allocate; the returned arrays are
+ * overwritten by the next call with the same settings.
+ *
+ * @param {Object} options - Analysis options, see `reassignedSpectrogram`.
+ * @param {Float32Array} options.y - The frame samples.
+ * @param {number} [options.sr=22050] - Sample rate in Hz.
+ * @param {number} [options.nFft=2048] - FFT size.
+ * @param {number} [options.winLength] - Window length in samples (default `nFft`).
+ * @param {string|Float32Array} [options.window='hann'] - Window name or samples.
+ * @param {number} [options.refPower=1e-6] - Power threshold below which
+ *   frequencies are discarded as NaN.
+ * @returns {{freqs: Float32Array, mags: Float32Array, nBins: number}}
+ */
+export function reassignFrame ({
+  y,
+  sr = 22050,
+  nFft = 2048,
+  winLength,
+  window = 'hann',
+  refPower = 1e-6
+}) {
+  if (!(refPower >= 0)) throw new Error('refPower must be non-negative')
+
+  const { h, dh, plan, windowed, spectra, freqs, mags, nBins } = getBuffers(window, winLength || nFft, nFft)
+  const [sh, sdh] = spectra
+  for (let k = 0; k < spectra.length; k++) {
+    const frameWindow = k === 0 ? h : dh
+    for (let i = 0; i < nFft; i++) windowed[i] = (y[i] || 0) * frameWindow[i]
+    plan.forwardReal(windowed, spectra[k].re, spectra[k].im)
+  }
+
+  const minMag = Math.sqrt(refPower)
+  const freqScale = 0.5 * sr / Math.PI
+  for (let bin = 0; bin < nBins; bin++) {
+    const re = sh.re[bin]
+    const im = sh.im[bin]
+    const power = re * re + im * im
+    // Equation 5.20, see `reassignedSpectrogram`
+    const dhImag = (sdh.im[bin] * re - sdh.re[bin] * im) / power
+
+    mags[bin] = Math.sqrt(power)
+    freqs[bin] = power > 0 && !(refPower > 0 && mags[bin] < minMag)
+      ? clamp(bin * sr / nFft - dhImag * freqScale, 0, sr / 2)
+      : NaN
+  }
+
+  return { freqs, mags, nBins }
+}
+
+// Reassignment windows and frame buffers by window and FFT size; windows
+// given as samples are told apart by identity
+const namedBuffers = new Map()
+const sampledBuffers = new WeakMap()
+
+function getBuffers (window, winLength, nFft) {
+  let cache = namedBuffers
+  let key = `${window}:${winLength}:${nFft}`
+  if (typeof window !== 'string') {
+    cache = sampledBuffers.get(window) || new Map()
+    sampledBuffers.set(window, cache)
+    key = `${winLength}:${nFft}`
+  }
+
+  let buffers = cache.get(key)
+  if (!buffers) {
+    const h = padCenter(getWindow(window, winLength), nFft)
+    const nBins = Math.floor(nFft / 2) + 1
+    buffers = {
+      h,
+      dh: cyclicGradient(h),
+      th: timeWeightedWindow(h),
+      plan: getFFTPlan(nFft),
+      windowed: new Float64Array(nFft),
+      spectra: [0, 1].map(() => ({ re: new Float64Array(nBins), im: new Float64Array(nBins) })),
+      freqs: new Float32Array(nBins),
+      mags: new Float32Array(nBins),
+      nBins
+    }
+    cache.set(key, buffers)
+  }
+  return buffers
+}
+
+/**
+ * Returns the element-wise square of a magnitude matrix.
+ * @param {Float32Array} mags - The magnitudes.
+ * @returns {Float32Array} The powers.
+ */
+function squared (mags) {
+  const power = new Float32Array(mags.length)
+  for (let i = 0; i < mags.length; i++) {
+    power[i] = mags[i] * mags[i]
+  }
+  return power
+}
+
+/**
+ * Clamps a value to a range, leaving NaN untouched.
+ * @param {number} value - The value.
+ * @param {number} min - Lower bound.
+ * @param {number} max - Upper bound.
+ * @returns {number} The clamped value.
+ */
+function clamp (value, min, max) {
+  return value < min ? min : value > max ? max : value
+}
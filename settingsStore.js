@@ -0,0 +1,257 @@
+/**
+ * Settings store: the display and analysis settings in one place, with
+ * validation, change events, URL hash serialization and presets
+ */
+import { FREQUENCY_SCALES } from './utils/frequencyScales.js'
+
+/**
+ * The settings with their type, default and valid values. Numbers lie
+ * between `min` and `max`, enums are one of `values`, colors are `#rrggbb`.
+ * @type {Object<string, {type: string, default: *, min?: number, max?: number, values?: Array}>}
+ */
+export const SETTINGS_SCHEMA = {
+  // Levels and colors
+  minDb: { type: 'number', default: -100, min: -160, max: -20 },
+  maxDb: { type: 'number', default: -20, min: -80, max: 0 },
+  contrast: { type: 'number', default: 1, min: 0, max: 2 },
+  brightness: { type: 'number', default: 0, min: -1, max: 1 },
+  persistence: { type: 'number', default: 0, min: 0, max: 1 },
+  theme: {
+    type: 'enum',
+    default: 'heatmap',
+    values: ['heatmap', 'grayscale', 'rainbow', 'greenToRed', 'blueToYellow', 'darkOcean', 'nightVision', 'blackToPurple', 'custom']
+  },
+  customColorLow: { type: 'color', default: '#0000ff' },
+  customColorMid: { type: 'color', default: '#00ff00' },
+  customColorHigh: { type: 'color', default: '#ff0000' },
+
+  // Frequency and time axes
+  viewMode: { type: 'enum', default: 'spectrogram', values: ['spectrogram', 'chroma'] },
+  frequencyScale: { type: 'enum', default: 'log', values: Object.keys(FREQUENCY_SCALES) },
+  minFrequency: { type: 'enum', default: 30, values: [10, 20, 30, 50, 100, 200] },
+  maxFrequency: { type: 'number', default: 10000, min: 100, max: 10000 },
+  secondsPerScreen: { type: 'enum', default: 10, values: [2, 5, 10, 20, 30, 60] },
+
+  // Analysis
+  analysisMode: { type: 'enum', default: 'fft', values: ['fft', 'reassigned', 'cqt'] },
+  fftSize: { type: 'enum', default: 2048, values: [256, 512, 1024, 2048, 4096, 8192, 16384, 32768] },
+  windowType: { type: 'enum', default: 'hann', values: ['hann', 'hamming', 'blackmanHarris', 'kaiser', 'gaussian', 'flatTop'] },
+  overlap: { type: 'enum', default: 0.75, values: [0, 0.5, 0.75, 0.875] },
+  zeroPadding: { type: 'enum', default: 1, values: [1, 2, 4, 8] },
+  cqtBinsPerOctave: { type: 'enum', default: 24, values: [12, 24, 36, 48] },
+  cqtMinNote: { type: 'enum', default: 21, values: [21, 24, 36, 48] },
+  cqtMaxNote: { type: 'enum', default: 108, values: [84, 96, 108] }
+}
+
+/**
+ * Pairs of settings that keep their order: `lower` stays at least `gap`
+ * below `upper`.
+ * @type {{lower: string, upper: string, gap: number}[]}
+ */
+export const SETTINGS_RANGES = [
+  { lower: 'minDb', upper: 'maxDb', gap: 1 }
+]
+
+/**
+ * Built-in presets by name: the settings they change.
+ * @type {Object<string, {label: string, settings: Object}>}
+ */
+export const SETTINGS_PRESETS = {
+  voice: {
+    label: 'Voice',
+    settings: { viewMode: 'spectrogram', frequencyScale: 'log', minFrequency: 50, maxFrequency: 5012, analysisMode: 'fft', fftSize: 2048, overlap: 0.75, minDb: -90, maxDb: -20 }
+  },
+  guitar: {
+    label: 'Guitar',
+    settings: { viewMode: 'spectrogram', frequencyScale: 'semitone', minFrequency: 50, maxFrequency: 6310, analysisMode: 'fft', fftSize: 8192, zeroPadding: 2, overlap: 0.875, minDb: -100, maxDb: -20 }
+  },
+  birdsong: {
+    label: 'Birdsong',
+    settings: { viewMode: 'spectrogram', frequencyScale: 'linear', minFrequency: 200, maxFrequency: 10000, analysisMode: 'fft', fftSize: 512, overlap: 0.875, secondsPerScreen: 5, minDb: -100, maxDb: -30, theme: 'grayscale' }
+  },
+  mastering: {
+    label: 'Mastering',
+    settings: { viewMode: 'spectrogram', frequencyScale: 'log', minFrequency: 20, maxFrequency: 10000, analysisMode: 'fft', fftSize: 8192, windowType: 'blackmanHarris', minDb: -120, maxDb: 0, secondsPerScreen: 30 }
+  }
+}
+
+/**
+ * Converts a value to a setting's type and checks it; strings such as those
+ * from a URL are converted.
+ * @param {Object} definition - The setting, see `SETTINGS_SCHEMA`.
+ * @param {*} value - The value.
+ * @returns {*} The value, or undefined if it is not valid.
+ */
+function normalizeValue (definition, value) {
+  switch (definition.type) {
+    case 'number': {
+      const number = typeof value === 'string' ? parseFloat(value) : value
+      return typeof number === 'number' && number >= definition.min && number <= definition.max ? number : undefined
+    }
+    case 'enum':
+      return definition.values.find(option => String(option) === String(value))
+    case 'color':
+      return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : undefined
+    default:
+      return undefined
+  }
+}
+
+/**
+ * Picks the valid settings from an object, e.g. a preset or a URL hash,
+ * converting strings to the settings' types. Both settings of a range are
+ * invalid when the object gives them in the wrong order.
+ * @param {Object} values - The settings by name.
+ * @param {Object} [schema=SETTINGS_SCHEMA] - The settings, see `SETTINGS_SCHEMA`.
+ * @param {Object[]} [ranges=SETTINGS_RANGES] - See `SETTINGS_RANGES`.
+ * @returns {{settings: Object, invalid: string[]}} The valid settings, and
+ *   the names of unknown or invalid ones.
+ */
+export function validateSettings (values, schema = SETTINGS_SCHEMA, ranges = SETTINGS_RANGES) {
+  const settings = {}
+  const invalid = []
+  for (const [key, value] of Object.entries(values)) {
+    const normalized = schema[key] ? normalizeValue(schema[key], value) : undefined
+    if (normalized === undefined) {
+      invalid.push(key)
+    } else {
+      settings[key] = normalized
+    }
+  }
+  for (const { lower, upper, gap } of ranges) {
+    if (lower in settings && upper in settings && settings[upper] - settings[lower] < gap) {
+      invalid.push(lower, upper)
+      delete settings[lower]
+      delete settings[upper]
+    }
+  }
+  return { settings, invalid }
+}
+
+/**
+ * Serializes settings for the URL hash; only settings that differ from
+ * their default are written.
+ * @param {Object} values - The settings by name.
+ * @param {Object} [schema=SETTINGS_SCHEMA] - The settings, see `SETTINGS_SCHEMA`.
+ * @returns {string} E.g. 'minDb=-90&theme=grayscale', empty for the defaults.
+ */
+export function settingsToHash (values, schema = SETTINGS_SCHEMA) {
+  const params = new URLSearchParams()
+  for (const [key, definition] of Object.entries(schema)) {
+    if (key in values && values[key] !== definition.default) params.set(key, values[key])
+  }
+  return params.toString()
+}
+
+/**
+ * Reads the settings of a URL hash written by `settingsToHash`. The values
+ * are strings; see `validateSettings`.
+ * @param {string} hash - The hash, with or without the leading '#'.
+ * @returns {Object<string, string>} The settings by name.
+ */
+export function hashToSettings (hash) {
+  return Object.fromEntries(new URLSearchParams(hash.replace(/^#/, '')))
+}
+
+/**
+ * Creates a settings store. Listeners are told about every change with the
+ * settings that changed.
+ * @param {Object} [schema=SETTINGS_SCHEMA] - The settings, see `SETTINGS_SCHEMA`.
+ * @param {Object[]} [ranges=SETTINGS_RANGES] - See `SETTINGS_RANGES`.
+ * @returns {Object} The store with `get`, `getAll`, `set`, `reset` and `subscribe`.
+ */
+export function createSettingsStore (schema = SETTINGS_SCHEMA, ranges = SETTINGS_RANGES) {
+  const defaults = Object.fromEntries(Object.entries(schema).map(([key, definition]) => [key, definition.default]))
+  const values = { ...defaults }
+  const listeners = new Set()
+
+  /**
+   * Returns a setting.
+   * @param {string} key - The name.
+   * @returns {*} The value.
+   */
+  function get (key) {
+    return values[key]
+  }
+
+  /**
+   * Returns all settings.
+   * @returns {Object} A copy of the settings by name.
+   */
+  function getAll () {
+    return { ...values }
+  }
+
+  /**
+   * Changes settings and notifies the listeners once. Nothing is changed
+   * when one of the values is invalid. A setting moved past the other end of
+   * its range pushes that along, see `SETTINGS_RANGES`.
+   * @param {Object} changes - The new values by name; strings are converted.
+   * @returns {Object} The settings that actually changed.
+   */
+  function set (changes) {
+    return update(values, changes)
+  }
+
+  /**
+   * Returns all settings to their defaults, except those given, e.g. to
+   * reproduce a view from its URL hash.
+   * @param {Object} [changes] - Values that replace the defaults; see `set`.
+   * @returns {Object} The settings that changed.
+   */
+  function reset (changes = {}) {
+    return update(defaults, changes)
+  }
+
+  /**
+   * Applies changes on top of the current settings or the defaults, see `set`.
+   */
+  function update (base, changes) {
+    const { settings, invalid } = validateSettings(changes, schema, ranges)
+    if (invalid.length) {
+      throw new Error(`Invalid setting ${invalid[0]}: ${changes[invalid[0]]}`)
+    }
+
+    const next = { ...base, ...settings }
+    for (const { lower, upper, gap } of ranges) {
+      if (!(next[upper] - next[lower] < gap)) continue
+      const [moved, value] = lower in settings ? [upper, next[lower] + gap] : [lower, next[upper] - gap]
+      next[moved] = normalizeValue(schema[moved], value)
+      if (next[moved] === undefined) {
+        const key = moved === upper ? lower : upper
+        throw new Error(`Invalid setting ${key}: ${changes[key]}`)
+      }
+    }
+
+    const changed = {}
+    for (const [key, value] of Object.entries(next)) {
+      if (values[key] !== value) {
+        values[key] = value
+        changed[key] = value
+      }
+    }
+    if (Object.keys(changed).length) {
+      for (const listener of listeners) listener(changed)
+    }
+    return changed
+  }
+
+  /**
+   * Registers a listener for changes.
+   * @param {Function} listener - Called with the changed settings by name.
+   * @returns {Function} Removes the listener.
+   */
+  function subscribe (listener) {
+    listeners.add(listener)
+    return () => listeners.delete(listener)
+  }
+
+  return { get, getAll, set, reset, subscribe }
+}
+
+/**
+ * The settings of the app, shared by the renderer, the color themes and the
+ * controls.
+ * @type {Object}
+ */
+export const settings = createSettingsStore()
@@ -0,0 +1,139 @@
+/**
+ * Ring buffer of recent spectrogram frames
+ */
+
+/**
+ * Default length of the history in minutes.
+ * @type {number}
+ */
+export const DEFAULT_HISTORY_MINUTES = 2
+
+// Upper bound on the memory held by frames, whatever the duration
+const MAX_HISTORY_BYTES = 256 * 1024 * 1024
+const INITIAL_CAPACITY = 1024
+
+/**
+ * Creates a history of analysis frames covering the last minutes. Frames get
+ * consecutive indices in the order they are pushed; the oldest ones are
+ * dropped once they are older than the duration. Frames are kept, not copied,
+ * so they must not be modified afterwards.
+ * @param {Object} [options] - The settings.
+ * @param {number} [options.minutes=2] - The duration to keep.
+ * @returns {Object} The history with `push`, `get`, `findLastBefore`, `getFirstIndex`, `getEndIndex`,
+ *   `setDuration` and `clear`.
+ */
+export function createSpectralHistory (options = {}) {
+  let maxSeconds = (options.minutes || DEFAULT_HISTORY_MINUTES) * 60
+  let entries = new Array(INITIAL_CAPACITY)
+  let head = 0 // slot of the oldest entry
+  let count = 0
+  let endIndex = 0 // index of the next frame
+  let totalBytes = 0
+
+  /**
+   * Appends a frame.
+   * @param {Float32Array} frame - Levels in dBFS per bin.
+   * @param {number} time - The frame time in seconds.
+   * @param {Object} layout - The analyzer layout the frame was computed with.
+   * @returns {number} The index of the frame.
+   */
+  function push (frame, time, layout) {
+    while (count > 0 && (time - entries[head].time > maxSeconds || totalBytes + frame.byteLength > MAX_HISTORY_BYTES)) {
+      dropOldest()
+    }
+    if (count === entries.length) grow()
+
+    entries[(head + count) % entries.length] = { frame, time, layout }
+    count++
+    totalBytes += frame.byteLength
+    return endIndex++
+  }
+
+  /**
+   * Returns a frame with its time and layout.
+   * @param {number} index - The frame index.
+   * @returns {{frame: Float32Array, time: number, layout: Object}|null}
+   *   The entry, or null when the index is not (or no longer) in the history.
+   */
+  function get (index) {
+    const offset = Math.floor(index) - (endIndex - count)
+    if (offset < 0 || offset >= count) return null
+    return entries[(head + offset) % entries.length]
+  }
+
+  /**
+   * Finds the newest frame earlier than a time. Frame times must increase.
+   * @param {number} time - The time in seconds.
+   * @returns {number} The index, or `getFirstIndex() - 1` when all frames are at or after the time.
+   */
+  function findLastBefore (time) {
+    let low = 0
+    let high = count
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (entries[(head + middle) % entries.length].time < time) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+    return endIndex - count + low - 1
+  }
+
+  /**
+   * Returns the index of the oldest frame kept.
+   * @returns {number} The index.
+   */
+  function getFirstIndex () {
+    return endIndex - count
+  }
+
+  /**
+   * Returns the index the next frame will get.
+   * @returns {number} The index.
+   */
+  function getEndIndex () {
+    return endIndex
+  }
+
+  /**
+   * Changes the duration kept; a shorter one drops old frames right away.
+   * @param {number} minutes - The duration in minutes.
+   */
+  function setDuration (minutes) {
+    maxSeconds = minutes * 60
+    if (count === 0) return
+
+    const newestTime = entries[(head + count - 1) % entries.length].time
+    while (count > 0 && newestTime - entries[head].time > maxSeconds) dropOldest()
+  }
+
+  /**
+   * Drops all frames. Indices continue where they left off.
+   */
+  function clear () {
+    entries = new Array(INITIAL_CAPACITY)
+    head = 0
+    count = 0
+    totalBytes = 0
+  }
+
+  function dropOldest () {
+    totalBytes -= entries[head].frame.byteLength
+    entries[head] = undefined
+    head = (head + 1) % entries.length
+    count--
+  }
+
+  // Doubles the capacity, moving the entries to the start of the new buffer
+  function grow () {
+    const grown = new Array(entries.length * 2)
+    for (let i = 0; i < count; i++) {
+      grown[i] = entries[(head + i) % entries.length]
+    }
+    entries = grown
+    head = 0
+  }
+
+  return { push, get, findLastBefore, getFirstIndex, getEndIndex, setDuration, clear }
+}
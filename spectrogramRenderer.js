@@ -1,21 +1,35 @@
-import { getColor } from './colorThemes.js'
-import { frequencyToMIDI, saveMidiFile } from './utils/midiUtils.js'
-import { analyzeReassignment } from './timeFrequencyReassignment.js'
+import { getColorTable, COLOR_TABLE_SIZE } from './colorThemes.js'
+import { NOTE_NAMES, frequencyToMIDI, MIDIToFrequency, getNoteName, dbToVelocity, saveMidiFile } from './utils/midiUtils.js'
+import { createMusicXml, createAbc } from './utils/notationExport.js'
+import { downloadBlob } from './utils/fileUtils.js'
+import { createSpectralHistory } from './spectralHistory.js'
+import { createFrequencyAxis, getFrequencyTicks, formatFrequency } from './utils/frequencyScales.js'
+import { computeChroma } from './keyDetection.js'
+import { NO_CHORD, formatChordTimeline } from './chordRecognition.js'
+import { STANDARD_TUNING } from './utils/tuning.js'
+import { createNoteEditor } from './noteEditor.js'
+import { createTempoGrid } from './utils/tempoGrid.js'
+import { settings } from './settingsStore.js'
 
 /**
  * Global variables for the spectrogram renderer.
  */
 let canvas, ctx, labelCanvas, labelCtx
-const MIN_FREQUENCY = 30
+let MIN_FREQUENCY = 30
 let MAX_FREQUENCY = 22050
-let MIN_DB = -100
-let MAX_DB = -30
-let contrast = 1
-let brightness = 0
+// Mapping of the frequency range onto the y-axis, and the frequency of each
+// display row by number of rows
+let frequencyScale = 'log'
+let frequencyAxis = createFrequencyAxis(frequencyScale, MIN_FREQUENCY, MAX_FREQUENCY)
+const rowFrequencies = new Map()
+// What the rows show: 'spectrogram' (the frequency axis) or 'chroma' (one
+// band per pitch class, C at the bottom)
+let viewMode = 'spectrogram'
+const chromaLevels = new Float64Array(12)
 
-const NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']
 const MIN_NOTE = 21 // A0 (27,5 Hz)
 const MAX_NOTE = 108 // C8 (4186 Hz)
+let tuning = STANDARD_TUNING // piano keys, note names and cents, see `createTuning`
 const showPianoKeys = true
 
 let mouseX = 0
@@ -23,29 +37,125 @@ let mouseY = 0
 let isMouseOverCanvas = false
 
 // Variables for persistence
-let persistenceThreshold = 0
 const frequencyHistory = new Map()
 
-// Smoothing variables
+// Smoothing variables (levels in dB)
 const SMOOTHING_FACTOR = 0.8
-const previousValues = new Float32Array(2048)
+// Columns fed into the temporal smoothing before the first one re-rendered
+const SMOOTHING_WARMUP = 20
+// Per display row (two per pixel row): smoothed levels and the newest raw
+// levels; per pixel row: the values of the newest frame and of the newest
+// live column
+let previousValues = new Float32Array(0)
+let currentRows = new Float32Array(0)
+let frameValues = new Float32Array(0)
+let columnValues = new Float32Array(0)
+
+// Pixels of the spectrogram: a ring of columns in an ImageData, copied to an
+// offscreen canvas where it changed and drawn onto the canvas in two parts,
+// so scrolling moves `ringOffset` instead of reading the canvas back
+let ringImage = null
+let ringPixels = null
+let ringCanvas = null
+let ringCtx = null
+let ringOffset = 0 // slot shown at the left edge
+let dirtyStart = 0 // slots written since the last copy, wrapping around
+let dirtyCount = 0
+let isBlitScheduled = false
 
 // Status variables for drawing and interaction
 let isPaused = false
-let isDrawing = false
-const drawnNotes = new Map()
-let drawingStartX = 0
-let drawingStartY = 0
 
-const TICKS_PER_BEAT = 480
-const PIXELS_PER_BEAT = 100
+// Drawn, tracked and imported notes with their selection and undo history.
+// A mouse drag on the notes draws, moves, resizes or selects; its state
+// holds the mode, the start position and the notes before the drag.
+const noteEditor = createNoteEditor()
+const NOTE_EDGE_WIDTH = 5 // pixels at either end of a note that resize it
+const MIN_NOTE_DURATION = 0.01
+let noteDrag = null
+let snapToSemitone = true
+let noteEditorHandlers = {}
+
+const DEFAULT_TRACK_NAME = 'Spectrogram Notes'
+// Velocity of drawn notes whose level cannot be measured (live view)
+const DEFAULT_VELOCITY = 100
+// Note colours by source; imported MIDI stands apart from the transcription
+const NOTE_COLORS = {
+  drawn: '255, 255, 0',
+  tracked: '255, 255, 0',
+  imported: '0, 220, 255'
+}
+
+// Offline spectrogram of a loaded file and the part of it that is visible.
+// A file has one column per analysis frame; the view maps columns to canvas
+// pixels. Notes are stored in seconds. The live view has zoom 1 and scrolls
+// by moving viewStart along with the audio clock.
+let offlineSpectrogram = null
+let viewStart = 0
+let viewZoom = 1
+let isRenderScheduled = false
+let isMarkerRedrawScheduled = false
+const MAX_VIEW_ZOOM = 16
+
+// Live view: a column spans a fixed time, `liveSecondsPerScreen` across the
+// canvas width, so scrolling follows the audio clock whatever the frame and
+// display rates. Column c starts at c seconds per column on the live clock,
+// which keeps running when a new input restarts the analysis clock. The
+// frames of the last minutes are kept to scroll back and re-render.
+const DEFAULT_SECONDS_PER_SCREEN = 10
+let liveSecondsPerScreen = DEFAULT_SECONDS_PER_SCREEN
+let liveTime = 0 // live clock time of the newest frame
+let liveTimeOffset = 0 // live clock minus analysis clock
+let liveSecondsPerFrame = 512 / 44100 // until two frames have arrived
+let lastLiveColumn = -1 // newest column in the pixel ring
+let liveColumnLevels = new Float32Array(0)
+const liveHistory = createSpectralHistory()
+
+// Time ruler along the top of the view: seconds above, bars:beats of the
+// tempo grid below. Grid lines over the view mark bars, beats and the snap
+// division drawn and edited notes land on.
+const TIME_AXIS_HEIGHT = 18
+const BAR_AXIS_HEIGHT = 14
+const RULER_HEIGHT = TIME_AXIS_HEIGHT + BAR_AXIS_HEIGHT
+const TIME_AXIS_STEPS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300]
+const MIN_GRID_SPACING = 6 // pixels; denser grid lines are left out
+let tempoGridOptions = {}
+let tempoGrid = createTempoGrid()
+let gridDivision = 'off'
+let showGrid = true
+
+// Onset ticks along the top of the view, below the ruler (seconds)
+const ONSET_TICK_HEIGHT = 8
+let onsetTimes = []
+let showOnsets = true
+
+// Transport overlay for a loaded file: loop region and playhead (seconds)
+let playheadTime = null
+let loopRegion = null
+let loopDragStartX = null
+let transportHandlers = {}
+
+// Chord lane along the bottom of the view: recognized chords in seconds,
+// consecutive segments with the same chord merged
+const CHORD_LANE_HEIGHT = 18
+let chordSegments = []
+let showChordLane = true
+
+// Tuner panel: the latest reading of the fundamental, see `createTuner`
+const TUNER_PANEL_WIDTH = 180
+const TUNER_PANEL_HEIGHT = 86
+const TUNER_IN_TUNE_CENTS = 5 // closer counts as in tune
+const TUNER_STABLE_SPREAD = 3 // cents of spread below which the pitch is steady
+let isTunerVisible = false
+let tunerReading = null
+
+// Settings that change how levels map to colors
+const LEVEL_SETTINGS = ['minDb', 'maxDb', 'contrast', 'brightness', 'theme', 'customColorLow', 'customColorMid', 'customColorHigh']
 
 // Persistence parameters
 const PERSISTENCE_WINDOW = 500
 const PERSISTENCE_MIN_AMPLITUDE = 0.15
 
-let useReassignment = false
-
 /**
  * Initializes the spectrogram renderer.
  */
@@ -66,17 +176,40 @@ export function initSpectrogramRenderer(mainCanvas, mainCtx, labelsCanvas, label
   mainCanvas.addEventListener('mouseleave', handleMouseLeave)
   mainCanvas.addEventListener('mouseenter', handleMouseEnter)
   mainCanvas.addEventListener('dblclick', handleDoubleClick)
+  mainCanvas.addEventListener('wheel', handleWheel, { passive: false })
+
+  // The view follows the settings store
+  settings.subscribe(applySettings)
+  applySettings(settings.getAll())
 
   return { updateSpectrogramm, togglePause }
 }
 
 /**
- * Toggles the pause state.
+ * Applies changed settings, see `SETTINGS_SCHEMA`. Levels and colors are
+ * read from the store while rendering and only need a redraw.
+ * @param {Object} changes - The changed settings by name.
+ */
+function applySettings(changes) {
+  if ('secondsPerScreen' in changes) setSecondsPerScreen(changes.secondsPerScreen)
+  if ('viewMode' in changes) setViewMode(changes.viewMode)
+  if ('frequencyScale' in changes || 'minFrequency' in changes || 'maxFrequency' in changes) {
+    updateFrequencyRange(settings.get('frequencyScale'), settings.get('maxFrequency'), settings.get('minFrequency'))
+  }
+  if (LEVEL_SETTINGS.some(key => key in changes)) redrawSpectrogram()
+}
+
+/**
+ * Toggles the pause state. The history keeps recording while paused, so
+ * resuming renders the live view up to now; drawn notes stay and scroll
+ * along with it.
  */
 export function togglePause() {
   isPaused = !isPaused
-  if (!isPaused) {
-    drawnNotes.clear()
+  if (!isPaused && !offlineSpectrogram) {
+    cancelNoteDrag()
+    viewZoom = 1
+    renderView()
     labelCtx.clearRect(0, 0, labelCanvas.width, labelCanvas.height)
     drawFrequencyMarkers()
   }
@@ -84,449 +217,1908 @@ export function togglePause() {
 }
 
 /**
- * Updates the spectrogram visualization.
+ * Sets the time the live view shows across the canvas width.
+ * @param {number} seconds - The duration in seconds.
  */
-export function updateSpectrogramm(analyser, dataArray, audioContext) {
-  if (isPaused) {
-    redrawAllNotes()
-    return
-  }
+function setSecondsPerScreen(seconds) {
+  liveSecondsPerScreen = seconds
+  if (offlineSpectrogram) return
 
-  // Get raw time domain data for reassignment
-  const timeData = new Float32Array(analyser.frequencyBinCount)
-  if (useReassignment) {
-    analyser.getFloatTimeDomainData(timeData)
-    dataArray = analyzeReassignment(timeData, audioContext.sampleRate)
-  } else {
-    analyser.getByteFrequencyData(dataArray)
+  viewZoom = 1
+  renderView()
+  drawFrequencyMarkers()
+}
+
+/**
+ * Sets how many minutes of the live spectrogram are kept to scroll back through.
+ * @param {number} minutes - The duration in minutes.
+ */
+export function setHistoryDuration(minutes) {
+  liveHistory.setDuration(minutes)
+}
+
+/**
+ * Updates the spectrogram visualization with one analysis frame. The view
+ * advances by the columns the frame time covers: none when frames come
+ * faster than columns, several when they come slower or were missed.
+ * @param {Float32Array} frame - Levels in dBFS per bin.
+ * @param {Object} layout - The analyzer layout the frame was computed with, see `frequencyToBin`.
+ * @param {number} [time] - The frame time in seconds on the analysis clock.
+ */
+export function updateSpectrogramm(frame, layout, time) {
+  if (offlineSpectrogram) return
+
+  if (time === undefined) time = liveTime - liveTimeOffset + liveSecondsPerFrame
+  const frameTime = time + liveTimeOffset
+  if (frameTime <= liveTime) {
+    // The analysis clock started over for a new input
+    liveTimeOffset = liveTime + liveSecondsPerFrame - time
+  } else if (liveHistory.getEndIndex() > 0) {
+    liveSecondsPerFrame = frameTime - liveTime
   }
+  liveTime = time + liveTimeOffset
+  liveHistory.push(frame, liveTime, layout)
+  if (isPaused) return
 
-  // Shift the existing spectrogram to the left
-  const imageData = ctx.getImageData(1, 0, canvas.width - 1, canvas.height)
-  ctx.putImageData(imageData, 0, 0)
+  viewStart = getLiveColumnCount() - canvas.width
+  // The time ruler and grid scroll along
+  scheduleMarkerRedraw()
 
-  const binCount = analyser.frequencyBinCount
-  const nyquist = audioContext.sampleRate / 2
   const heightSteps = canvas.height * 2
   const currentTime = performance.now()
 
-  const currentFrame = new Float32Array(heightSteps)
+  if (previousValues.length !== heightSteps) {
+    previousValues = new Float32Array(heightSteps).fill(-200)
+    currentRows = new Float32Array(heightSteps)
+    frameValues = new Float32Array(canvas.height)
+    columnValues = new Float32Array(canvas.height)
+  }
 
   // First pass: Calculate raw values
+  frameToRows(frame, layout, currentRows, previousValues)
+
+  // Second pass: Apply smoothing and draw. Rows hidden by the persistence
+  // filter keep the value of the previous column.
   for (let y = 0; y < heightSteps; y++) {
-    const normalizedY = y / heightSteps
-    const frequency = MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, 1 - normalizedY)
-    const binIndexFloat = (frequency / nyquist) * binCount
-    const binIndex1 = Math.floor(binIndexFloat)
-    const binIndex2 = Math.min(binIndex1 + 1, dataArray.length - 1)
-    const binFraction = binIndexFloat - binIndex1
+    // Spatial smoothing (vertical), then temporal smoothing
+    let smoothedLevel = smoothRows(currentRows, y)
+    smoothedLevel = SMOOTHING_FACTOR * previousValues[y] + (1 - SMOOTHING_FACTOR) * smoothedLevel
+    previousValues[y] = smoothedLevel
 
-    let amplitude = 0
-    if (binIndex1 < dataArray.length) {
-      amplitude = dataArray[binIndex1] * (1 - binFraction) + dataArray[binIndex2] * binFraction
-    }
+    let value = levelToValue(smoothedLevel)
 
-    currentFrame[y] = amplitude
-  }
+    // The persistence filter keeps a second of history per frequency,
+    // only while it is enabled
+    const persistenceThreshold = settings.get('persistence')
+    if (persistenceThreshold > 0) {
+      const freqKey = Math.round(getRowFrequencies(heightSteps)[y])
 
-  // Second pass: Apply smoothing and draw
-  for (let y = 0; y < heightSteps; y++) {
-    // Spatial smoothing (vertical)
-    let smoothedAmplitude = 0
-    const smoothingRange = 2
-    let weightSum = 0
-
-    for (let offset = -smoothingRange; offset <= smoothingRange; offset++) {
-      const sampleY = Math.max(0, Math.min(heightSteps - 1, y + offset))
-      const weight = 1 / (1 + Math.abs(offset))
-      smoothedAmplitude += currentFrame[sampleY] * weight
-      weightSum += weight
-    }
+      if (!frequencyHistory.has(freqKey)) {
+        frequencyHistory.set(freqKey, [])
+      }
 
-    smoothedAmplitude /= weightSum
+      const history = frequencyHistory.get(freqKey)
+      history.push({ time: currentTime, amplitude: value })
 
-    // Temporal smoothing
-    smoothedAmplitude = SMOOTHING_FACTOR * previousValues[y] + (1 - SMOOTHING_FACTOR) * smoothedAmplitude
-    previousValues[y] = smoothedAmplitude
+      while (history.length > 0 && currentTime - history[0].time > 1000) {
+        history.shift()
+      }
 
-    // Update frequency history
-    const frequency = MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, 1 - y / heightSteps)
-    const freqKey = Math.round(frequency)
+      const persistenceScore = calculatePersistenceScore(history)
+      if (persistenceScore <= persistenceThreshold) continue
 
-    if (!frequencyHistory.has(freqKey)) {
-      frequencyHistory.set(freqKey, [])
+      const scaleFactor = (persistenceScore - persistenceThreshold) / (1 - persistenceThreshold)
+      value *= Math.max(0, Math.min(1, scaleFactor))
     }
 
-    const history = frequencyHistory.get(freqKey)
-    history.push({ time: currentTime, amplitude: smoothedAmplitude })
+    const canvasY = Math.floor((y / heightSteps) * canvas.height)
+    frameValues[canvasY] = applyContrastBrightness(value)
+  }
+
+  // After a resize or a gap of a whole screen the ring starts over from the history
+  const column = getLiveColumnCount() - 1
+  if (!prepareRing() || column - lastLiveColumn > ringImage.width) {
+    renderView()
+    return
+  }
 
-    while (history.length > 0 && currentTime - history[0].time > 1000) {
-      history.shift()
+  const width = ringImage.width
+  if (column === lastLiveColumn) {
+    // The newest column shows the loudest of its frames
+    const slot = (ringOffset + width - 1) % width
+    for (let y = 0; y < columnValues.length; y++) {
+      columnValues[y] = Math.max(columnValues[y], frameValues[y])
+    }
+    writeColumn(slot, columnValues)
+  } else {
+    columnValues.set(frameValues)
+    for (let i = lastLiveColumn; i < column; i++) {
+      writeColumn(ringOffset, columnValues)
+      ringOffset = (ringOffset + 1) % width
     }
+  }
+  lastLiveColumn = column
+  scheduleBlit()
+}
 
-    const persistenceScore = calculatePersistenceScore(history)
+/**
+ * Returns the live seconds per column at zoom 1.
+ */
+function getLiveSecondsPerColumn() {
+  return liveSecondsPerScreen / Math.max(1, canvas.width)
+}
 
-    if (persistenceThreshold === 0 || persistenceScore > persistenceThreshold) {
-      const db = 20 * Math.log10(smoothedAmplitude / 255)
-      const normalizedDb = (db - MIN_DB) / (MAX_DB - MIN_DB)
-      let value = Math.max(0, Math.min(1, normalizedDb))
+/**
+ * Returns the number of live columns up to the newest frame.
+ */
+function getLiveColumnCount() {
+  return Math.floor(liveTime / getLiveSecondsPerColumn()) + 1
+}
 
-      if (persistenceThreshold > 0) {
-        const scaleFactor = (persistenceScore - persistenceThreshold) / (1 - persistenceThreshold)
-        value *= Math.max(0, Math.min(1, scaleFactor))
-      }
+/**
+ * Allocates the pixel ring for the canvas size. Returns false when it was
+ * (re)allocated and holds no picture yet.
+ */
+function prepareRing() {
+  if (!canvas.width || !canvas.height) return false
+  if (ringImage && ringImage.width === canvas.width && ringImage.height === canvas.height) return true
+
+  ringImage = new ImageData(canvas.width, canvas.height)
+  ringPixels = new Uint32Array(ringImage.data.buffer)
+  if (!ringCanvas) {
+    ringCanvas = document.createElement('canvas')
+    ringCtx = ringCanvas.getContext('2d')
+  }
+  ringCanvas.width = canvas.width
+  ringCanvas.height = canvas.height
+  ringOffset = 0
+  dirtyCount = 0
+  return false
+}
 
-      value = (value - 0.5) * contrast + 0.5 + brightness
-      value = Math.max(0, Math.min(1, value))
+/**
+ * Colours one pixel column of the ring.
+ * @param {number} slot - The ring column.
+ * @param {Float32Array} values - Values (0..1) per pixel row.
+ */
+function writeColumn(slot, values) {
+  const table = getColorTable()
+  const scale = COLOR_TABLE_SIZE - 1
+  const width = ringImage.width
 
-      ctx.fillStyle = getColor(value)
-      const canvasY = Math.floor((y / heightSteps) * canvas.height)
-      ctx.fillRect(canvas.width - 1, canvasY, 1, 1)
-    }
+  for (let y = 0; y < values.length; y++) {
+    ringPixels[y * width + slot] = table[Math.round(values[y] * scale)]
   }
 
-  // After drawing the spectrogram, overlay the notes
-  if (drawnNotes.size > 0) {
-    redrawAllNotes()
+  // Columns are written left to right, so the changed slots stay one run
+  if (dirtyCount === 0) {
+    dirtyStart = slot
+    dirtyCount = 1
+  } else {
+    dirtyCount = Math.min(width, Math.max(dirtyCount, (slot - dirtyStart + width) % width + 1))
   }
 }
 
 /**
- * Calculates a persistence score for a frequency based on its history.
+ * Copies the changed ring columns to the offscreen canvas and draws the ring
+ * onto the canvas, starting at `ringOffset`.
  */
-export function calculatePersistenceScore(history) {
-  if (history.length === 0) return 0
-
-  const recentHistory = history.filter(entry => entry.time >= history[history.length - 1].time - PERSISTENCE_WINDOW)
-
-  if (recentHistory.length === 0) return 0
-
-  const avgAmplitude = recentHistory.reduce((sum, entry) => sum + entry.amplitude, 0) / recentHistory.length
+function blitRing() {
+  const width = ringImage.width
+  const height = ringImage.height
+
+  if (dirtyCount > 0) {
+    const firstSpan = Math.min(dirtyCount, width - dirtyStart)
+    ringCtx.putImageData(ringImage, 0, 0, dirtyStart, 0, firstSpan, height)
+    if (dirtyCount > firstSpan) ringCtx.putImageData(ringImage, 0, 0, 0, 0, dirtyCount - firstSpan, height)
+    dirtyCount = 0
+  }
 
-  if (avgAmplitude < PERSISTENCE_MIN_AMPLITUDE * 255) return 0
+  const tail = width - ringOffset
+  ctx.drawImage(ringCanvas, ringOffset, 0, tail, height, 0, 0, tail, height)
+  if (ringOffset > 0) ctx.drawImage(ringCanvas, 0, 0, ringOffset, height, tail, 0, ringOffset, height)
+}
 
-  const variance = recentHistory.reduce((sum, entry) => {
-    const diff = entry.amplitude - avgAmplitude
-    return sum + diff * diff
-  }, 0) / recentHistory.length
+/**
+ * Draws the live columns once per animation frame, however many arrived.
+ */
+function scheduleBlit() {
+  if (isBlitScheduled) return
 
-  const stdDev = Math.sqrt(variance)
-  const relativeStdDev = stdDev / avgAmplitude
+  isBlitScheduled = true
+  requestAnimationFrame(() => {
+    isBlitScheduled = false
+    if (ringImage) blitRing()
+  })
+}
 
-  const stabilityScore = Math.max(0, 1 - relativeStdDev)
+/**
+ * Redraws the label canvas once per animation frame, so the time ruler and
+ * detected notes scroll along with the live view.
+ */
+function scheduleMarkerRedraw() {
+  if (isMarkerRedrawScheduled) return
 
-  return stabilityScore
+  isMarkerRedrawScheduled = true
+  requestAnimationFrame(() => {
+    isMarkerRedrawScheduled = false
+    drawFrequencyMarkers()
+  })
 }
 
 /**
- * Updates the persistence threshold.
+ * Returns the (fractional) bin of a frequency in the frames of an analyzer
+ * layout: linear FFT bins, or constant-Q bins when the layout has
+ * `binsPerOctave` and `minFrequency`.
  */
-export function updatePersistence(value) {
-  persistenceThreshold = value
+function frequencyToBin(frequency, layout) {
+  if (layout.binsPerOctave) return layout.binsPerOctave * Math.log2(frequency / layout.minFrequency)
+  return frequency * layout.nFft / layout.sampleRate
 }
 
 /**
- * Draws frequency markers and piano keys on the label canvas.
+ * Samples a frame at the frequency of every display row by interpolating
+ * between neighbouring bins. Rows outside the bins keep their fallback.
+ * In the chroma view the rows show the power of their pitch class in dB.
  */
-export function drawFrequencyMarkers() {
-  if (!labelCtx || !labelCanvas) return
-
-  labelCtx.clearRect(0, 0, labelCanvas.width, labelCanvas.height)
-  const keyWidth = 25
-
-  if (showPianoKeys) {
-    const currentNote = isMouseOverCanvas ? getFrequencyInfo(mouseY).midiNote : null
-
-    for (let midiNote = MIN_NOTE; midiNote <= MAX_NOTE; midiNote++) {
-      const noteName = NOTES[midiNote % 12]
-      const octave = Math.floor(midiNote / 12) - 1
-      const isBlackKey = noteName.includes('#')
-      const frequency = 440 * Math.pow(2, (midiNote - 69) / 12)
-      const normalizedY = (Math.log(frequency) - Math.log(MIN_FREQUENCY)) / (Math.log(MAX_FREQUENCY) - Math.log(MIN_FREQUENCY))
-      const y = labelCanvas.height * (1 - normalizedY)
-
-      if (!isBlackKey) {
-        labelCtx.fillStyle = midiNote === currentNote ? '#aaf' : '#fff'
-        labelCtx.strokeStyle = '#666'
-        labelCtx.lineWidth = 1
-        const keyHeight = labelCanvas.height / 52
-        labelCtx.fillRect(0, y - keyHeight / 2, keyWidth, keyHeight)
-        labelCtx.strokeRect(0, y - keyHeight / 2, keyWidth, keyHeight)
-
-        if (noteName === 'C') {
-          labelCtx.fillStyle = '#666'
-          labelCtx.font = '10px Arial'
-          labelCtx.fillText(`C${octave}`, 2, y + 4)
-        }
-      } else {
-        labelCtx.fillStyle = midiNote === currentNote ? '#66f' : '#000'
-        labelCtx.strokeStyle = '#444'
-        labelCtx.lineWidth = 1
-
-        const keyHeight = labelCanvas.height / 52
-        const blackKeyWidth = keyWidth * 0.7
-        const blackKeyHeight = keyHeight * 0.7
-        labelCtx.fillRect(0, y - blackKeyHeight / 2, blackKeyWidth, blackKeyHeight)
-        labelCtx.strokeRect(0, y - blackKeyHeight / 2, blackKeyWidth, blackKeyHeight)
-      }
+function frameToRows(frame, layout, rows, fallback) {
+  const heightSteps = rows.length
+  if (viewMode === 'chroma') {
+    computeChroma(frame, layout, chromaLevels)
+    for (let y = 0; y < heightSteps; y++) {
+      rows[y] = 10 * Math.log10(chromaLevels[11 - Math.floor(y * 12 / heightSteps)] + 1e-20)
     }
+    return
   }
 
-  // Draw frequency markers
-  labelCtx.fillStyle = 'white'
-  labelCtx.font = '10px Arial'
-  const markers = [100, 500, 1000, 5000, 10000]
-
-  markers.forEach(freq => {
-    if (freq <= MAX_FREQUENCY) {
-      const y = labelCanvas.height * (1 - (Math.log(freq) - Math.log(MIN_FREQUENCY)) / (Math.log(MAX_FREQUENCY) - Math.log(MIN_FREQUENCY)))
-      const xOffset = showPianoKeys ? 30 : 5
-      labelCtx.fillText(`${freq}Hz`, xOffset, y)
-      labelCtx.beginPath()
-      labelCtx.moveTo(0, y)
-      labelCtx.lineTo(labelCanvas.width, y)
-      labelCtx.strokeStyle = 'rgba(255, 255, 255, 0.2)'
-      labelCtx.stroke()
-    }
-  })
-
-  // Draw crosshair and info box
-  if (isMouseOverCanvas) {
-    const info = getFrequencyInfo(mouseY)
-
-    // Draw horizontal line
-    labelCtx.beginPath()
-    labelCtx.moveTo(0, mouseY)
-    labelCtx.lineTo(labelCanvas.width, mouseY)
-    labelCtx.strokeStyle = 'rgba(255, 255, 0, 0.5)'
-    labelCtx.stroke()
+  const binCount = frame.length
+  const frequencies = getRowFrequencies(heightSteps)
 
-    // Info box
-    const boxX = Math.min(mouseX + 10, labelCanvas.width - 130)
-    const boxY = Math.min(Math.max(mouseY - 30, 10), labelCanvas.height - 50)
+  for (let y = 0; y < heightSteps; y++) {
+    const binIndexFloat = frequencyToBin(frequencies[y], layout)
+    const binIndex1 = Math.floor(binIndexFloat)
+    const binIndex2 = Math.min(binIndex1 + 1, binCount - 1)
+    const binFraction = binIndexFloat - binIndex1
 
-    labelCtx.fillStyle = 'rgba(0, 0, 0, 0.8)'
-    labelCtx.fillRect(boxX, boxY, 120, 40)
+    let level = fallback[y]
+    if (binIndex1 >= 0 && binIndex1 < binCount) {
+      level = frame[binIndex1] * (1 - binFraction) + frame[binIndex2] * binFraction
+    }
 
-    labelCtx.fillStyle = 'yellow'
-    labelCtx.font = '12px Arial'
-    labelCtx.fillText(`Note: ${info.note}`, boxX + 5, boxY + 15)
-    labelCtx.fillText(`Freq: ${info.frequency}Hz`, boxX + 5, boxY + 35)
+    rows[y] = level
   }
 }
 
 /**
- * Returns note and frequency information for a y-position.
+ * Returns the frequency of every row when the height is divided into the
+ * given number of rows, top row first.
  */
-export function getFrequencyInfo(y) {
-  const normalizedY = y / labelCanvas.height
-  const frequency = MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, 1 - normalizedY)
-  const midiNote = frequencyToMIDI(frequency)
-  const noteName = NOTES[midiNote % 12]
-  const octave = Math.floor(midiNote / 12) - 1
-
-  return {
-    frequency: Math.round(frequency),
-    note: `${noteName}${octave}`,
-    midiNote,
-    height:normalizedY
+function getRowFrequencies(rowCount) {
+  let frequencies = rowFrequencies.get(rowCount)
+  if (!frequencies) {
+    frequencies = new Float32Array(rowCount)
+    for (let y = 0; y < rowCount; y++) {
+      frequencies[y] = frequencyAxis.rowFrequency(1 - y / rowCount)
+    }
+    rowFrequencies.set(rowCount, frequencies)
   }
+  return frequencies
 }
 
 /**
- * Updates the frequency range for the spectrogram.
+ * Returns the level of a row smoothed with its vertical neighbours.
  */
-export function updateFrequencyRange(maxFreq) {
-  MAX_FREQUENCY = maxFreq
-  drawFrequencyMarkers()
+function smoothRows(rows, y) {
+  const heightSteps = rows.length
+  const smoothingRange = 2
+  let smoothedLevel = 0
+  let weightSum = 0
+
+  for (let offset = -smoothingRange; offset <= smoothingRange; offset++) {
+    const sampleY = Math.max(0, Math.min(heightSteps - 1, y + offset))
+    const weight = 1 / (1 + Math.abs(offset))
+    smoothedLevel += rows[sampleY] * weight
+    weightSum += weight
+  }
+
+  return smoothedLevel / weightSum
 }
 
 /**
- * Updates the dB range for the spectrogram.
+ * Maps a level in dB to 0..1 within the dB range of the settings.
  */
-export function updateDbRange(minDb, maxDb) {
-  MIN_DB = minDb
-  MAX_DB = maxDb
+function levelToValue(level) {
+  const minDb = settings.get('minDb')
+  const maxDb = settings.get('maxDb')
+  const normalizedDb = (level - minDb) / (maxDb - minDb)
+  return Math.max(0, Math.min(1, normalizedDb))
 }
 
 /**
- * Updates the contrast and brightness of the spectrogram.
+ * Applies the contrast and brightness of the settings to a 0..1 value.
  */
-export function updateContrastBrightness(newContrast, newBrightness) {
-  contrast = newContrast
-  brightness = newBrightness
+function applyContrastBrightness(value) {
+  value = (value - 0.5) * settings.get('contrast') + 0.5 + settings.get('brightness')
+  return Math.max(0, Math.min(1, value))
 }
 
 /**
- * Redraws all saved notes.
+ * Shows the full spectrogram of a loaded file instead of the live view.
+ * @param {Object} spectrogram - The analyzed file.
+ * @param {Float32Array[]} spectrogram.frames - Levels in dBFS per frame.
+ * @param {Object} spectrogram.layout - The analyzer layout of the frames, see `frequencyToBin`.
+ * @param {number} spectrogram.startTime - The time of the first frame in seconds.
  */
-function redrawAllNotes() {
-  for (const note of drawnNotes.values()) {
-    drawNoteOnLabelCanvas(note.x, note.y, note.width)
-  }
+export function showOfflineSpectrogram(spectrogram) {
+  offlineSpectrogram = spectrogram
+  cancelNoteDrag()
+  noteEditor.clear()
+  notifySelectionChange()
+  chordSegments = []
+  onsetTimes = []
+  updateTempoGrid()
+  playheadTime = 0
+  loopRegion = null
+
+  // Start with the whole file in view
+  viewStart = 0
+  viewZoom = Math.min(MAX_VIEW_ZOOM, canvas.width / Math.max(1, spectrogram.frames.length))
+
+  renderView()
+  drawFrequencyMarkers()
 }
 
 /**
- * Draws a note on the label canvas.
+ * Leaves the file view and returns to the live spectrogram.
  */
-function drawNoteOnLabelCanvas(x, y, width) {
-  const noteHeight = 4
-  const info = getFrequencyInfo(y)
-
-  labelCtx.fillStyle = 'rgba(0, 0, 0, 0.8)'
-  labelCtx.strokeStyle = 'rgba(0, 0, 0, 0.8)'
-  labelCtx.lineWidth = 2
-  labelCtx.fillRect(x - 1, y - noteHeight/2 - 1, width + 2, noteHeight + 2)
-  labelCtx.strokeRect(x - 1, y - noteHeight/2 - 1, width + 2, noteHeight + 2)
-
-  labelCtx.fillStyle = 'rgba(255, 255, 0, 0.5)'
-  labelCtx.strokeStyle = 'rgba(255, 255, 0, 0.8)'
-  labelCtx.lineWidth = 1
-  labelCtx.fillRect(x, y - noteHeight/2, width, noteHeight)
-  labelCtx.strokeRect(x, y - noteHeight/2, width, noteHeight)
-
-  labelCtx.fillStyle = 'yellow'
-  labelCtx.font = '10px Arial'
-  labelCtx.fillText(info.note, x + 2, y - noteHeight)
+export function clearOfflineSpectrogram() {
+  if (!offlineSpectrogram) return
+
+  offlineSpectrogram = null
+  viewZoom = 1
+  playheadTime = null
+  loopRegion = null
+  cancelNoteDrag()
+  noteEditor.clear()
+  notifySelectionChange()
+  chordSegments = []
+  onsetTimes = []
+  updateTempoGrid()
+  renderView()
+  drawFrequencyMarkers()
 }
 
 /**
- * Creates MIDI data from the drawn notes.
+ * Re-renders the visible part of the file or the live history, e.g. after
+ * the theme, level range, frequency range or canvas size changed.
  */
-export function createMidiData() {
-  if (drawnNotes.size === 0) return null
-
-  const sortedNotes = Array.from(drawnNotes.values()).sort((a, b) => a.x - b.x)
+export function redrawSpectrogram() {
+  if (isRenderScheduled) return
 
-  const midiNotes = sortedNotes.map(note => {
-    const startTick = Math.round((note.x / PIXELS_PER_BEAT) * TICKS_PER_BEAT)
-    const duration = Math.round((note.width / PIXELS_PER_BEAT) * TICKS_PER_BEAT)
-
-    return {
-      noteNumber: frequencyToMIDI(note.frequency),
-      startTime: startTick,
-      duration: Math.max(duration, TICKS_PER_BEAT / 4),
-      velocity: 100
-    }
+  isRenderScheduled = true
+  requestAnimationFrame(() => {
+    isRenderScheduled = false
+    renderView()
   })
+}
 
-  return {
-    ticksPerBeat: TICKS_PER_BEAT,
-    tracks: [{
-      name: 'Spectrogram Notes',
-      notes: midiNotes
-    }]
+/**
+ * Returns the frame of a column with its layout, or null where there is none.
+ * A live column shows the loudest level per bin of its frames, or the frame
+ * before it when frames are further apart than columns.
+ */
+function getColumn(column) {
+  if (!offlineSpectrogram) {
+    const secondsPerColumn = getLiveSecondsPerColumn()
+    const start = column * secondsPerColumn
+    const last = liveHistory.findLastBefore(start + secondsPerColumn)
+    const entry = liveHistory.get(last)
+    // No frame within two hops: a gap, e.g. while there was no input
+    if (!entry || entry.time < start - 2 * liveSecondsPerFrame) return null
+
+    let merged = null
+    for (let i = last - 1; ; i--) {
+      const previous = liveHistory.get(i)
+      if (!previous || previous.time < start || previous.frame.length !== entry.frame.length) break
+      if (!merged) {
+        if (liveColumnLevels.length !== entry.frame.length) liveColumnLevels = new Float32Array(entry.frame.length)
+        merged = liveColumnLevels
+        merged.set(entry.frame)
+      }
+      for (let bin = 0; bin < merged.length; bin++) {
+        merged[bin] = Math.max(merged[bin], previous.frame[bin])
+      }
+    }
+    return merged ? { ...entry, frame: merged } : entry
   }
+
+  const { frames, layout } = offlineSpectrogram
+  const frame = frames[column]
+  return frame ? { frame, layout } : null
 }
 
 /**
- * Exports the drawn notes as a MIDI file.
+ * Returns the first column and the column after the last one that can be shown.
  */
-export function exportToMidi() {
-  const midiData = createMidiData()
-  if (midiData) {
-    saveMidiFile(midiData, 'spectrogram_notes.mid')
+function getColumnRange() {
+  if (!offlineSpectrogram) {
+    const oldest = liveHistory.get(liveHistory.getFirstIndex())
+    const first = oldest ? Math.floor(oldest.time / getLiveSecondsPerColumn()) : getLiveColumnCount()
+    return { first, end: getLiveColumnCount() }
   }
+  return { first: 0, end: offlineSpectrogram.frames.length }
 }
 
-// Event Handlers
-function handleMouseMove(e) {
-  const rect = canvas.getBoundingClientRect()
-  mouseX = e.clientX - rect.left
-  mouseY = e.clientY - rect.top
-  isMouseOverCanvas = true
-
-  drawFrequencyMarkers()
+/**
+ * Renders the visible part of the file or the live history. When zoomed out
+ * so that several frames share a pixel column, the loudest level per bin is
+ * shown. The live history gets the same temporal smoothing as new columns,
+ * but not the persistence filter.
+ */
+function renderView() {
+  if (!canvas.width || !canvas.height) return
+  prepareRing()
+
+  // The running live view always ends at the newest column
+  if (!offlineSpectrogram && !isPaused) {
+    viewZoom = 1
+    viewStart = getLiveColumnCount() - canvas.width
+    lastLiveColumn = getLiveColumnCount() - 1
+    columnValues.fill(0)
+  }
 
-  if (isDrawing && isPaused) updateDrawing(e)
-}
+  const rows = new Float32Array(canvas.height)
+  const fallback = new Float32Array(canvas.height).fill(-Infinity)
+  const levels = new Float32Array(canvas.height)
+  let columnLevels = new Float32Array(0)
+  const { end } = getColumnRange()
+
+  ringOffset = 0
+  ringPixels.fill(getColorTable()[0])
+  dirtyStart = 0
+  dirtyCount = ringImage.width
+
+  // Temporal smoothing of the live view, started a few columns early
+  const smoothed = offlineSpectrogram ? null : new Float32Array(canvas.height).fill(-Infinity)
+
+  // Reads the levels of the pixel column at x into `levels`, smoothed
+  // vertically and, in the live view, over time. Returns false without data.
+  const readLevels = (x) => {
+    const firstColumn = Math.floor(canvasXToColumn(x))
+    const lastColumn = Math.min(end, Math.max(firstColumn + 1, Math.floor(canvasXToColumn(x + 1))))
+    const column = getColumn(firstColumn)
+    if (!column) return false
+
+    let frame = column.frame
+    if (lastColumn - firstColumn > 1) {
+      if (columnLevels.length !== frame.length) columnLevels = new Float32Array(frame.length)
+      columnLevels.set(frame)
+      for (let i = firstColumn + 1; i < lastColumn; i++) {
+        const next = getColumn(i)
+        if (!next || next.frame.length !== frame.length) continue
+        for (let bin = 0; bin < frame.length; bin++) {
+          columnLevels[bin] = Math.max(columnLevels[bin], next.frame[bin])
+        }
+      }
+      frame = columnLevels
+    }
 
-function handleMouseDown(e) {
-  if (isPaused) {
-    const rect = canvas.getBoundingClientRect()
-    drawingStartX = e.clientX - rect.left
-    drawingStartY = e.clientY - rect.top
-    isDrawing = true
+    frameToRows(frame, column.layout, rows, fallback)
+    for (let y = 0; y < rows.length; y++) {
+      levels[y] = smoothRows(rows, y)
+      if (smoothed) {
+        if (Number.isFinite(smoothed[y])) levels[y] = SMOOTHING_FACTOR * smoothed[y] + (1 - SMOOTHING_FACTOR) * levels[y]
+        smoothed[y] = levels[y]
+      }
+    }
+    return true
   }
-}
 
-function handleMouseUp(e) {
-  if (isPaused && isDrawing) {
-    const rect = canvas.getBoundingClientRect()
-    const endX = e.clientX - rect.left
-    const width = endX - drawingStartX
-
-    if (Math.abs(width) > 5) {
-      const info = getFrequencyInfo(drawingStartY)
-      const noteId = `${info.frequency}-${drawingStartX}`
-      drawnNotes.set(noteId, {
-        x: drawingStartX,
-        y: drawingStartY,
-        width,
-        frequency: info.frequency,
-        note: info.note
-      })
+  if (smoothed) {
+    const warmupStart = Math.floor(canvasXToColumn(0)) - SMOOTHING_WARMUP
+    for (let column = warmupStart; column < Math.floor(canvasXToColumn(0)); column++) {
+      readLevels(columnToCanvasX(column))
     }
-
-    isDrawing = false
-    redrawAllNotes()
   }
-}
 
-function handleMouseLeave() {
-  isMouseOverCanvas = false
-  drawFrequencyMarkers()
-}
+  // When zoomed in, neighbouring pixels showing the same column share its values
+  const values = new Float32Array(canvas.height)
+  let valuesColumn = null
+  let hasValues = false
+  for (let x = 0; x < canvas.width; x++) {
+    const column = Math.floor(canvasXToColumn(x))
+    if (column >= end) break
+    if (column !== valuesColumn) {
+      hasValues = readLevels(x)
+      valuesColumn = column
+      for (let y = 0; hasValues && y < levels.length; y++) {
+        values[y] = applyContrastBrightness(levelToValue(levels[y]))
+      }
+    }
+    if (hasValues) writeColumn(x, values)
+  }
 
-function handleMouseEnter() {
-  isMouseOverCanvas = true
-  drawFrequencyMarkers()
+  blitRing()
 }
 
-function handleDoubleClick(e) {
-  if (!isPaused) return
+/**
+ * Scrolls the file view or the paused live view with the wheel and zooms
+ * around the mouse with Ctrl/Cmd + wheel. The live view keeps its newest
+ * column at the right edge when the history is shorter than the canvas.
+ */
+function handleWheel(e) {
+  if (!offlineSpectrogram && !isPaused) return
+  e.preventDefault()
 
   const rect = canvas.getBoundingClientRect()
-  const x = e.clientX - rect.left
-  const y = e.clientY - rect.top
-  const clickThreshold = 5
-
-  for (const [noteId, note] of drawnNotes.entries()) {
-    if (
-      y >= note.y - clickThreshold &&
-      y <= note.y + clickThreshold &&
-      x >= note.x &&
-      x <= note.x + note.width
-    ) {
-      drawnNotes.delete(noteId)
-      redrawAllNotes()
-      break
-    }
+  const anchorX = e.clientX - rect.left
+  const anchorColumn = canvasXToColumn(anchorX)
+  const { first, end } = getColumnRange()
+
+  if (e.ctrlKey || e.metaKey) {
+    const minZoom = Math.min(1, canvas.width / Math.max(1, end - first))
+    viewZoom = Math.max(minZoom, Math.min(MAX_VIEW_ZOOM, viewZoom * Math.exp(-e.deltaY * 0.002)))
+    viewStart = anchorColumn - anchorX / viewZoom
+  } else {
+    const delta = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY
+    viewStart += delta / viewZoom
   }
+
+  const maxStart = end - canvas.width / viewZoom
+  const minStart = offlineSpectrogram ? 0 : Math.min(first, maxStart)
+  viewStart = Math.max(minStart, Math.min(Math.max(minStart, maxStart), viewStart))
+
+  redrawSpectrogram()
+  drawFrequencyMarkers()
 }
 
 /**
- * Updates the note drawing while dragging.
+ * Converts a column to seconds: file time in the file view, live clock time in the live view.
  */
-function updateDrawing(e) {
-  if (!isDrawing) return
-
-  const rect = canvas.getBoundingClientRect()
-  let currentX = e.clientX - rect.left
-  const width = currentX - drawingStartX
+function columnToTime(column) {
+  if (!offlineSpectrogram) return column * getLiveSecondsPerColumn()
+  const { startTime, layout } = offlineSpectrogram
+  return startTime + column * layout.hopLength / layout.sampleRate
+}
 
-  // Delete previous drawing
-  labelCtx.clearRect(0, 0, labelCanvas.width, labelCanvas.height)
-  drawFrequencyMarkers()
-  redrawAllNotes()
+/**
+ * Converts seconds to a (fractional) column, see `columnToTime`.
+ */
+function timeToColumn(time) {
+  if (!offlineSpectrogram) return time / getLiveSecondsPerColumn()
+  const { startTime, layout } = offlineSpectrogram
+  return (time - startTime) * layout.sampleRate / layout.hopLength
+}
 
-  // Draw current note
-  drawNoteOnLabelCanvas(drawingStartX, drawingStartY, width)
+/**
+ * Registers the callbacks the transport overlay reports to.
+ * @param {Object} handlers - The callbacks.
+ * @param {Function} [handlers.onSeek] - Called with a time in seconds when the
+ *   time axis or a note is clicked.
+ * @param {Function} [handlers.onLoopChange] - Called with `{ start, end }` in
+ *   seconds when a loop region is dragged on the time axis.
+ */
+export function setTransportHandlers(handlers) {
+  transportHandlers = handlers
 }
 
 /**
- * Toggles the reassignment state.
+ * Moves the playhead of the file view.
+ * @param {number} time - The playhead position in seconds.
+ * @param {boolean} [follow=false] - Page the view along when the playhead leaves it.
  */
-export function toggleReassignment(enable) {
-  useReassignment = enable
+export function setPlayheadTime(time, follow = false) {
+  if (!offlineSpectrogram) return
+  playheadTime = time
+
+  const x = columnToCanvasX(timeToColumn(time))
+  if (follow && (x < 0 || x >= canvas.width)) {
+    const maxStart = Math.max(0, offlineSpectrogram.frames.length - canvas.width / viewZoom)
+    viewStart = Math.max(0, Math.min(maxStart, timeToColumn(time)))
+    redrawSpectrogram()
+  }
+  drawFrequencyMarkers()
+}
+
+/**
+ * Shows or hides the loop region of the file view.
+ * @param {{start: number, end: number}|null} region - The region in seconds, or null.
+ */
+export function showLoopRegion(region) {
+  loopRegion = region
+  drawFrequencyMarkers()
+}
+
+/**
+ * Draws the loop region and the playhead of the file view.
+ */
+function drawTransportOverlay() {
+  if (loopRegion) {
+    const startX = columnToCanvasX(timeToColumn(loopRegion.start))
+    const endX = columnToCanvasX(timeToColumn(loopRegion.end))
+    labelCtx.fillStyle = 'rgba(120, 160, 255, 0.15)'
+    labelCtx.fillRect(startX, 0, endX - startX, labelCanvas.height)
+  }
+
+  if (playheadTime !== null) {
+    const x = Math.round(columnToCanvasX(timeToColumn(playheadTime))) + 0.5
+    labelCtx.beginPath()
+    labelCtx.moveTo(x, 0)
+    labelCtx.lineTo(x, labelCanvas.height)
+    labelCtx.strokeStyle = 'rgba(255, 80, 80, 0.9)'
+    labelCtx.lineWidth = 1
+    labelCtx.stroke()
+  }
+}
+
+/**
+ * Draws the time ruler: seconds, with the loop region of a loaded file,
+ * and the bars and beats of the tempo grid.
+ */
+function drawTimeRuler() {
+  const width = labelCanvas.width
+  labelCtx.fillStyle = 'rgba(0, 0, 0, 0.7)'
+  labelCtx.fillRect(0, 0, width, RULER_HEIGHT)
+
+  if (offlineSpectrogram && loopRegion) {
+    const startX = columnToCanvasX(timeToColumn(loopRegion.start))
+    const endX = columnToCanvasX(timeToColumn(loopRegion.end))
+    labelCtx.fillStyle = 'rgba(120, 160, 255, 0.6)'
+    labelCtx.fillRect(startX, 0, endX - startX, TIME_AXIS_HEIGHT)
+  }
+
+  // Seconds with the smallest tick step that keeps labels ~80px apart
+  const pixelsPerSecond = getPixelsPerSecond()
+  const step = TIME_AXIS_STEPS.find(candidate => candidate * pixelsPerSecond >= 80) || TIME_AXIS_STEPS[TIME_AXIS_STEPS.length - 1]
+  const firstTick = Math.ceil(columnToTime(viewStart) / step) * step
+  const lastTime = columnToTime(canvasXToColumn(width))
+
+  labelCtx.strokeStyle = 'rgba(255, 255, 255, 0.6)'
+  labelCtx.lineWidth = 1
+  labelCtx.fillStyle = 'white'
+  labelCtx.font = '10px Arial'
+  for (let time = firstTick; time <= lastTime; time += step) {
+    const x = Math.round(columnToCanvasX(timeToColumn(time))) + 0.5
+    labelCtx.beginPath()
+    labelCtx.moveTo(x, TIME_AXIS_HEIGHT - 6)
+    labelCtx.lineTo(x, TIME_AXIS_HEIGHT)
+    labelCtx.stroke()
+    labelCtx.fillText(formatTime(time, step), x + 3, 11)
+  }
+
+  // Bars:beats, labelling every beat when there is room, else every bar
+  // or every second, fourth, ... bar
+  const beatsPerBar = tempoGrid.timeSignature.numerator
+  const beatWidth = tempoGrid.secondsPerBeat * pixelsPerSecond
+  if (!(beatWidth > 0)) return
+  let labelStep = beatWidth >= 40 ? 1 : beatsPerBar
+  while (labelStep * beatWidth < 40) labelStep *= 2
+
+  labelCtx.fillStyle = '#ccc'
+  const firstBeat = Math.ceil(tempoGrid.timeToBeat(columnToTime(viewStart)) / labelStep) * labelStep
+  for (let beat = firstBeat; tempoGrid.beatToTime(beat) <= lastTime; beat += labelStep) {
+    const time = tempoGrid.beatToTime(beat)
+    const x = Math.round(columnToCanvasX(timeToColumn(time))) + 0.5
+    const isBar = (beat % beatsPerBar + beatsPerBar) % beatsPerBar === 0
+    labelCtx.beginPath()
+    labelCtx.moveTo(x, isBar ? TIME_AXIS_HEIGHT : RULER_HEIGHT - 4)
+    labelCtx.lineTo(x, RULER_HEIGHT)
+    labelCtx.stroke()
+    const label = labelStep >= beatsPerBar ? `${Math.floor(beat / beatsPerBar) + 1}` : tempoGrid.formatPosition(time)
+    labelCtx.fillText(label, x + 3, RULER_HEIGHT - 3)
+  }
+}
+
+/**
+ * Draws the bar, beat and snap division lines of the tempo grid, leaving
+ * out those too dense to tell apart.
+ */
+function drawGridLines() {
+  if (!showGrid) return
+
+  const pixelsPerSecond = getPixelsPerSecond()
+  const lines = [
+    { step: tempoGrid.getDivisionLength(gridDivision), color: 'rgba(255, 255, 255, 0.07)' },
+    { step: tempoGrid.secondsPerBeat, color: 'rgba(255, 255, 255, 0.15)' },
+    { step: tempoGrid.secondsPerBar, color: 'rgba(255, 255, 255, 0.35)' }
+  ]
+  const startTime = columnToTime(viewStart)
+  const endTime = columnToTime(canvasXToColumn(labelCanvas.width))
+
+  labelCtx.lineWidth = 1
+  for (const { step, color } of lines) {
+    if (!(step * pixelsPerSecond >= MIN_GRID_SPACING)) continue
+
+    labelCtx.strokeStyle = color
+    labelCtx.beginPath()
+    const first = Math.ceil((startTime - tempoGrid.offset) / step)
+    for (let i = first; tempoGrid.offset + i * step <= endTime; i++) {
+      const x = Math.round(columnToCanvasX(timeToColumn(tempoGrid.offset + i * step))) + 0.5
+      labelCtx.moveTo(x, RULER_HEIGHT)
+      labelCtx.lineTo(x, labelCanvas.height)
+    }
+    labelCtx.stroke()
+  }
+}
+
+/**
+ * Returns the width of a second on the canvas.
+ */
+function getPixelsPerSecond() {
+  return columnToCanvasX(timeToColumn(1)) - columnToCanvasX(timeToColumn(0))
+}
+
+/**
+ * Formats seconds as m:ss, with decimals when the tick step needs them.
+ */
+function formatTime(time, step) {
+  const minutes = Math.floor(time / 60)
+  const seconds = time - minutes * 60
+  const decimals = step < 0.1 ? 2 : step < 1 ? 1 : 0
+  const secondsText = seconds.toFixed(decimals).padStart(decimals ? decimals + 3 : 2, '0')
+  return `${minutes}:${secondsText}`
+}
+
+/**
+ * Converts a canvas x-position to a (fractional) column.
+ */
+function canvasXToColumn(x) {
+  return viewStart + x / viewZoom
+}
+
+/**
+ * Converts a column to a canvas x-position.
+ */
+function columnToCanvasX(column) {
+  return (column - viewStart) * viewZoom
+}
+
+/**
+ * Returns whether notes can be drawn: in the paused live view or on a loaded
+ * file, on the frequency axis.
+ */
+function isEditable() {
+  return viewMode === 'spectrogram' && (isPaused || offlineSpectrogram !== null)
+}
+
+/**
+ * Calculates a persistence score for a frequency based on its history.
+ */
+export function calculatePersistenceScore(history) {
+  if (history.length === 0) return 0
+
+  const recentHistory = history.filter(entry => entry.time >= history[history.length - 1].time - PERSISTENCE_WINDOW)
+
+  if (recentHistory.length === 0) return 0
+
+  const avgAmplitude = recentHistory.reduce((sum, entry) => sum + entry.amplitude, 0) / recentHistory.length
+
+  if (avgAmplitude < PERSISTENCE_MIN_AMPLITUDE) return 0
+
+  const variance = recentHistory.reduce((sum, entry) => {
+    const diff = entry.amplitude - avgAmplitude
+    return sum + diff * diff
+  }, 0) / recentHistory.length
+
+  const stdDev = Math.sqrt(variance)
+  const relativeStdDev = stdDev / avgAmplitude
+
+  const stabilityScore = Math.max(0, 1 - relativeStdDev)
+
+  return stabilityScore
+}
+
+/**
+ * Draws frequency markers and piano keys on the label canvas.
+ */
+export function drawFrequencyMarkers() {
+  if (!labelCtx || !labelCanvas) return
+
+  labelCtx.clearRect(0, 0, labelCanvas.width, labelCanvas.height)
+  if (viewMode === 'chroma') {
+    drawChromaLabels()
+    drawGridLines()
+    drawChordLane()
+    drawTimeRuler()
+    drawOnsets()
+    if (offlineSpectrogram) drawTransportOverlay()
+    drawTunerPanel()
+    return
+  }
+
+  const keyWidth = 25
+
+  if (showPianoKeys) {
+    const currentNote = isMouseOverCanvas ? getFrequencyInfo(mouseY).midiNote : null
+    const tuned = getTunedNote()
+
+    for (let midiNote = MIN_NOTE; midiNote <= MAX_NOTE; midiNote++) {
+      const noteName = NOTE_NAMES[midiNote % 12]
+      const octave = Math.floor(midiNote / 12) - 1
+      const isBlackKey = noteName.includes('#')
+      const y = frequencyToY(MIDIToFrequency(midiNote, tuning))
+      if (y < 0 || y > labelCanvas.height) continue
+
+      // Keys are as high as the scale makes their semitone, seven white
+      // keys sharing the height of twelve semitones
+      const semitoneHeight = frequencyToY(MIDIToFrequency(midiNote - 0.5, tuning)) - frequencyToY(MIDIToFrequency(midiNote + 0.5, tuning))
+      const keyHeight = Math.max(1, semitoneHeight * 12 / 7)
+
+      if (!isBlackKey) {
+        labelCtx.fillStyle = tuned && midiNote === tuned.note
+          ? (tuned.isInTune ? '#7d7' : '#fb5')
+          : midiNote === currentNote ? '#aaf' : '#fff'
+        labelCtx.strokeStyle = '#666'
+        labelCtx.lineWidth = 1
+        labelCtx.fillRect(0, y - keyHeight / 2, keyWidth, keyHeight)
+        labelCtx.strokeRect(0, y - keyHeight / 2, keyWidth, keyHeight)
+
+        if (noteName === 'C') {
+          labelCtx.fillStyle = '#666'
+          labelCtx.font = '10px Arial'
+          labelCtx.fillText(`C${octave}`, 2, y + 4)
+        }
+      } else {
+        labelCtx.fillStyle = tuned && midiNote === tuned.note
+          ? (tuned.isInTune ? '#3a3' : '#c80')
+          : midiNote === currentNote ? '#66f' : '#000'
+        labelCtx.strokeStyle = '#444'
+        labelCtx.lineWidth = 1
+
+        const blackKeyWidth = keyWidth * 0.7
+        const blackKeyHeight = keyHeight * 0.7
+        labelCtx.fillRect(0, y - blackKeyHeight / 2, blackKeyWidth, blackKeyHeight)
+        labelCtx.strokeRect(0, y - blackKeyHeight / 2, blackKeyWidth, blackKeyHeight)
+      }
+    }
+  }
+
+  // Draw frequency markers
+  labelCtx.fillStyle = 'white'
+  labelCtx.font = '10px Arial'
+  const markers = getFrequencyTicks(frequencyAxis, labelCanvas.height)
+
+  markers.forEach(freq => {
+    const y = frequencyToY(freq)
+    const xOffset = showPianoKeys ? 30 : 5
+    labelCtx.fillText(formatFrequency(freq), xOffset, y)
+    labelCtx.beginPath()
+    labelCtx.moveTo(0, y)
+    labelCtx.lineTo(labelCanvas.width, y)
+    labelCtx.strokeStyle = 'rgba(255, 255, 255, 0.2)'
+    labelCtx.stroke()
+  })
+
+  drawGridLines()
+  redrawAllNotes()
+  drawChordLane()
+
+  drawTimeRuler()
+  drawOnsets()
+  if (offlineSpectrogram) drawTransportOverlay()
+  drawTunerPanel()
+
+  // Draw crosshair and info box
+  if (isMouseOverCanvas) {
+    const info = getFrequencyInfo(mouseY)
+
+    // Draw horizontal line
+    labelCtx.beginPath()
+    labelCtx.moveTo(0, mouseY)
+    labelCtx.lineTo(labelCanvas.width, mouseY)
+    labelCtx.strokeStyle = 'rgba(255, 255, 0, 0.5)'
+    labelCtx.stroke()
+
+    // Info box
+    const boxX = Math.min(mouseX + 10, labelCanvas.width - 130)
+    const boxY = Math.min(Math.max(mouseY - 30, 10), labelCanvas.height - 50)
+
+    labelCtx.fillStyle = 'rgba(0, 0, 0, 0.8)'
+    labelCtx.fillRect(boxX, boxY, 120, 40)
+
+    labelCtx.fillStyle = 'yellow'
+    labelCtx.font = '12px Arial'
+    const cents = Math.round(info.cents)
+    labelCtx.fillText(`Note: ${info.note} ${cents > 0 ? '+' : cents < 0 ? '−' : '±'}${Math.abs(cents)}¢`, boxX + 5, boxY + 15)
+    labelCtx.fillText(`Freq: ${info.frequency}Hz`, boxX + 5, boxY + 35)
+  }
+}
+
+/**
+ * Labels the pitch class bands of the chroma view and highlights the one
+ * under the mouse.
+ */
+function drawChromaLabels() {
+  const bandHeight = labelCanvas.height / 12
+  const hoveredBand = isMouseOverCanvas ? Math.floor(mouseY / bandHeight) : null
+
+  labelCtx.font = '12px Arial'
+  for (let band = 0; band < 12; band++) {
+    const y = band * bandHeight
+    if (band === hoveredBand) {
+      labelCtx.fillStyle = 'rgba(255, 255, 0, 0.15)'
+      labelCtx.fillRect(0, y, labelCanvas.width, bandHeight)
+    }
+    labelCtx.fillStyle = 'white'
+    labelCtx.fillText(NOTE_NAMES[11 - band], 5, y + bandHeight / 2 + 4)
+    if (band > 0) {
+      labelCtx.beginPath()
+      labelCtx.moveTo(0, y)
+      labelCtx.lineTo(labelCanvas.width, y)
+      labelCtx.strokeStyle = 'rgba(255, 255, 255, 0.2)'
+      labelCtx.stroke()
+    }
+  }
+}
+
+/**
+ * Draws the chord lane: a labeled box per recognized chord, gaps where no
+ * chord was recognized.
+ */
+function drawChordLane() {
+  if (!showChordLane || chordSegments.length === 0) return
+
+  const top = labelCanvas.height - CHORD_LANE_HEIGHT
+  labelCtx.fillStyle = 'rgba(0, 0, 0, 0.7)'
+  labelCtx.fillRect(0, top, labelCanvas.width, CHORD_LANE_HEIGHT)
+
+  labelCtx.font = '11px Arial'
+  for (const chord of chordSegments) {
+    if (chord.symbol === NO_CHORD) continue
+    const startX = columnToCanvasX(timeToColumn(chord.startTime))
+    const endX = columnToCanvasX(timeToColumn(chord.endTime))
+    if (endX < 0 || startX > labelCanvas.width) continue
+
+    labelCtx.fillStyle = 'rgba(255, 200, 80, 0.25)'
+    labelCtx.fillRect(startX, top + 2, endX - startX - 1, CHORD_LANE_HEIGHT - 4)
+
+    // The symbol stays at the left edge of the visible part, if it fits
+    const textX = Math.max(startX, 0) + 3
+    if (endX - textX >= labelCtx.measureText(chord.symbol).width + 2) {
+      labelCtx.fillStyle = 'rgb(255, 220, 120)'
+      labelCtx.fillText(chord.symbol, textX, top + 13)
+    }
+  }
+}
+
+/**
+ * Draws the onsets as ticks below the time ruler.
+ */
+function drawOnsets() {
+  if (!showOnsets || onsetTimes.length === 0) return
+
+  labelCtx.strokeStyle = 'rgba(120, 255, 160, 0.9)'
+  labelCtx.lineWidth = 1
+  labelCtx.beginPath()
+  for (const time of onsetTimes) {
+    const x = Math.round(columnToCanvasX(timeToColumn(time))) + 0.5
+    if (x < 0 || x > labelCanvas.width) continue
+    labelCtx.moveTo(x, RULER_HEIGHT)
+    labelCtx.lineTo(x, RULER_HEIGHT + ONSET_TICK_HEIGHT)
+  }
+  labelCtx.stroke()
+}
+
+/**
+ * Returns the note of the tuner reading with its deviation in cents, or
+ * null while the tuner is hidden or hears nothing.
+ */
+function getTunedNote() {
+  if (!isTunerVisible || !tunerReading) return null
+
+  const note = frequencyToMIDI(tunerReading.frequency, tuning)
+  const cents = tuning.getCents(tunerReading.frequency, note)
+  return { note, cents, isInTune: Math.abs(cents) < TUNER_IN_TUNE_CENTS }
+}
+
+/**
+ * Draws the tuner panel in the top right corner: note, cents meter,
+ * frequency and whether the pitch holds steady.
+ */
+function drawTunerPanel() {
+  if (!isTunerVisible) return
+
+  const x = labelCanvas.width - TUNER_PANEL_WIDTH - 6
+  const y = RULER_HEIGHT + 6
+  labelCtx.fillStyle = 'rgba(0, 0, 0, 0.8)'
+  labelCtx.fillRect(x, y, TUNER_PANEL_WIDTH, TUNER_PANEL_HEIGHT)
+
+  const tuned = getTunedNote()
+  if (!tuned) {
+    labelCtx.fillStyle = '#888'
+    labelCtx.font = '12px Arial'
+    labelCtx.fillText('Tuner: no signal', x + 8, y + 20)
+    return
+  }
+
+  const color = tuned.isInTune ? 'rgb(120, 230, 120)' : 'rgb(255, 180, 80)'
+  const cents = Math.round(tuned.cents * 10) / 10
+  labelCtx.fillStyle = color
+  labelCtx.font = 'bold 26px Arial'
+  labelCtx.fillText(getNoteName(tuned.note), x + 8, y + 30)
+  labelCtx.font = '14px Arial'
+  labelCtx.fillText(`${cents > 0 ? '+' : cents < 0 ? '−' : '±'}${Math.abs(cents).toFixed(1)}¢`, x + 90, y + 28)
+
+  // Meter from -50 to +50 cents with the needle at the deviation
+  const meterX = x + 8
+  const meterWidth = TUNER_PANEL_WIDTH - 16
+  const meterY = y + 46
+  labelCtx.strokeStyle = 'rgba(255, 255, 255, 0.5)'
+  labelCtx.lineWidth = 1
+  labelCtx.beginPath()
+  labelCtx.moveTo(meterX, meterY)
+  labelCtx.lineTo(meterX + meterWidth, meterY)
+  for (const tick of [-50, -25, 0, 25, 50]) {
+    const tickX = Math.round(meterX + (tick + 50) / 100 * meterWidth) + 0.5
+    labelCtx.moveTo(tickX, meterY - (tick === 0 ? 6 : 3))
+    labelCtx.lineTo(tickX, meterY + (tick === 0 ? 6 : 3))
+  }
+  labelCtx.stroke()
+  const needleX = meterX + (Math.max(-50, Math.min(50, tuned.cents)) + 50) / 100 * meterWidth
+  labelCtx.fillStyle = color
+  labelCtx.fillRect(needleX - 1.5, meterY - 8, 3, 16)
+
+  const isSteady = tunerReading.spread < TUNER_STABLE_SPREAD
+  labelCtx.font = '11px Arial'
+  labelCtx.fillStyle = 'white'
+  labelCtx.fillText(`${tunerReading.frequency.toFixed(2)} Hz`, x + 8, y + 74)
+  labelCtx.fillStyle = isSteady ? 'rgb(120, 230, 120)' : 'rgb(255, 180, 80)'
+  labelCtx.fillText(`${isSteady ? 'Steady' : 'Unsteady'} ±${tunerReading.spread.toFixed(1)}¢`, x + 80, y + 74)
+}
+
+/**
+ * Shows or hides the tuner panel and the tuned key on the piano strip.
+ * @param {boolean} visible - Whether the tuner is shown.
+ */
+export function setTunerVisible(visible) {
+  isTunerVisible = visible
+  if (!visible) tunerReading = null
+  drawFrequencyMarkers()
+}
+
+/**
+ * Shows a tuner reading.
+ * @param {{frequency: number, spread: number}|null} reading - The
+ *   fundamental and the spread of the recent ones in cents, see `createTuner`;
+ *   null without a signal.
+ */
+export function showTunerReading(reading) {
+  tunerReading = reading
+  if (isTunerVisible) scheduleMarkerRedraw()
+}
+
+/**
+ * Returns note and frequency information for a y-position: the frequency its
+ * display row shows on the current scale, and the nearest note of the tuning
+ * with the deviation from it in cents.
+ */
+export function getFrequencyInfo(y) {
+  const normalizedY = y / labelCanvas.height
+  const frequency = yToFrequency(y)
+  const midiNote = frequencyToMIDI(frequency, tuning)
+
+  return {
+    frequency: Math.round(frequency),
+    note: getNoteName(midiNote),
+    midiNote,
+    cents: tuning.getCents(frequency, midiNote),
+    height:normalizedY
+  }
+}
+
+/**
+ * Returns the frequency at a y-position of the label canvas.
+ */
+function yToFrequency(y) {
+  return frequencyAxis.rowFrequency(1 - y / labelCanvas.height)
+}
+
+/**
+ * Returns the y-position of a frequency on the label canvas.
+ */
+function frequencyToY(frequency) {
+  return labelCanvas.height * (1 - frequencyAxis.frequencyToPosition(frequency))
+}
+
+/**
+ * Sets the tuning the piano keys, note names and cents readout follow.
+ * @param {Object} newTuning - See `createTuning`.
+ */
+export function setTuning(newTuning) {
+  tuning = newTuning
+  drawFrequencyMarkers()
+}
+
+/**
+ * Updates the frequency scale and range of the y-axis.
+ * @param {string} scale - A key of `FREQUENCY_SCALES`.
+ * @param {number} maxFreq - The frequency at the top in Hz.
+ * @param {number} minFreq - The frequency at the bottom in Hz.
+ */
+function updateFrequencyRange(scale, maxFreq, minFreq) {
+  frequencyScale = scale
+  MAX_FREQUENCY = maxFreq
+  MIN_FREQUENCY = minFreq
+
+  // The top stays at least an octave above the bottom
+  frequencyAxis = createFrequencyAxis(frequencyScale, MIN_FREQUENCY, Math.max(MAX_FREQUENCY, MIN_FREQUENCY * 2))
+  rowFrequencies.clear()
+  drawFrequencyMarkers()
+  redrawSpectrogram()
+}
+
+/**
+ * Switches between the spectrogram and the chroma view, in which the rows
+ * fold the spectrum into the twelve pitch classes. Notes are hidden and
+ * cannot be drawn in the chroma view.
+ * @param {string} mode - 'spectrogram' or 'chroma'.
+ */
+function setViewMode(mode) {
+  viewMode = mode
+  cancelNoteDrag()
+  drawFrequencyMarkers()
+  redrawSpectrogram()
+}
+
+/**
+ * Adds tracked or imported notes to the drawn notes, so they can be edited
+ * and exported like hand-drawn ones.
+ * @param {{startTime: number, endTime: number, frequency: number, velocity: number, channel?: number, program?: number, track?: string}[]} notes -
+ *   The notes, times in seconds (file time for a loaded file, analysis time when live).
+ * @param {string} source - Tags the notes so they can be replaced later, see `removeNotes`.
+ * @param {Object} [options]
+ * @param {boolean} [options.fromViewStart=false] - Live times count from the left
+ *   edge of the live view instead, e.g. for an imported file.
+ */
+export function addNotes(notes, source, { fromViewStart = false } = {}) {
+  // Live notes older than the history are not kept
+  let timeOffset = 0
+  if (!offlineSpectrogram) timeOffset = fromViewStart ? columnToTime(viewStart) : liveTimeOffset
+  if (!offlineSpectrogram) {
+    const oldest = liveHistory.get(liveHistory.getFirstIndex())
+    if (oldest) noteEditor.removeWhere(note => note.source && note.endTime < oldest.time)
+  }
+
+  for (const note of notes) {
+    noteEditor.insert({
+      startTime: note.startTime + timeOffset,
+      endTime: note.endTime + timeOffset,
+      frequency: note.frequency,
+      velocity: note.velocity,
+      channel: note.channel,
+      program: note.program,
+      track: note.track,
+      source
+    })
+  }
+  notifySelectionChange()
+  drawFrequencyMarkers()
+}
+
+/**
+ * Removes the notes added by `addNotes` with the given source.
+ * @param {string} source - The source tag.
+ */
+export function removeNotes(source) {
+  noteEditor.removeWhere(note => note.source === source)
+  notifySelectionChange()
+  drawFrequencyMarkers()
+}
+
+/**
+ * Returns the notes for saving, with times in seconds from the start of a
+ * loaded file, or from `getExportOriginTime` when live, see `setNotes`.
+ * @returns {Object[]} The notes in time order.
+ */
+export function getNotes() {
+  const originTime = offlineSpectrogram ? 0 : getExportOriginTime()
+  return Array.from(noteEditor.values())
+    .sort((a, b) => a.startTime - b.startTime)
+    .map(note => ({ ...note, startTime: note.startTime - originTime, endTime: note.endTime - originTime }))
+}
+
+/**
+ * Replaces all notes with saved ones, see `getNotes`. Times count from the
+ * start of a loaded file, or from the left edge of the live view.
+ * @param {Object[]} notes - The notes.
+ */
+export function setNotes(notes) {
+  const originTime = offlineSpectrogram ? 0 : columnToTime(viewStart)
+  cancelNoteDrag()
+  noteEditor.clear()
+  for (const note of notes) {
+    noteEditor.insert({ ...note, startTime: note.startTime + originTime, endTime: note.endTime + originTime })
+  }
+  notifySelectionChange()
+  drawFrequencyMarkers()
+}
+
+/**
+ * Adds recognized chords to the chord lane. A chord that continues the last
+ * one with the same symbol extends it.
+ * @param {{startTime: number, endTime: number, symbol: string}[]} chords -
+ *   The chords in time order, times in seconds (file time for a loaded file,
+ *   analysis time when live), see `createChordRecognizer`.
+ */
+export function addChords(chords) {
+  const timeOffset = offlineSpectrogram ? 0 : liveTimeOffset
+  if (!offlineSpectrogram) {
+    // Live chords older than the history are not kept
+    const oldest = liveHistory.get(liveHistory.getFirstIndex())
+    if (oldest) chordSegments = chordSegments.filter(chord => chord.endTime >= oldest.time)
+  }
+
+  for (const chord of chords) {
+    const startTime = chord.startTime + timeOffset
+    const endTime = chord.endTime + timeOffset
+    const last = chordSegments[chordSegments.length - 1]
+    if (last && last.symbol === chord.symbol && Math.abs(startTime - last.endTime) < 1e-6) {
+      last.endTime = endTime
+    } else {
+      chordSegments.push({ startTime, endTime, symbol: chord.symbol })
+    }
+  }
+  drawFrequencyMarkers()
+}
+
+/**
+ * Adds detected onsets, drawn as ticks along the top of the view.
+ * @param {number[]} times - The onset times in seconds (file time for a
+ *   loaded file, analysis time when live), see `createOnsetDetector`.
+ */
+export function addOnsets(times) {
+  const timeOffset = offlineSpectrogram ? 0 : liveTimeOffset
+  if (!offlineSpectrogram) {
+    // Live onsets older than the history are not kept
+    const oldest = liveHistory.get(liveHistory.getFirstIndex())
+    if (oldest) onsetTimes = onsetTimes.filter(time => time >= oldest.time)
+  }
+
+  for (const time of times) onsetTimes.push(time + timeOffset)
+  drawFrequencyMarkers()
+}
+
+/**
+ * Shows or hides the onset ticks.
+ * @param {boolean} visible - Whether the onsets are drawn.
+ */
+export function setOnsetsVisible(visible) {
+  showOnsets = visible
+  drawFrequencyMarkers()
+}
+
+/**
+ * Removes all chords from the chord lane.
+ */
+export function clearChords() {
+  chordSegments = []
+  drawFrequencyMarkers()
+}
+
+/**
+ * Shows or hides the chord lane.
+ * @param {boolean} visible - Whether the lane is drawn.
+ */
+export function setChordLaneVisible(visible) {
+  showChordLane = visible
+  drawFrequencyMarkers()
+}
+
+/**
+ * Redraws all saved notes, selected ones highlighted, and the note or
+ * selection box being dragged.
+ */
+function redrawAllNotes() {
+  for (const [noteId, note] of noteEditor.entries()) {
+    const x = columnToCanvasX(timeToColumn(note.startTime))
+    const width = columnToCanvasX(timeToColumn(note.endTime)) - x
+    drawNoteOnLabelCanvas(x, frequencyToY(note.frequency), width, NOTE_COLORS[note.source], note.velocity, noteEditor.isSelected(noteId))
+  }
+
+  if (noteDrag && noteDrag.mode === 'draw' && isMouseOverCanvas) {
+    const { startTime, endTime } = getDrawnNoteTimes(noteDrag)
+    const x = columnToCanvasX(timeToColumn(startTime))
+    drawNoteOnLabelCanvas(x, frequencyToY(getDrawnNoteFrequency(noteDrag.startY)), columnToCanvasX(timeToColumn(endTime)) - x)
+  } else if (noteDrag && noteDrag.mode === 'select') {
+    labelCtx.strokeStyle = 'rgba(255, 255, 255, 0.8)'
+    labelCtx.lineWidth = 1
+    labelCtx.setLineDash([4, 3])
+    labelCtx.strokeRect(noteDrag.startX, noteDrag.startY, mouseX - noteDrag.startX, mouseY - noteDrag.startY)
+    labelCtx.setLineDash([])
+  }
+}
+
+/**
+ * Draws a note on the label canvas; the fill is the more opaque the higher
+ * the velocity.
+ * @param {string} [color] - The note colour as `r, g, b`.
+ * @param {number} [velocity] - The MIDI velocity, unknown for drawn notes.
+ * @param {boolean} [isSelected=false] - Outlines the note.
+ */
+function drawNoteOnLabelCanvas(x, y, width, color = NOTE_COLORS.drawn, velocity, isSelected = false) {
+  const noteHeight = 4
+  const info = getFrequencyInfo(y)
+  const opacity = velocity ? 0.2 + 0.6 * velocity / 127 : 0.5
+
+  labelCtx.fillStyle = 'rgba(0, 0, 0, 0.8)'
+  labelCtx.strokeStyle = 'rgba(0, 0, 0, 0.8)'
+  labelCtx.lineWidth = 2
+  labelCtx.fillRect(x - 1, y - noteHeight/2 - 1, width + 2, noteHeight + 2)
+  labelCtx.strokeRect(x - 1, y - noteHeight/2 - 1, width + 2, noteHeight + 2)
+
+  labelCtx.fillStyle = `rgba(${color}, ${opacity})`
+  labelCtx.strokeStyle = isSelected ? '#fff' : `rgba(${color}, 0.8)`
+  labelCtx.lineWidth = isSelected ? 2 : 1
+  labelCtx.fillRect(x, y - noteHeight/2, width, noteHeight)
+  labelCtx.strokeRect(x, y - noteHeight/2, width, noteHeight)
+
+  labelCtx.fillStyle = isSelected ? '#fff' : `rgb(${color})`
+  labelCtx.font = '10px Arial'
+  labelCtx.fillText(info.note, x + 2, y - noteHeight)
+}
+
+/**
+ * Returns the time exported files start at: the start of the bar holding the
+ * start of a loaded file or the left edge of the live view, or the first note
+ * before it. Exported bars then match the grid, also when a followed tempo
+ * moved its beats off the file start.
+ */
+function getExportOriginTime() {
+  let originTime = offlineSpectrogram ? 0 : columnToTime(viewStart)
+  for (const note of noteEditor.values()) originTime = Math.min(originTime, note.startTime)
+  return tempoGrid.getBarStart(originTime)
+}
+
+/**
+ * Returns the chords from an origin time on, with times relative to it.
+ */
+function getExportChords(originTime) {
+  return chordSegments
+    .filter(chord => chord.endTime > originTime)
+    .map(chord => ({
+      startTime: Math.max(0, chord.startTime - originTime),
+      endTime: chord.endTime - originTime,
+      symbol: chord.symbol
+    }))
+}
+
+/**
+ * Creates MIDI data from the drawn notes, one track per imported track and
+ * channel, and a marker per recognized chord. Times are in seconds from
+ * `getExportOriginTime`.
+ * @returns {Object|null} The tracks and markers for `encodeMidiFile`, or null
+ *   without notes and chords.
+ */
+export function createMidiData() {
+  if (noteEditor.count() === 0 && chordSegments.length === 0) return null
+
+  const sortedNotes = Array.from(noteEditor.values()).sort((a, b) => a.startTime - b.startTime)
+  const originTime = getExportOriginTime()
+  const tracks = new Map()
+
+  for (const note of sortedNotes) {
+    const name = note.track || DEFAULT_TRACK_NAME
+    const channel = note.channel || 0
+    const key = `${name}-${channel}`
+    if (!tracks.has(key)) tracks.set(key, { name, channel, program: note.program, notes: [] })
+
+    tracks.get(key).notes.push({
+      startTime: Math.max(0, note.startTime - originTime),
+      endTime: Math.max(0, note.endTime - originTime),
+      frequency: note.frequency,
+      velocity: note.velocity || measureNoteVelocity(note)
+    })
+  }
+
+  const markers = getExportChords(originTime).map(chord => ({ time: chord.startTime, text: chord.symbol }))
+  return { tracks: Array.from(tracks.values()), markers }
+}
+
+/**
+ * Derives the velocity of a drawn note from the loudest level at its
+ * frequency in the file view, or returns the default velocity.
+ */
+function measureNoteVelocity(note) {
+  if (!offlineSpectrogram) return DEFAULT_VELOCITY
+
+  const { frames, layout } = offlineSpectrogram
+  const bin = Math.round(frequencyToBin(note.frequency, layout))
+  const first = Math.max(0, Math.floor(timeToColumn(note.startTime)))
+  const last = Math.min(frames.length - 1, Math.ceil(timeToColumn(note.endTime)))
+  if (first > last || !frames[first] || bin < 0 || bin >= frames[first].length) return DEFAULT_VELOCITY
+
+  let level = -Infinity
+  for (let i = first; i <= last; i++) {
+    level = Math.max(level, frames[i][bin])
+  }
+  return dbToVelocity(level)
+}
+
+/**
+ * Exports the drawn notes and the chord markers as a MIDI file.
+ * @param {Object} [exportSettings] - Tempo, time signature and pitch bend, see `encodeMidiFile`.
+ */
+export function exportToMidi(exportSettings = {}) {
+  const midiData = createMidiData()
+  if (midiData) {
+    saveMidiFile({ ...midiData, ...exportSettings }, 'spectrogram_notes.mid')
+  }
+}
+
+/**
+ * Exports the drawn notes as a MusicXML score.
+ * @param {Object} [exportSettings] - Tempo, time signature, key and quantization grid, see `createMusicXml`.
+ */
+export function exportToMusicXml(exportSettings = {}) {
+  const midiData = createMidiData()
+  if (midiData && midiData.tracks.length) {
+    const blob = new Blob([createMusicXml(midiData, exportSettings)], { type: 'application/vnd.recordare.musicxml+xml' })
+    downloadBlob(blob, 'spectrogram_notes.musicxml')
+  }
+}
+
+/**
+ * Exports the drawn notes as ABC notation.
+ * @param {Object} [exportSettings] - Tempo, time signature, key and quantization grid, see `createAbc`.
+ */
+export function exportToAbc(exportSettings = {}) {
+  const midiData = createMidiData()
+  if (midiData && midiData.tracks.length) {
+    downloadBlob(new Blob([createAbc(midiData, exportSettings)], { type: 'text/vnd.abc' }), 'spectrogram_notes.abc')
+  }
+}
+
+/**
+ * Exports the recognized chords as a plain-text timeline, see
+ * `formatChordTimeline`; times of a loaded file stay file times.
+ */
+export function exportChordTimeline() {
+  const chords = getExportChords(offlineSpectrogram ? 0 : getExportOriginTime())
+  if (chords.length) {
+    downloadBlob(new Blob([formatChordTimeline(chords)], { type: 'text/plain' }), 'spectrogram_chords.txt')
+  }
+}
+
+/**
+ * Registers the callbacks of the note editor.
+ * @param {Object} handlers - The callbacks.
+ * @param {Function} [handlers.onSelectionChange] - Called with
+ *   `{ count, velocity }` when the selected notes or their velocity changed;
+ *   `velocity` is null when the selected notes differ in velocity.
+ */
+export function setNoteEditorHandlers(handlers) {
+  noteEditorHandlers = handlers
+}
+
+/**
+ * Sets whether drawn and moved notes snap to the notes of the tuning.
+ * @param {boolean} enabled - Snap to semitones.
+ */
+export function setSnapToSemitone(enabled) {
+  snapToSemitone = enabled
+}
+
+/**
+ * Sets the tempo, time signature and beat phase of the time ruler, the grid
+ * lines and snapping.
+ * @param {Object} options - See `createTempoGrid`; the `offset` is file time
+ *   for a loaded file and analysis time when live, like note times.
+ */
+export function setTempoGrid(options) {
+  tempoGridOptions = options
+  updateTempoGrid()
+  drawFrequencyMarkers()
+}
+
+/**
+ * Rebuilds the tempo grid on the clock of the current view.
+ */
+function updateTempoGrid() {
+  const timeOffset = offlineSpectrogram ? 0 : liveTimeOffset
+  tempoGrid = createTempoGrid({ ...tempoGridOptions, offset: (tempoGridOptions.offset || 0) + timeOffset })
+}
+
+/**
+ * Sets the division drawn, moved and resized notes snap to.
+ * @param {string} division - A key of `GRID_DIVISIONS`, 'off' to not snap.
+ */
+export function setGridDivision(division) {
+  gridDivision = division
+  drawFrequencyMarkers()
+}
+
+/**
+ * Shows or hides the grid lines over the view.
+ * @param {boolean} visible - Draw the grid lines.
+ */
+export function setGridVisible(visible) {
+  showGrid = visible
+  drawFrequencyMarkers()
+}
+
+/**
+ * Sets the velocity of the selected notes as one edit.
+ * @param {number} velocity - The MIDI velocity (1..127).
+ */
+export function setSelectedNoteVelocity(velocity) {
+  editSelectedNotes(note => ({ ...note, velocity }))
+}
+
+/**
+ * Handles the keyboard shortcuts of the note editor: Ctrl/Cmd+Z undo,
+ * Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redo, Ctrl/Cmd+C/X/V copy, cut and paste
+ * (at the mouse, else the playhead), Ctrl/Cmd+A select all, Delete removes,
+ * the arrow keys transpose (by an octave with Shift) and Escape deselects.
+ * @param {KeyboardEvent} event - The key event.
+ * @returns {boolean} Whether the key was used, so its default can be prevented.
+ */
+export function handleNoteEditorKey(event) {
+  if (!isEditable() || noteDrag) return false
+
+  const key = event.key.toLowerCase()
+  const hasSelection = noteEditor.getSelection().length > 0
+  if (event.ctrlKey || event.metaKey) {
+    if ((key === 'z' && event.shiftKey) || key === 'y') {
+      noteEditor.redo()
+    } else if (key === 'z') {
+      noteEditor.undo()
+    } else if (key === 'c' && hasSelection) {
+      noteEditor.copy()
+    } else if (key === 'x' && hasSelection) {
+      noteEditor.copy()
+      editSelectedNotes(() => null)
+    } else if (key === 'v') {
+      noteEditor.paste(snapTime(getPasteTime()))
+    } else if (key === 'a') {
+      noteEditor.select(Array.from(noteEditor.entries(), ([noteId]) => noteId))
+    } else {
+      return false
+    }
+  } else if (!hasSelection) {
+    return false
+  } else if (key === 'delete' || key === 'backspace') {
+    editSelectedNotes(() => null)
+  } else if (key === 'arrowup' || key === 'arrowdown') {
+    const steps = (key === 'arrowup' ? 1 : -1) * (event.shiftKey ? 12 : 1)
+    editSelectedNotes(note => ({ ...note, frequency: transposeFrequency(note.frequency, steps) }))
+  } else if (key === 'escape') {
+    noteEditor.select([])
+  } else {
+    return false
+  }
+
+  notifySelectionChange()
+  drawFrequencyMarkers()
+  return true
+}
+
+/**
+ * Replaces or, with null, deletes each selected note as one edit.
+ */
+function editSelectedNotes(edit) {
+  noteEditor.begin()
+  for (const noteId of noteEditor.getSelection()) {
+    noteEditor.set(noteId, edit(noteEditor.get(noteId)))
+  }
+  noteEditor.commit()
+  notifySelectionChange()
+  drawFrequencyMarkers()
+}
+
+/**
+ * Returns the time pasted notes start at: the mouse position, else the
+ * playhead of a loaded file, else the left edge of the view.
+ */
+function getPasteTime() {
+  if (isMouseOverCanvas) return columnToTime(canvasXToColumn(mouseX))
+  return playheadTime !== null ? playheadTime : columnToTime(viewStart)
+}
+
+/**
+ * Moves a frequency by notes of the tuning. With snapping, the result is
+ * the nearest note plus the steps; otherwise the deviation is kept.
+ */
+function transposeFrequency(frequency, steps) {
+  if (steps === 0) return frequency
+  const note = tuning.frequencyToNote(frequency)
+  return tuning.noteToFrequency((snapToSemitone ? Math.round(note) : note) + steps)
+}
+
+/**
+ * Returns the start and end time of the note a draw drag spans, snapped to
+ * the grid division; a note shorter than a division gets one division.
+ */
+function getDrawnNoteTimes(drag) {
+  const startTime = snapTime(columnToTime(canvasXToColumn(Math.min(drag.startX, mouseX))))
+  const endTime = snapTime(columnToTime(canvasXToColumn(Math.max(drag.startX, mouseX))))
+  const minDuration = Math.max(MIN_NOTE_DURATION, tempoGrid.getDivisionLength(gridDivision))
+  return { startTime, endTime: Math.max(endTime, startTime + minDuration) }
+}
+
+/**
+ * Moves a time to the nearest line of the snap division, if any.
+ */
+function snapTime(time) {
+  return tempoGrid.snap(time, gridDivision)
+}
+
+/**
+ * Returns the frequency of a note drawn at a y-position: the nearest note
+ * of the tuning with snapping, else the frequency of the row.
+ */
+function getDrawnNoteFrequency(y) {
+  const frequency = yToFrequency(y)
+  return snapToSemitone ? tuning.noteToFrequency(Math.round(tuning.frequencyToNote(frequency))) : Math.round(frequency)
+}
+
+/**
+ * Reports the selection to the `onSelectionChange` handler.
+ */
+function notifySelectionChange() {
+  if (!noteEditorHandlers.onSelectionChange) return
+
+  const velocities = new Set(noteEditor.getSelection().map(noteId => {
+    const note = noteEditor.get(noteId)
+    return note.velocity || measureNoteVelocity(note)
+  }))
+  noteEditorHandlers.onSelectionChange({
+    count: noteEditor.getSelection().length,
+    velocity: velocities.size === 1 ? velocities.values().next().value : null
+  })
+}
+
+// Event Handlers
+function handleMouseMove(e) {
+  const rect = canvas.getBoundingClientRect()
+  mouseX = e.clientX - rect.left
+  mouseY = e.clientY - rect.top
+  isMouseOverCanvas = true
+
+  if (noteDrag) {
+    updateNoteDrag()
+  } else if (isEditable()) {
+    const hit = findNoteAt(mouseX, mouseY)
+    canvas.style.cursor = !hit ? '' : hit.edge ? 'ew-resize' : 'move'
+  }
+
+  drawFrequencyMarkers()
+
+  if (loopDragStartX !== null) updateLoopDrag()
+}
+
+function handleMouseDown(e) {
+  const rect = canvas.getBoundingClientRect()
+  if (e.clientY - rect.top < RULER_HEIGHT) {
+    if (offlineSpectrogram) loopDragStartX = e.clientX - rect.left
+    return
+  }
+  if (!isEditable()) return
+
+  const x = e.clientX - rect.left
+  const y = e.clientY - rect.top
+  const hit = findNoteAt(x, y)
+
+  if (hit && e.shiftKey) {
+    // Shift-click toggles a note in the selection
+    if (noteEditor.isSelected(hit.id)) {
+      noteEditor.deselect([hit.id])
+    } else {
+      noteEditor.select([hit.id], true)
+    }
+    notifySelectionChange()
+    drawFrequencyMarkers()
+    return
+  }
+
+  if (hit) {
+    if (!noteEditor.isSelected(hit.id)) noteEditor.select([hit.id])
+    const originals = new Map(noteEditor.getSelection().map(noteId => [noteId, noteEditor.get(noteId)]))
+    const mode = e.altKey ? 'velocity' : hit.edge ? `resize-${hit.edge}` : 'move'
+    noteDrag = { mode, startX: x, startY: y, noteId: hit.id, originals, hasMoved: false }
+    noteEditor.begin()
+    notifySelectionChange()
+  } else {
+    // Shift-drag adds the notes in a box to the selection
+    const mode = e.shiftKey ? 'select' : 'draw'
+    noteDrag = { mode, startX: x, startY: y, baseSelection: e.shiftKey ? noteEditor.getSelection() : [], hasMoved: false }
+  }
+  drawFrequencyMarkers()
+}
+
+function handleMouseUp(e) {
+  if (loopDragStartX !== null) {
+    finishLoopDrag(e)
+    return
+  }
+
+  if (noteDrag) {
+    const rect = canvas.getBoundingClientRect()
+    mouseX = e.clientX - rect.left
+    mouseY = e.clientY - rect.top
+    finishNoteDrag()
+  }
+}
+
+/**
+ * Applies the note drag to the mouse position: moves, resizes or changes
+ * the velocity of the selected notes, or selects the notes in the box.
+ */
+function updateNoteDrag() {
+  const drag = noteDrag
+  if (Math.abs(mouseX - drag.startX) > 3 || Math.abs(mouseY - drag.startY) > 3) drag.hasMoved = true
+  if (!drag.hasMoved || drag.mode === 'draw') return
+
+  if (drag.mode === 'select') {
+    const startTime = columnToTime(canvasXToColumn(Math.min(drag.startX, mouseX)))
+    const endTime = columnToTime(canvasXToColumn(Math.max(drag.startX, mouseX)))
+    const top = Math.min(drag.startY, mouseY)
+    const bottom = Math.max(drag.startY, mouseY)
+    const inside = []
+    for (const [noteId, note] of noteEditor.entries()) {
+      const y = frequencyToY(note.frequency)
+      if (note.endTime >= startTime && note.startTime <= endTime && y >= top && y <= bottom) inside.push(noteId)
+    }
+    noteEditor.select([...drag.baseSelection, ...inside])
+    return
+  }
+
+  const originals = Array.from(drag.originals.values())
+  let deltaTime = columnToTime(canvasXToColumn(mouseX)) - columnToTime(canvasXToColumn(drag.startX))
+  let steps = tuning.frequencyToNote(yToFrequency(mouseY)) - tuning.frequencyToNote(yToFrequency(drag.startY))
+  if (snapToSemitone) steps = Math.round(steps)
+  // The grabbed note starts on the grid, the others keep their distance to it
+  if (drag.mode === 'move') {
+    const anchor = drag.originals.get(drag.noteId)
+    deltaTime = snapTime(anchor.startTime + deltaTime) - anchor.startTime
+  }
+  // Notes of a file cannot move before its start
+  if (offlineSpectrogram) deltaTime = Math.max(deltaTime, -Math.min(...originals.map(note => note.startTime)))
+  const deltaVelocity = Math.round((drag.startY - mouseY) / 2)
+
+  for (const [noteId, note] of drag.originals) {
+    let edited
+    if (drag.mode === 'move') {
+      edited = {
+        ...note,
+        startTime: note.startTime + deltaTime,
+        endTime: note.endTime + deltaTime,
+        frequency: transposeFrequency(note.frequency, steps)
+      }
+    } else if (drag.mode === 'resize-start') {
+      edited = { ...note, startTime: Math.min(snapTime(note.startTime + deltaTime), note.endTime - MIN_NOTE_DURATION) }
+    } else if (drag.mode === 'resize-end') {
+      edited = { ...note, endTime: Math.max(snapTime(note.endTime + deltaTime), note.startTime + MIN_NOTE_DURATION) }
+    } else {
+      const velocity = (note.velocity || measureNoteVelocity(note)) + deltaVelocity
+      edited = { ...note, velocity: Math.max(1, Math.min(127, velocity)) }
+    }
+    noteEditor.set(noteId, edited)
+  }
+}
+
+/**
+ * Ends the note drag. A drag on empty space draws a note, a click there
+ * clears the selection; a click on a note without moving it seeks to its
+ * start in the file view and selects it alone.
+ */
+function finishNoteDrag() {
+  const drag = noteDrag
+  updateNoteDrag()
+  noteDrag = null
+
+  if (drag.mode === 'draw') {
+    if (Math.abs(mouseX - drag.startX) > 5) {
+      // Notes drawn from right to left start at the mouse-up position
+      const noteId = noteEditor.set(null, {
+        ...getDrawnNoteTimes(drag),
+        frequency: getDrawnNoteFrequency(drag.startY)
+      })
+      noteEditor.select([noteId])
+    } else {
+      noteEditor.select([])
+    }
+  } else if (drag.mode !== 'select') {
+    if (drag.hasMoved) {
+      noteEditor.commit()
+    } else {
+      noteEditor.cancel()
+      noteEditor.select([drag.noteId])
+      const note = noteEditor.get(drag.noteId)
+      if (offlineSpectrogram && transportHandlers.onSeek && note) transportHandlers.onSeek(note.startTime)
+    }
+  }
+
+  notifySelectionChange()
+  drawFrequencyMarkers()
+}
+
+/**
+ * Drops a note drag without finishing it, e.g. when the view changes.
+ */
+function cancelNoteDrag() {
+  if (noteDrag && noteDrag.originals) noteEditor.cancel()
+  noteDrag = null
+}
+
+/**
+ * Previews the loop region while dragging on the time axis.
+ */
+function updateLoopDrag() {
+  const startTime = columnToTime(canvasXToColumn(Math.min(loopDragStartX, mouseX)))
+  const endTime = columnToTime(canvasXToColumn(Math.max(loopDragStartX, mouseX)))
+  loopRegion = { start: Math.max(0, startTime), end: endTime }
+  drawFrequencyMarkers()
+}
+
+/**
+ * Ends a drag on the time axis: a click seeks, a drag sets the loop region.
+ */
+function finishLoopDrag(e) {
+  const rect = canvas.getBoundingClientRect()
+  const endX = e.clientX - rect.left
+  const startX = loopDragStartX
+  loopDragStartX = null
+
+  if (Math.abs(endX - startX) < 3) {
+    if (transportHandlers.onSeek) transportHandlers.onSeek(Math.max(0, columnToTime(canvasXToColumn(endX))))
+    return
+  }
+
+  const startTime = Math.max(0, columnToTime(canvasXToColumn(Math.min(startX, endX))))
+  const endTime = columnToTime(canvasXToColumn(Math.max(startX, endX)))
+  loopRegion = { start: startTime, end: endTime }
+  if (transportHandlers.onLoopChange) transportHandlers.onLoopChange(loopRegion)
+  drawFrequencyMarkers()
+}
+
+function handleMouseLeave() {
+  isMouseOverCanvas = false
+  loopDragStartX = null
+  if (noteDrag) finishNoteDrag()
+  drawFrequencyMarkers()
+}
+
+function handleMouseEnter() {
+  isMouseOverCanvas = true
+  drawFrequencyMarkers()
+}
+
+function handleDoubleClick(e) {
+  if (!isEditable()) return
+
+  const rect = canvas.getBoundingClientRect()
+  const hit = findNoteAt(e.clientX - rect.left, e.clientY - rect.top)
+
+  if (hit) {
+    noteEditor.set(hit.id, null)
+    notifySelectionChange()
+    drawFrequencyMarkers()
+  }
+}
+
+/**
+ * Returns the note at a canvas position, the last drawn one where notes
+ * overlap, or null.
+ * @returns {{id: number, note: Object, edge: string|null}|null} The note with
+ *   its id, and the end ('start' or 'end') the position is on, if any.
+ */
+function findNoteAt(x, y) {
+  const clickThreshold = 5
+
+  for (const [noteId, note] of Array.from(noteEditor.entries()).reverse()) {
+    const noteY = frequencyToY(note.frequency)
+    const startX = columnToCanvasX(timeToColumn(note.startTime))
+    const endX = columnToCanvasX(timeToColumn(note.endTime))
+    if (Math.abs(y - noteY) > clickThreshold || x < startX || x > endX) continue
+
+    // Short notes can only be resized at the end
+    let edge = null
+    if (endX - x < NOTE_EDGE_WIDTH) {
+      edge = 'end'
+    } else if (x - startX < NOTE_EDGE_WIDTH && endX - startX > 3 * NOTE_EDGE_WIDTH) {
+      edge = 'start'
+    }
+    return { id: noteId, note, edge }
+  }
+  return null
 }
@@ -0,0 +1,248 @@
+/**
+ * Streaming STFT analysis on raw time-domain samples
+ */
+import { getWindow, padCenter } from './utils/windowFunctions.js'
+import { getFFTPlan } from './utils/fft.js'
+import { reassignFrame } from './reassigned.js'
+import { createCqtAnalyzer } from './cqtAnalyzer.js'
+
+/**
+ * Default analysis settings.
+ * @type {Object}
+ */
+export const DEFAULT_STFT_SETTINGS = {
+  sampleRate: 44100,
+  windowSize: 2048,
+  windowType: 'hann',
+  overlap: 0.75,
+  zeroPadding: 1,
+  reassign: false
+}
+
+// Lowest level reported, so silent bins do not turn into -Infinity
+const DB_FLOOR = -200
+// Bin frequencies by layout, see `getBinFrequencies`
+const binFrequencyCache = new Map()
+
+/**
+ * Creates a streaming STFT analyzer. Samples are pushed in arbitrary block
+ * sizes; a frame is emitted every hop, each as a Float32Array of levels in
+ * dBFS (a full-scale sine peaks at 0 dB) for bins `0..nFft/2`.
+ * @param {Object} [options] - Initial settings, see `DEFAULT_STFT_SETTINGS`.
+ * @param {number} [options.windowSize] - Window length in samples.
+ * @param {string} [options.windowType] - One of `WINDOW_TYPES`.
+ * @param {number} [options.overlap] - Overlap between windows (0..1), sets the hop.
+ * @param {number} [options.zeroPadding] - FFT size as a multiple of the window size.
+ * @param {boolean} [options.reassign] - Accumulate power at reassigned frequencies.
+ * @returns {Object} The analyzer with `configure`, `push`, `reset` and `getLayout`.
+ */
+export function createStftAnalyzer (options = {}) {
+  const settings = { ...DEFAULT_STFT_SETTINGS }
+  let nFft, nBins, hopLength, baseWindow, window, plan, amplitudeScale, noiseBandwidth
+  let buffer, windowed, spectrumRe, spectrumIm
+  let samplesUntilFrame, totalSamples
+
+  configure(options)
+
+  /**
+   * Updates analysis settings; the sample history is cleared when the
+   * frame layout changes.
+   * @param {Object} changes - The settings to change.
+   */
+  function configure (changes) {
+    Object.assign(settings, changes)
+
+    const { windowSize, windowType, overlap, zeroPadding } = settings
+    nFft = windowSize * zeroPadding
+    nBins = Math.floor(nFft / 2) + 1
+    hopLength = Math.max(1, Math.round(windowSize * (1 - overlap)))
+
+    // The window sits centered in the zero-padded frame
+    baseWindow = getWindow(windowType, windowSize)
+    window = padCenter(baseWindow, nFft)
+    plan = getFFTPlan(nFft)
+
+    let windowSum = 0
+    let windowEnergy = 0
+    for (let i = 0; i < nFft; i++) {
+      windowSum += window[i]
+      windowEnergy += window[i] * window[i]
+    }
+    amplitudeScale = 2 / windowSum
+    // Equivalent noise bandwidth in bins, the spread of a sine's power
+    noiseBandwidth = nFft * windowEnergy / (windowSum * windowSum)
+
+    if (!buffer || buffer.length !== nFft) {
+      buffer = new Float32Array(nFft)
+      windowed = new Float64Array(nFft)
+      spectrumRe = new Float64Array(nBins)
+      spectrumIm = new Float64Array(nBins)
+      reset()
+    }
+  }
+
+  /**
+   * Clears the sample history.
+   */
+  function reset () {
+    buffer.fill(0)
+    samplesUntilFrame = hopLength
+    totalSamples = 0
+  }
+
+  /**
+   * Appends samples and analyzes every frame that became complete.
+   * @param {Float32Array} samples - New mono samples.
+   * @returns {{db: Float32Array, time: number}[]} The new frames; `time` is the
+   *   window center in seconds since the analyzer started.
+   */
+  function push (samples) {
+    const frames = []
+    let offset = 0
+
+    while (offset < samples.length) {
+      const count = Math.min(samplesUntilFrame, samples.length - offset)
+
+      // Shift the history and append the new block
+      buffer.copyWithin(0, count)
+      buffer.set(samples.subarray(offset, offset + count), nFft - count)
+
+      offset += count
+      totalSamples += count
+      samplesUntilFrame -= count
+
+      if (samplesUntilFrame === 0) {
+        samplesUntilFrame = hopLength
+        frames.push({
+          db: settings.reassign ? analyzeReassignedFrame() : analyzeFrame(),
+          time: (totalSamples - nFft / 2) / settings.sampleRate
+        })
+      }
+    }
+
+    return frames
+  }
+
+  /**
+   * Computes the windowed spectrum of the current frame in dBFS.
+   * @returns {Float32Array} The levels per bin.
+   */
+  function analyzeFrame () {
+    for (let i = 0; i < nFft; i++) {
+      windowed[i] = buffer[i] * window[i]
+    }
+    plan.forwardReal(windowed, spectrumRe, spectrumIm)
+
+    const db = new Float32Array(nBins)
+    for (let bin = 0; bin < nBins; bin++) {
+      const power = spectrumRe[bin] * spectrumRe[bin] + spectrumIm[bin] * spectrumIm[bin]
+      db[bin] = powerToDb(power * amplitudeScale * amplitudeScale)
+    }
+    return db
+  }
+
+  /**
+   * Computes the reassigned spectrum of the current frame and accumulates
+   * the power of every bin at its reassigned frequency. The sum is divided by
+   * the noise bandwidth so a concentrated sine reads the same level as in
+   * `analyzeFrame`.
+   * @returns {Float32Array} The levels per bin.
+   */
+  function analyzeReassignedFrame () {
+    const { sampleRate, windowSize } = settings
+    const { freqs, mags } = reassignFrame({
+      y: buffer,
+      sr: sampleRate,
+      nFft,
+      winLength: windowSize,
+      window: baseWindow
+    })
+
+    const power = new Float64Array(nBins)
+    for (let bin = 0; bin < nBins; bin++) {
+      if (Number.isNaN(freqs[bin])) continue
+      const target = Math.round(freqs[bin] * nFft / sampleRate)
+      const magnitude = mags[bin] * amplitudeScale
+      power[target] += magnitude * magnitude
+    }
+
+    const db = new Float32Array(nBins)
+    for (let bin = 0; bin < nBins; bin++) {
+      db[bin] = powerToDb(power[bin] / noiseBandwidth)
+    }
+    return db
+  }
+
+  /**
+   * Describes the frames the analyzer currently produces.
+   * @returns {{sampleRate: number, nFft: number, nBins: number, hopLength: number}}
+   */
+  function getLayout () {
+    return { sampleRate: settings.sampleRate, nFft, nBins, hopLength }
+  }
+
+  return { configure, push, reset, getLayout }
+}
+
+function powerToDb (power) {
+  return Math.max(DB_FLOOR, 10 * Math.log10(power))
+}
+
+/**
+ * Creates the analyzer for the `transform` setting: the STFT, or the
+ * constant-Q transform for 'cqt'.
+ * @param {Object} options - Analyzer settings, see `createStftAnalyzer` and `createCqtAnalyzer`.
+ * @param {string} [options.transform='stft'] - 'stft' or 'cqt'.
+ * @returns {Object} The analyzer with `configure`, `push`, `reset` and `getLayout`.
+ */
+export function createSpectrumAnalyzer (options) {
+  return options.transform === 'cqt' ? createCqtAnalyzer(options) : createStftAnalyzer(options)
+}
+
+/**
+ * Returns the centre frequency of every bin of an analyzer layout: linear
+ * FFT bins, or constant-Q bins when the layout has `binsPerOctave`.
+ * @param {Object} layout - The layout, see `getLayout` of the analyzers.
+ * @returns {Float32Array} The frequencies in Hz; cached, do not modify.
+ */
+export function getBinFrequencies (layout) {
+  const { sampleRate, nFft, nBins, minFrequency, binsPerOctave } = layout
+  const key = `${sampleRate}:${nFft}:${nBins}:${minFrequency}:${binsPerOctave}`
+  let frequencies = binFrequencyCache.get(key)
+  if (!frequencies) {
+    frequencies = new Float32Array(nBins)
+    for (let bin = 0; bin < nBins; bin++) {
+      frequencies[bin] = binsPerOctave
+        ? minFrequency * Math.pow(2, bin / binsPerOctave)
+        : bin * sampleRate / nFft
+    }
+    binFrequencyCache.set(key, frequencies)
+  }
+  return frequencies
+}
+
+/**
+ * Analyzes a complete signal, yielding to the event loop between chunks so
+ * the page stays responsive while long files are processed.
+ * @param {Float32Array} samples - Mono samples.
+ * @param {Object} options - Analyzer settings, see `createSpectrumAnalyzer`.
+ * @param {Function} [onProgress] - Called with the analyzed fraction (0..1).
+ * @returns {Promise<{frames: {db: Float32Array, time: number}[], layout: Object}>} The frames and their layout.
+ */
+export async function analyzeSignal (samples, options, onProgress) {
+  const analyzer = createSpectrumAnalyzer(options)
+  const layout = analyzer.getLayout()
+  const chunkSize = layout.hopLength * 64
+  const frames = []
+
+  for (let offset = 0; offset < samples.length; offset += chunkSize) {
+    frames.push(...analyzer.push(samples.subarray(offset, offset + chunkSize)))
+    if (onProgress) onProgress(offset / samples.length)
+    await new Promise(resolve => setTimeout(resolve))
+  }
+
+  // Flush half a window of silence so the end of the signal gets analyzed too
+  frames.push(...analyzer.push(new Float32Array(layout.nFft / 2)))
+
+  return { frames, layout }
+}
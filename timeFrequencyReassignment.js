@@ -1,5 +1,8 @@
 /**
  * Time-Frequency Reassignment implementation
+ *
+ * Experimental multi-taper heuristic kept for comparison only; it is not the
+ * canonical method. Use `reassignedSpectrogram` from `reassigned.js` instead.
  */
 import { createHermiteFunctions } from './utils/windowFunctions.js'
 import { computeSTFT } from './utils/fft.js'
@@ -0,0 +1,199 @@
+/**
+ * Tuner: the fundamental of the signal with sub-bin accuracy (phase vocoder
+ * frequency estimation) and how steady it is
+ */
+import { getFFTPlan } from './utils/fft.js'
+import { getWindow } from './utils/windowFunctions.js'
+
+/**
+ * Default tuner settings.
+ * @type {Object}
+ */
+export const DEFAULT_TUNER_SETTINGS = {
+  sampleRate: 44100,
+  windowSize: 4096,
+  hopLength: 1024,
+  minFrequency: 25,
+  maxFrequency: 5000,
+  thresholdDb: -60,
+  stabilityWindow: 0.5
+}
+
+// The loudest partial is taken for up to this harmonic of a lower fundamental
+const MAX_HARMONIC = 4
+// A fundamental may lie this far below the loudest partial
+const FUNDAMENTAL_RANGE_DB = 30
+
+/**
+ * Measures the fundamental of a block. The loudest bin of the Hann-windowed
+ * spectrum is taken as a harmonic of the lowest peak found at its second
+ * to `MAX_HARMONIC`th subharmonic, or as the fundamental itself. That bin is
+ * refined by the phase it advances between the block and the same block
+ * `hopLength` samples later; the measured frequency is exact for a steady
+ * sine within two bins of the bin, whatever the window's interpolation bias.
+ * @param {Float32Array} samples - At least `windowSize + hopLength` samples from `offset` on.
+ * @param {number} offset - The first sample of the block.
+ * @param {Object} [options] - Settings, see `DEFAULT_TUNER_SETTINGS`.
+ * @returns {{frequency: number, level: number}|null} The frequency in Hz of
+ *   the fundamental and the level in dBFS of the loudest partial, or null
+ *   when no bin in the range reaches the threshold.
+ */
+export function measureFundamental (samples, offset, options = {}) {
+  const { sampleRate, windowSize, hopLength, minFrequency, maxFrequency, thresholdDb } = { ...DEFAULT_TUNER_SETTINGS, ...options }
+  const { window, windowSum, plan, buffer, re, im, delayedRe, delayedIm } = getBuffers(windowSize)
+
+  for (let i = 0; i < windowSize; i++) buffer[i] = (samples[offset + i] || 0) * window[i]
+  plan.forwardReal(buffer, re, im)
+
+  const firstBin = Math.max(1, Math.ceil(minFrequency * windowSize / sampleRate))
+  const lastBin = Math.min(windowSize / 2 - 1, Math.floor(maxFrequency * windowSize / sampleRate))
+  const power = bin => re[bin] * re[bin] + im[bin] * im[bin]
+  let peak = -1
+  let peakPower = 0
+  for (let bin = firstBin; bin <= lastBin; bin++) {
+    if (power(bin) > peakPower) {
+      peak = bin
+      peakPower = power(bin)
+    }
+  }
+  const amplitude = 2 * Math.sqrt(peakPower) / windowSum
+  if (peak < 0 || 20 * Math.log10(amplitude) < thresholdDb) return null
+
+  // The lowest subharmonic with a peak of its own near enough in level,
+  // searched a bin either side of where it should lie
+  const minPower = Math.max(peakPower * Math.pow(10, -FUNDAMENTAL_RANGE_DB / 10), Math.pow(10, thresholdDb / 10) * windowSum * windowSum / 4)
+  let fundamental = peak
+  for (let harmonic = MAX_HARMONIC; harmonic >= 2 && fundamental === peak; harmonic--) {
+    const center = peak / harmonic
+    for (let bin = Math.max(firstBin, Math.floor(center) - 1); bin <= Math.ceil(center) + 1; bin++) {
+      if (power(bin) >= minPower && power(bin) > power(bin - 1) && power(bin) >= power(bin + 1) &&
+          (fundamental === peak || power(bin) > power(fundamental))) {
+        fundamental = bin
+      }
+    }
+  }
+
+  for (let i = 0; i < windowSize; i++) buffer[i] = (samples[offset + hopLength + i] || 0) * window[i]
+  plan.forwardReal(buffer, delayedRe, delayedIm)
+
+  // Phase advance beyond the one of the bin centre, wrapped to -pi..pi
+  const advance = Math.atan2(delayedIm[fundamental], delayedRe[fundamental]) - Math.atan2(im[fundamental], re[fundamental])
+  const expected = 2 * Math.PI * fundamental * hopLength / windowSize
+  const deviation = advance - expected - 2 * Math.PI * Math.round((advance - expected) / (2 * Math.PI))
+  const frequency = (fundamental + deviation * windowSize / (2 * Math.PI * hopLength)) * sampleRate / windowSize
+
+  return { frequency, level: 20 * Math.log10(amplitude) }
+}
+
+// Window, FFT plan and scratch buffers by window size
+const bufferCache = new Map()
+
+function getBuffers (windowSize) {
+  let buffers = bufferCache.get(windowSize)
+  if (!buffers) {
+    const window = getWindow('hann', windowSize)
+    buffers = {
+      window,
+      windowSum: window.reduce((sum, value) => sum + value, 0),
+      plan: getFFTPlan(windowSize),
+      buffer: new Float64Array(windowSize),
+      re: new Float64Array(windowSize / 2 + 1),
+      im: new Float64Array(windowSize / 2 + 1),
+      delayedRe: new Float64Array(windowSize / 2 + 1),
+      delayedIm: new Float64Array(windowSize / 2 + 1)
+    }
+    bufferCache.set(windowSize, buffers)
+  }
+  return buffers
+}
+
+/**
+ * Creates a streaming tuner. Samples are pushed in arbitrary block sizes;
+ * every hop the fundamental of the latest samples is measured (see
+ * `measureFundamental`) together with the spread of the fundamentals of the
+ * last `stabilityWindow` seconds, which tells a held note from a wavering
+ * or changing one.
+ * @param {Object} [options] - Settings, see `DEFAULT_TUNER_SETTINGS`.
+ * @param {number} [options.sampleRate] - The sample rate in Hz.
+ * @param {number} [options.windowSize] - FFT size, a power of two.
+ * @param {number} [options.hopLength] - Samples between readings, also the phase vocoder lag (at most a quarter window).
+ * @param {number} [options.minFrequency] - Lowest fundamental in Hz.
+ * @param {number} [options.maxFrequency] - Highest partial in Hz.
+ * @param {number} [options.thresholdDb] - Quieter partials are ignored.
+ * @param {number} [options.stabilityWindow] - Seconds of readings the spread is measured over.
+ * @returns {Object} The tuner with `configure`, `push` and `reset`.
+ */
+export function createTuner (options = {}) {
+  const settings = { ...DEFAULT_TUNER_SETTINGS }
+  let buffer, samplesUntilReading, totalSamples
+  let history = []
+
+  configure(options)
+
+  /**
+   * Updates the settings; the sample history is cleared when the buffer size changes.
+   * @param {Object} changes - The settings to change.
+   */
+  function configure (changes) {
+    Object.assign(settings, changes)
+    const length = settings.windowSize + settings.hopLength
+    if (!buffer || buffer.length !== length) {
+      buffer = new Float32Array(length)
+      reset()
+    }
+  }
+
+  /**
+   * Clears the sample history and the recent readings.
+   */
+  function reset () {
+    buffer.fill(0)
+    samplesUntilReading = settings.hopLength
+    totalSamples = 0
+    history = []
+  }
+
+  /**
+   * Appends samples and measures every hop that became complete.
+   * @param {Float32Array} samples - New mono samples.
+   * @returns {({time: number, frequency: number, level: number, spread: number}|null)[]}
+   *   A reading per hop: the fundamental with the standard deviation of the
+   *   recent ones in cents, or null without one. `time` is the centre of the
+   *   measured samples in seconds since the tuner started.
+   */
+  function push (samples) {
+    const readings = []
+    let offset = 0
+
+    while (offset < samples.length) {
+      const count = Math.min(samplesUntilReading, samples.length - offset)
+      buffer.copyWithin(0, count)
+      buffer.set(samples.subarray(offset, offset + count), buffer.length - count)
+
+      offset += count
+      totalSamples += count
+      samplesUntilReading -= count
+
+      if (samplesUntilReading === 0) {
+        samplesUntilReading = settings.hopLength
+        readings.push(measure((totalSamples - buffer.length / 2) / settings.sampleRate))
+      }
+    }
+
+    return readings
+  }
+
+  function measure (time) {
+    history = history.filter(entry => entry.time > time - settings.stabilityWindow)
+    const fundamental = measureFundamental(buffer, 0, settings)
+    if (!fundamental) return null
+
+    history.push({ time, cents: 1200 * Math.log2(fundamental.frequency) })
+    const mean = history.reduce((sum, entry) => sum + entry.cents, 0) / history.length
+    const variance = history.reduce((sum, entry) => sum + (entry.cents - mean) * (entry.cents - mean), 0) / history.length
+
+    return { time, frequency: fundamental.frequency, level: fundamental.level, spread: Math.sqrt(variance) }
+  }
+
+  return { configure, push, reset }
+}
@@ -1,9 +1,127 @@
-import { toggleAudio, updateFFTSize, initAudio, getAudioData } from './audioHandler.js'
-import { updateFrequencyRange, updateDbRange, updateContrastBrightness, drawFrequencyMarkers, updateSpectrogramm, updatePersistence, togglePause, exportToMidi, createMidiData, toggleReassignment } from './spectrogramRenderer.js'
-import { updateTheme, updateCustomTheme } from './colorThemes.js'
-import { saveMidiFile } from './utils/midiUtils.js'
+import { toggleAudio, initAudio, getAudioData, readNewSamples, openCapturePort, isAudioInputRunning, loadAudioFile, getMonoSamples, setPlaybackBuffer, isPlaybackActive, startPlayback, pausePlayback, seekPlayback, setLoopRegion, getPlaybackPosition } from './audioHandler.js'
+import { drawFrequencyMarkers, updateSpectrogramm, togglePause, exportToMidi, exportToMusicXml, exportToAbc, exportChordTimeline, createMidiData, showOfflineSpectrogram, clearOfflineSpectrogram, setTransportHandlers, setPlayheadTime, showLoopRegion, addNotes, removeNotes, addChords, setChordLaneVisible, addOnsets, setOnsetsVisible, getNotes, setNotes, setNoteEditorHandlers, handleNoteEditorKey, setSnapToSemitone, setSelectedNoteVelocity, setTempoGrid, setGridDivision, setGridVisible, setTuning, setTunerVisible, showTunerReading, setHistoryDuration } from './spectrogramRenderer.js'
+import { settings, SETTINGS_PRESETS, validateSettings, settingsToHash, hashToSettings } from './settingsStore.js'
+import { parseMidiFile, MIDIToFrequency, NOTE_NAMES } from './utils/midiUtils.js'
+import { DEFAULT_TUNING, TEMPERAMENTS, STANDARD_TUNING, createTuning, parseScalaFile } from './utils/tuning.js'
+import { encodeMidiFile } from './utils/midiEncoder.js'
+import { getKeySignatures } from './utils/notationExport.js'
+import { FREQUENCY_SCALES } from './utils/frequencyScales.js'
+import { GRID_DIVISIONS } from './utils/tempoGrid.js'
+import { analyzeSignal } from './stftAnalyzer.js'
+import { trackPitch } from './pitchTracker.js'
+import { transcribePolyphonic } from './polyphonicTranscriber.js'
+import { createAnalysisPipeline } from './analysisPipeline.js'
+import { computeChroma, createKeyEstimator } from './keyDetection.js'
+import { createChordRecognizer } from './chordRecognition.js'
+import { DEFAULT_TUNER_SETTINGS, createTuner } from './tuner.js'
+import { createOnsetDetector, estimateTempo } from './onsetDetection.js'
+import { encodeProject, decodeProject, stringifyProject, parseProject } from './utils/projectFile.js'
+import { saveAutosave, loadAutosave, deleteAutosave } from './utils/projectStorage.js'
+import { downloadBlob } from './utils/fileUtils.js'
+import { loadUserPresets, saveUserPreset, deleteUserPreset } from './utils/presetStorage.js'
 
-let analyser, dataArray, audioContext
+const AUDIO_FILE_PATTERN = /\.(wav|mp3|ogg|oga|flac)$/i
+const MIDI_FILE_PATTERN = /\.(mid|midi|smf)$/i
+const SCALA_FILE_PATTERN = /\.scl$/i
+const PROJECT_FILE_PATTERN = /\.(json|zip)$/i
+// Tempo estimates less periodic than this are shown but not followed
+const MIN_TEMPO_CONFIDENCE = 0.3
+const AUTOSAVE_INTERVAL = 5000 // ms
+
+// The controls of the settings store by setting name, see `SETTINGS_SCHEMA`
+const SETTING_CONTROLS = {
+  minDb: 'minDbSlider',
+  maxDb: 'maxDbSlider',
+  contrast: 'contrastSlider',
+  brightness: 'brightnessSlider',
+  persistence: 'persistenceSlider',
+  theme: 'themeSelect',
+  customColorLow: 'customColorLow',
+  customColorMid: 'customColorMid',
+  customColorHigh: 'customColorHigh',
+  viewMode: 'viewModeSelect',
+  frequencyScale: 'frequencyScaleSelect',
+  minFrequency: 'minFrequencySelect',
+  maxFrequency: 'frequencyRangeSlider', // log10 of the frequency
+  secondsPerScreen: 'secondsPerScreenSelect',
+  analysisMode: 'analysisModeSelect',
+  fftSize: 'fftSizeSelect',
+  windowType: 'windowTypeSelect',
+  overlap: 'overlapSelect',
+  zeroPadding: 'zeroPaddingSelect',
+  cqtBinsPerOctave: 'cqtBinsPerOctaveSelect',
+  cqtMinNote: 'cqtMinNoteSelect',
+  cqtMaxNote: 'cqtMaxNoteSelect'
+}
+const ANALYSIS_SETTINGS = ['analysisMode', 'fftSize', 'windowType', 'overlap', 'zeroPadding', 'cqtBinsPerOctave', 'cqtMinNote', 'cqtMaxNote']
+
+let audioContext
+let isFileLoaded = false
+let loopSelection = null
+let loadedFile = null
+let fileTempo = null
+let noteTrackingRun = 0
+let liveKey = null
+let liveTempo = null
+let tempoGridOffset = 0 // time of a beat the grid's bars start on
+let tuning = STANDARD_TUNING
+let scalaScale = null
+let isLoadingProject = false
+
+// Live input analysis (STFT, key, chords, onsets, tempo, tuner and note tracking) in a worker; the finished
+// frames advance the spectrogram by their time on the audio clock
+const analysisPipeline = createAnalysisPipeline({
+  onFrames: (frames, layout) => {
+    frames.forEach(frame => updateSpectrogramm(frame.db, layout, frame.time))
+  },
+  onNotes: (notes) => addNotes(notes, 'tracked'),
+  onKey: (key) => {
+    liveKey = key
+    if (!isFileLoaded) showKey(key)
+  },
+  onChords: (chords) => {
+    if (!isFileLoaded) addChords(chords)
+  },
+  onOnsets: (onsets) => {
+    if (!isFileLoaded) addOnsets(onsets)
+  },
+  onTempo: (tempo) => {
+    liveTempo = tempo
+    if (!isFileLoaded) showTempo(tempo)
+  },
+  onTuner: (reading) => {
+    if (!isFileLoaded) showTunerReading(reading)
+  },
+  onFallback: () => {
+    // The worklet's port went with the worker
+    const capturePort = isAudioInputRunning() ? openCapturePort() : null
+    if (capturePort) analysisPipeline.connectInput(capturePort)
+  }
+})
+
+/**
+ * Shows a key estimate next to the transport.
+ * @param {Object|null} key - The key, see `estimateKey`; null while unknown.
+ */
+function showKey (key) {
+  document.getElementById('keyEstimate').textContent = key ? `Key: ${key.name}` : 'Key: –'
+}
+
+/**
+ * Shows a tempo estimate next to the key. While "Follow" is checked and the
+ * estimate is periodic enough, its tempo and beat phase drive the tempo
+ * field, and through it the grid and the exports.
+ * @param {Object|null} tempo - The tempo, see `estimateTempo`; null while unknown.
+ */
+function showTempo (tempo) {
+  document.getElementById('tempoEstimate').textContent = tempo ? `Tempo: ${Math.round(tempo.bpm)} BPM` : 'Tempo: –'
+  if (!tempo || tempo.confidence < MIN_TEMPO_CONFIDENCE || !document.getElementById('followTempoCheckbox').checked) return
+
+  const bpmInput = document.getElementById('midiBpmInput')
+  tempoGridOffset = tempo.beatTime
+  bpmInput.value = tempo.bpm.toFixed(1)
+  bpmInput.dispatchEvent(new Event('change'))
+}
 
 /**
  * Initializes all UI controls and their event listeners.
@@ -13,22 +131,93 @@ let analyser, dataArray, audioContext
 export function initUIControls (canvas, labelCanvas) {
   const toggleButton = document.getElementById('toggleButton')
   const exportMidiButton = document.getElementById('exportMidiButton')
+  const exportMusicXmlButton = document.getElementById('exportMusicXmlButton')
+  const exportAbcButton = document.getElementById('exportAbcButton')
+  const exportChordsButton = document.getElementById('exportChordsButton')
   const showControlsButton = document.getElementById('showControlsButton')
   const controlsContainer = document.getElementById('controlsContainer')
-  const frequencyRangeSlider = document.getElementById('frequencyRangeSlider')
-  const minDbSlider = document.getElementById('minDbSlider')
-  const maxDbSlider = document.getElementById('maxDbSlider')
-  const contrastSlider = document.getElementById('contrastSlider')
-  const brightnessSlider = document.getElementById('brightnessSlider')
-  const themeSelect = document.getElementById('themeSelect')
-  const customColorLow = document.getElementById('customColorLow')
-  const customColorMid = document.getElementById('customColorMid')
-  const customColorHigh = document.getElementById('customColorHigh')
-  const fftSizeSelect = document.getElementById('fftSizeSelect')
-  const persistenceSlider = document.getElementById('persistenceSlider')
+  const frequencyScaleSelect = document.getElementById('frequencyScaleSelect')
+  const referenceFrequencyInput = document.getElementById('referenceFrequencyInput')
+  const temperamentSelect = document.getElementById('temperamentSelect')
+  const temperamentTonicSelect = document.getElementById('temperamentTonicSelect')
+  const loadScalaButton = document.getElementById('loadScalaButton')
+  const scalaFileInput = document.getElementById('scalaFileInput')
+  const chordLaneCheckbox = document.getElementById('chordLaneCheckbox')
+  const onsetsCheckbox = document.getElementById('onsetsCheckbox')
+  const followTempoCheckbox = document.getElementById('followTempoCheckbox')
+  const snapSemitoneCheckbox = document.getElementById('snapSemitoneCheckbox')
+  const noteVelocityInput = document.getElementById('noteVelocityInput')
   const pauseButton = document.getElementById('pauseButton')
   const dragMidiButton = document.getElementById('dragMidiButton')
-  const reassignmentCheckbox = document.getElementById('useReassignment')
+  const loadFileButton = document.getElementById('loadFileButton')
+  const audioFileInput = document.getElementById('audioFileInput')
+  const importMidiButton = document.getElementById('importMidiButton')
+  const midiFileInput = document.getElementById('midiFileInput')
+  const presetSelect = document.getElementById('presetSelect')
+  const savePresetButton = document.getElementById('savePresetButton')
+  const deletePresetButton = document.getElementById('deletePresetButton')
+  const copyLinkButton = document.getElementById('copyLinkButton')
+  const saveProjectButton = document.getElementById('saveProjectButton')
+  const openProjectButton = document.getElementById('openProjectButton')
+  const projectFileInput = document.getElementById('projectFileInput')
+  const midiBpmInput = document.getElementById('midiBpmInput')
+  const timeSignatureSelect = document.getElementById('timeSignatureSelect')
+  const gridCheckbox = document.getElementById('gridCheckbox')
+  const gridDivisionSelect = document.getElementById('gridDivisionSelect')
+  const pitchBendCheckbox = document.getElementById('pitchBendCheckbox')
+  const keySignatureSelect = document.getElementById('keySignatureSelect')
+  const quantizeGridSelect = document.getElementById('quantizeGridSelect')
+  const canvasContainer = canvas.parentNode
+  const playButton = document.getElementById('playButton')
+  const stopButton = document.getElementById('stopButton')
+  const loopCheckbox = document.getElementById('loopCheckbox')
+  const transportTime = document.getElementById('transportTime')
+  const tunerCheckbox = document.getElementById('tunerCheckbox')
+  const historyMinutesSelect = document.getElementById('historyMinutesSelect')
+  const noteTrackingSelect = document.getElementById('noteTrackingSelect')
+  const pitchConfidenceSlider = document.getElementById('pitchConfidenceSlider')
+  const polyThresholdSlider = document.getElementById('polyThresholdSlider')
+  const minNoteLengthSlider = document.getElementById('minNoteLengthSlider')
+
+  for (const key of getKeySignatures()) {
+    const option = document.createElement('option')
+    option.value = `${key.fifths}:${key.mode}`
+    option.textContent = key.name
+    option.selected = key.fifths === 0 && key.mode === 'major'
+    keySignatureSelect.appendChild(option)
+  }
+
+  for (const [value, scale] of Object.entries(FREQUENCY_SCALES)) {
+    const option = document.createElement('option')
+    option.value = value
+    option.textContent = scale.label
+    option.selected = value === 'log'
+    frequencyScaleSelect.appendChild(option)
+  }
+
+  for (const [value, division] of Object.entries(GRID_DIVISIONS)) {
+    const option = document.createElement('option')
+    option.value = value
+    option.textContent = division.label
+    option.selected = value === 'off'
+    gridDivisionSelect.appendChild(option)
+  }
+
+  for (const [value, temperament] of Object.entries(TEMPERAMENTS)) {
+    const option = document.createElement('option')
+    option.value = value
+    option.textContent = temperament.label
+    option.selected = value === 'equal'
+    temperamentSelect.appendChild(option)
+  }
+
+  NOTE_NAMES.forEach((name, pitchClass) => {
+    const option = document.createElement('option')
+    option.value = pitchClass
+    option.textContent = name
+    option.selected = pitchClass === 0
+    temperamentTonicSelect.appendChild(option)
+  })
 
   // Hide controls by default
   controlsContainer.style.display = 'none'
@@ -41,65 +230,210 @@ export function initUIControls (canvas, labelCanvas) {
    * @returns {void}
    */
   toggleButton.addEventListener('click', () => {
+    // Going live leaves the view of a loaded file
+    if (!isAudioInputRunning()) unloadFile()
+
     toggleAudio().then(isRunning => {
       toggleButton.textContent = isRunning ? 'Stop' : 'Start'
       if (isRunning) {
-        ({ analyser, dataArray, audioContext } = getAudioData())
-        function animate () {
-          if (analyser && dataArray && audioContext) {
-            updateSpectrogramm(analyser, dataArray, audioContext)
-          }
-          requestAnimationFrame(animate)
-        }
-        requestAnimationFrame(animate)
+        ({ audioContext } = getAudioData())
+        analysisPipeline.reset(audioContext.sampleRate)
+        // The worklet feeds the analysis directly; otherwise animate() reads the samples
+        const capturePort = openCapturePort()
+        if (capturePort) analysisPipeline.connectInput(capturePort)
       }
     })
   })
 
+  // Playback position of the last tuner reading of a loaded file
+  let tunerPosition = null
+
+  /**
+   * Passes the samples captured since the last animation frame to the
+   * analysis when the input is not captured by the worklet; for a loaded file
+   * it moves the playhead along the audio clock.
+   * @returns {void}
+   */
+  function animate () {
+    const samples = readNewSamples()
+    if (samples) analysisPipeline.push(samples)
+
+    if (isFileLoaded) {
+      const isPlaying = isPlaybackActive()
+      const position = getPlaybackPosition()
+      if (isPlaying) setPlayheadTime(position, true)
+      if (tunerCheckbox.checked && position !== tunerPosition) {
+        tunerPosition = position
+        showTunerReading(measureLoadedFile(position))
+      }
+      transportTime.textContent = formatPosition(position)
+      playButton.textContent = isPlaying ? 'Pause' : 'Play'
+    }
+    requestAnimationFrame(animate)
+  }
+  requestAnimationFrame(animate)
+
+  // Transport for loaded files
+  setTransportHandlers({
+    onSeek: (time) => {
+      seekPlayback(time)
+      setPlayheadTime(time)
+    },
+    onLoopChange: (region) => {
+      loopSelection = region
+      loopCheckbox.checked = true
+      setLoopRegion(region)
+    }
+  })
+
+  playButton.addEventListener('click', togglePlayback)
+  stopButton.addEventListener('click', () => {
+    pausePlayback()
+    seekPlayback(loopCheckbox.checked && loopSelection ? loopSelection.start : 0)
+    setPlayheadTime(getPlaybackPosition(), true)
+  })
+  tunerCheckbox.addEventListener('change', updateTunerFromUI)
+  loopCheckbox.addEventListener('change', () => {
+    const region = loopCheckbox.checked ? loopSelection : null
+    setLoopRegion(region)
+    showLoopRegion(region)
+  })
+
+  // Space bar toggles playback unless a form control has focus
+  document.addEventListener('keydown', (event) => {
+    const target = event.target
+    if (event.code !== 'Space' || !isFileLoaded) return
+    if (target && ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'].includes(target.tagName)) return
+    event.preventDefault()
+    togglePlayback()
+  })
+
+  // Note editing shortcuts (undo, copy/paste, delete, transpose), see `handleNoteEditorKey`
+  document.addEventListener('keydown', (event) => {
+    const target = event.target
+    if (target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) return
+    if (handleNoteEditorKey(event)) event.preventDefault()
+  })
+
+  // The velocity field shows and edits the velocity of the selected notes
+  setNoteEditorHandlers({
+    onSelectionChange: ({ count, velocity }) => {
+      noteVelocityInput.disabled = count === 0
+      noteVelocityInput.value = velocity === null ? '' : velocity
+    }
+  })
+  noteVelocityInput.addEventListener('change', () => {
+    const velocity = parseInt(noteVelocityInput.value, 10)
+    if (velocity >= 1 && velocity <= 127) setSelectedNoteVelocity(velocity)
+  })
+  snapSemitoneCheckbox.addEventListener('change', () => {
+    setSnapToSemitone(snapSemitoneCheckbox.checked)
+  })
+
+  // Tempo and time signature drive the time ruler, the grid and the exports
+  midiBpmInput.addEventListener('change', updateTempoGridFromUI)
+  timeSignatureSelect.addEventListener('change', updateTempoGridFromUI)
+  gridCheckbox.addEventListener('change', () => {
+    setGridVisible(gridCheckbox.checked)
+  })
+  gridDivisionSelect.addEventListener('change', () => {
+    setGridDivision(gridDivisionSelect.value)
+  })
+
   exportMidiButton.addEventListener('click', () => {
-    exportToMidi()
+    exportToMidi(getMidiExportSettingsFromUI())
   })
+  exportMusicXmlButton.addEventListener('click', () => {
+    exportToMusicXml(getNotationSettingsFromUI())
+  })
+  exportAbcButton.addEventListener('click', () => {
+    exportToAbc(getNotationSettingsFromUI())
+  })
+  exportChordsButton.addEventListener('click', exportChordTimeline)
   canvas.addEventListener('click', handleCanvasClick)
   showControlsButton.addEventListener('click', toggleControls)
 
-  frequencyRangeSlider.addEventListener('input', (event) => {
-    const maxFreq = Math.pow(10, event.target.value)
-    updateFrequencyRange(maxFreq)
+  referenceFrequencyInput.addEventListener('change', updateTuningFromUI)
+  temperamentSelect.addEventListener('change', updateTuningFromUI)
+  temperamentTonicSelect.addEventListener('change', updateTuningFromUI)
+  loadScalaButton.addEventListener('click', () => scalaFileInput.click())
+  scalaFileInput.addEventListener('change', (event) => loadScalaFile(event.target.files[0]))
+  chordLaneCheckbox.addEventListener('change', () => {
+    setChordLaneVisible(chordLaneCheckbox.checked)
+  })
+  onsetsCheckbox.addEventListener('change', () => {
+    setOnsetsVisible(onsetsCheckbox.checked)
+  })
+  followTempoCheckbox.addEventListener('change', () => {
+    showTempo(isFileLoaded ? fileTempo : liveTempo)
   })
 
-  minDbSlider.addEventListener('input', updateDbRangeFromUI)
-  maxDbSlider.addEventListener('input', updateDbRangeFromUI)
+  // The display and analysis controls change the settings store, and show
+  // its changes from presets, shared links and projects
+  for (const [key, id] of Object.entries(SETTING_CONTROLS)) {
+    const element = document.getElementById(id)
+    element.addEventListener(element.type === 'range' ? 'input' : 'change', () => {
+      const value = key === 'maxFrequency' ? Math.round(Math.pow(10, element.value)) : element.value
+      settings.set({ [key]: value })
+    })
+  }
+  settings.subscribe(showSettings)
 
-  contrastSlider.addEventListener('input', updateContrastBrightnessFromUI)
-  brightnessSlider.addEventListener('input', updateContrastBrightnessFromUI)
+  // Shared links: the hash holds the settings that differ from the defaults
+  const initialHash = window.location.hash
+  window.addEventListener('hashchange', () => applySettingsFromHash(window.location.hash))
+  copyLinkButton.addEventListener('click', copyLink)
 
-  themeSelect.addEventListener('change', (event) => {
-    updateTheme(event.target.value)
-    if (event.target.value === 'custom') {
-      document.getElementById('customThemeControls').style.display = 'block'
-    } else {
-      document.getElementById('customThemeControls').style.display = 'none'
-    }
-  })
+  // Presets: built-in ones and the user's, which are kept in localStorage
+  updatePresetOptions('')
+  presetSelect.addEventListener('change', () => applyPreset(presetSelect.value))
+  savePresetButton.addEventListener('click', savePreset)
+  deletePresetButton.addEventListener('click', deletePreset)
 
-  /**
-   * Updates the custom color theme.
-   * @param {string} color - The color in hex format.
-   * @param {number} index - The index of the color to update (0-2).
-   * @returns {void}
-   */
-  customColorLow.addEventListener('change', (event) => updateCustomTheme(event.target.value, 0))
-  customColorMid.addEventListener('change', (event) => updateCustomTheme(event.target.value, 1))
-  customColorHigh.addEventListener('change', (event) => updateCustomTheme(event.target.value, 2))
+  historyMinutesSelect.addEventListener('change', () => {
+    setHistoryDuration(parseFloat(historyMinutesSelect.value))
+  })
 
-  fftSizeSelect.addEventListener('change', (event) => {
-    updateFFTSize(parseInt(event.target.value))
+  // Automatic note tracking of the live input or the loaded file
+  noteTrackingSelect.addEventListener('change', () => {
+    updateNoteTrackingFromUI()
+    trackLoadedFile()
   })
+  for (const slider of [pitchConfidenceSlider, polyThresholdSlider, minNoteLengthSlider]) {
+    slider.addEventListener('input', updateNoteTrackingFromUI)
+    slider.addEventListener('change', trackLoadedFile)
+  }
+
+  // Audio and MIDI files: file pickers and drag & drop onto the spectrogram
+  const loadFileButtonTextInitial = loadFileButton.textContent
+  loadFileButton.addEventListener('click', () => audioFileInput.click())
+  audioFileInput.addEventListener('change', (event) => openAudioFile(event.target.files[0]))
+  importMidiButton.addEventListener('click', () => midiFileInput.click())
+  midiFileInput.addEventListener('change', (event) => importMidiFile(event.target.files[0]))
+  saveProjectButton.addEventListener('click', saveProject)
+  openProjectButton.addEventListener('click', () => projectFileInput.click())
+  projectFileInput.addEventListener('change', (event) => openProjectFile(event.target.files[0]))
 
-  persistenceSlider.addEventListener('input', (event) => {
-    const value = parseFloat(event.target.value)
-    updatePersistence(value)
-    document.getElementById('persistenceValue').textContent = value.toFixed(2)
+  canvasContainer.addEventListener('dragover', (event) => {
+    if (!event.dataTransfer.types.includes('Files')) return
+    event.preventDefault()
+    event.dataTransfer.dropEffect = 'copy'
+    canvasContainer.classList.add('drop-target')
+  })
+  canvasContainer.addEventListener('dragleave', () => canvasContainer.classList.remove('drop-target'))
+  canvasContainer.addEventListener('drop', (event) => {
+    event.preventDefault()
+    canvasContainer.classList.remove('drop-target')
+    const file = event.dataTransfer.files[0]
+    if (file && MIDI_FILE_PATTERN.test(file.name)) {
+      importMidiFile(file)
+    } else if (file && SCALA_FILE_PATTERN.test(file.name)) {
+      loadScalaFile(file)
+    } else if (file && PROJECT_FILE_PATTERN.test(file.name)) {
+      openProjectFile(file)
+    } else {
+      openAudioFile(file)
+    }
   })
 
   // save initial text
@@ -111,45 +445,674 @@ export function initUIControls (canvas, labelCanvas) {
   })
 
   // Initial setup
-  updateFrequencyRangeFromUI()
-  updateDbRangeFromUI()
-  updateContrastBrightnessFromUI()
+  setTransportEnabled(false)
+  showSettings(settings.getAll())
+  updateNoteTrackingFromUI()
+  updateTuningFromUI()
+  updateTunerFromUI()
+  updateTempoGridFromUI()
 
   // Draw frequency markers immediately after initialization
   drawFrequencyMarkers()
 
+  // The session is restored from the autosave, which only starts afterwards
+  // so it does not overwrite what is being restored; a shared link's
+  // settings take precedence
+  let autosavedJson = null
+  restoreAutosave()
+    .then(() => {
+      if (initialHash) applySettingsFromHash(initialHash)
+    })
+    .finally(() => setInterval(autosave, AUTOSAVE_INTERVAL))
+
+  /**
+   * Shows changed settings in their controls and applies those the renderer
+   * does not follow itself: the live analysis and the URL hash.
+   * @param {Object} changes - The changed settings by name.
+   * @returns {void}
+   */
+  function showSettings (changes) {
+    for (const [key, value] of Object.entries(changes)) {
+      const element = document.getElementById(SETTING_CONTROLS[key])
+      element.value = key === 'maxFrequency' ? Math.log10(value) : value
+    }
+    if ('minDb' in changes) document.getElementById('minDbValue').textContent = changes.minDb.toFixed(1)
+    if ('maxDb' in changes) document.getElementById('maxDbValue').textContent = changes.maxDb.toFixed(1)
+    if ('persistence' in changes) document.getElementById('persistenceValue').textContent = changes.persistence.toFixed(2)
+    if ('theme' in changes) {
+      document.getElementById('customThemeControls').style.display = changes.theme === 'custom' ? 'block' : 'none'
+    }
+    if (ANALYSIS_SETTINGS.some(key => key in changes)) updateAnalysis()
+
+    const hash = settingsToHash(settings.getAll())
+    window.history.replaceState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search)
+  }
+
+  /**
+   * Sets the settings of a shared link; those it does not mention return to
+   * their defaults, so the link shows the same view. Invalid ones are skipped.
+   * @param {string} hash - The URL hash, see `settingsToHash`.
+   * @returns {void}
+   */
+  function applySettingsFromHash (hash) {
+    const { settings: values, invalid } = validateSettings(hashToSettings(hash))
+    if (invalid.length) console.warn(`Ignoring invalid settings in the URL: ${invalid.join(', ')}`)
+    settings.reset(values)
+  }
+
+  /**
+   * Copies the link to the current view to the clipboard, or shows it where
+   * the clipboard is not available.
+   * @returns {void}
+   */
+  function copyLink () {
+    const url = window.location.href
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject(new Error('No clipboard'))
+    copied
+      .then(() => {
+        copyLinkButton.textContent = 'Link Copied'
+        setTimeout(() => { copyLinkButton.textContent = 'Copy Link' }, 1500)
+      })
+      .catch(() => window.prompt('Copy this link:', url))
+  }
+
+  /**
+   * Fills the preset list with the built-in presets and the user's.
+   * @param {string} selected - The value to select, e.g. 'user:Piano'; '' for none.
+   * @returns {void}
+   */
+  function updatePresetOptions (selected) {
+    presetSelect.replaceChildren()
+    const options = [['', 'Choose...']]
+    for (const [name, preset] of Object.entries(SETTINGS_PRESETS)) options.push([`preset:${name}`, preset.label])
+    for (const name of Object.keys(loadUserPresets())) options.push([`user:${name}`, name])
+    for (const [value, label] of options) {
+      const option = document.createElement('option')
+      option.value = value
+      option.textContent = label
+      presetSelect.appendChild(option)
+    }
+    presetSelect.value = selected
+    deletePresetButton.disabled = !selected.startsWith('user:')
+  }
+
+  /**
+   * Applies a built-in or user preset; a built-in one changes only the
+   * settings it names.
+   * @param {string} value - The option value, see `updatePresetOptions`.
+   * @returns {void}
+   */
+  function applyPreset (value) {
+    deletePresetButton.disabled = !value.startsWith('user:')
+    if (!value) return
+
+    const name = value.slice(value.indexOf(':') + 1)
+    const preset = value.startsWith('user:') ? loadUserPresets()[name] : SETTINGS_PRESETS[name].settings
+    const { settings: values, invalid } = validateSettings(preset || {})
+    if (invalid.length) console.warn(`Ignoring invalid settings in preset ${name}: ${invalid.join(', ')}`)
+    settings.set(values)
+  }
+
+  /**
+   * Saves the current settings as a user preset under a name the user enters.
+   * @returns {void}
+   */
+  function savePreset () {
+    const selected = presetSelect.value.startsWith('user:') ? presetSelect.value.slice(5) : ''
+    const name = (window.prompt('Preset name:', selected) || '').trim()
+    if (!name) return
+
+    try {
+      saveUserPreset(name, settings.getAll())
+      updatePresetOptions(`user:${name}`)
+    } catch (err) {
+      console.error('Error saving preset:', err)
+      window.alert(`Could not save the preset: ${err.message}`)
+    }
+  }
+
+  /**
+   * Deletes the selected user preset after asking.
+   * @returns {void}
+   */
+  function deletePreset () {
+    if (!presetSelect.value.startsWith('user:')) return
+    const name = presetSelect.value.slice(5)
+    if (!window.confirm(`Delete the preset ${name}?`)) return
+
+    deleteUserPreset(name)
+    updatePresetOptions('')
+  }
+
+  /**
+   * Returns the analysis settings of the store, see `SETTINGS_SCHEMA`, with
+   * the constant-Q bins tuned to A4 of the current tuning.
+   * @returns {Object} The settings for `createSpectrumAnalyzer`.
+   */
+  function getAnalysisSettings () {
+    return {
+      transform: settings.get('analysisMode') === 'cqt' ? 'cqt' : 'stft',
+      windowSize: settings.get('fftSize'),
+      windowType: settings.get('windowType'),
+      overlap: settings.get('overlap'),
+      zeroPadding: settings.get('zeroPadding'),
+      reassign: settings.get('analysisMode') === 'reassigned',
+      binsPerOctave: settings.get('cqtBinsPerOctave'),
+      minNote: settings.get('cqtMinNote'),
+      maxNote: settings.get('cqtMaxNote'),
+      referenceFrequency: tuning.noteToFrequency(69)
+    }
+  }
+
+  /**
+   * Passes the analysis settings to the live STFT analyzer.
+   * @returns {void}
+   */
+  function updateAnalysis () {
+    analysisPipeline.configure(getAnalysisSettings())
+  }
+
+  /**
+   * Reads the note tracking thresholds from the UI.
+   * @returns {Object} The settings of both note trackers.
+   */
+  function getNoteTrackingSettingsFromUI () {
+    return {
+      confidenceThreshold: parseFloat(pitchConfidenceSlider.value),
+      peakThresholdDb: parseFloat(polyThresholdSlider.value),
+      minNoteLength: parseFloat(minNoteLengthSlider.value)
+    }
+  }
+
+  /**
+   * Passes the note tracking mode and thresholds to the live analysis.
+   * @returns {void}
+   */
+  function updateNoteTrackingFromUI () {
+    const settings = getNoteTrackingSettingsFromUI()
+    analysisPipeline.configureTracking(noteTrackingSelect.value, settings)
+    document.getElementById('pitchConfidenceValue').textContent = settings.confidenceThreshold.toFixed(2)
+    document.getElementById('polyThresholdValue').textContent = `${settings.peakThresholdDb} dB`
+    document.getElementById('minNoteLengthValue').textContent = `${Math.round(settings.minNoteLength * 1000)} ms`
+  }
+
+  /**
+   * Tracks the notes of the loaded file in the selected mode, replacing
+   * previously tracked ones. A newer run or unloading the file discards the result.
+   * @returns {void}
+   */
+  function trackLoadedFile () {
+    const mode = noteTrackingSelect.value
+    if (!loadedFile || mode === 'off') return
+
+    const run = ++noteTrackingRun
+    const track = mode === 'polyphonic' ? transcribePolyphonic : trackPitch
+    const settings = { ...getNoteTrackingSettingsFromUI(), sampleRate: loadedFile.sampleRate }
+    track(loadedFile.samples, settings)
+      .then(notes => {
+        if (run !== noteTrackingRun || !loadedFile) return
+        removeNotes('tracked')
+        addNotes(notes, 'tracked')
+      })
+      .catch(err => console.error('Error tracking notes:', err))
+  }
+
+  /**
+   * Starts or pauses playback of the loaded file.
+   * @returns {void}
+   */
+  function togglePlayback () {
+    if (!isFileLoaded) return
+    if (isPlaybackActive()) {
+      pausePlayback()
+    } else {
+      startPlayback()
+    }
+  }
+
+  /**
+   * Formats a playback position as m:ss.mmm.
+   * @param {number} time - The position in seconds.
+   * @returns {string} The formatted position.
+   */
+  function formatPosition (time) {
+    const minutes = Math.floor(time / 60)
+    const seconds = (time - minutes * 60).toFixed(3).padStart(6, '0')
+    return `${minutes}:${seconds}`
+  }
+
+  /**
+   * Tunes the loaded file at a position: the last tuner reading of the
+   * stability window before it.
+   * @param {number} time - The position in seconds.
+   * @returns {Object|null} The reading, see `createTuner`.
+   */
+  function measureLoadedFile (time) {
+    const { sampleRate, samples } = loadedFile
+    const { windowSize, hopLength, stabilityWindow } = DEFAULT_TUNER_SETTINGS
+    const end = Math.min(samples.length, Math.round(time * sampleRate) + (windowSize + hopLength) / 2)
+    const start = Math.max(0, end - Math.round(stabilityWindow * sampleRate) - windowSize - hopLength)
+    const readings = createTuner({ sampleRate }).push(samples.subarray(start, end))
+    return readings.length ? readings[readings.length - 1] : null
+  }
+
+  /**
+   * Stops playback and returns the renderer to the live view.
+   * @returns {void}
+   */
+  function unloadFile () {
+    isFileLoaded = false
+    loadedFile = null
+    loopSelection = null
+    loopCheckbox.checked = false
+    setPlaybackBuffer(null)
+    clearOfflineSpectrogram()
+    setTransportEnabled(false)
+    showKey(liveKey)
+    fileTempo = null
+    showTempo(liveTempo)
+    showTunerReading(null)
+    tunerPosition = null
+    deleteAutosave('audio').catch(err => console.warn('Could not delete the autosaved audio:', err))
+  }
+
+  /**
+   * Enables or disables the transport controls.
+   * @param {boolean} enabled - Whether a file is loaded.
+   * @returns {void}
+   */
+  function setTransportEnabled (enabled) {
+    playButton.disabled = !enabled
+    stopButton.disabled = !enabled
+    loopCheckbox.disabled = !enabled
+    playButton.textContent = 'Play'
+    transportTime.textContent = formatPosition(0)
+  }
+
+  /**
+   * Stops the live input, decodes an audio file, analyzes it in full and shows
+   * its spectrogram. The file is kept for the autosave.
+   * @param {File} file - The audio file.
+   * @returns {Promise<boolean>} Resolves with whether the file was opened.
+   */
+  function openAudioFile (file) {
+    if (!file) return Promise.resolve(false)
+    if (!file.type.startsWith('audio/') && !AUDIO_FILE_PATTERN.test(file.name)) {
+      window.alert(`${file.name} is not a supported audio file (WAV, MP3, OGG, FLAC).`)
+      return Promise.resolve(false)
+    }
+
+    loadFileButton.textContent = 'Decoding...'
+    const stopInput = isAudioInputRunning() ? toggleAudio() : Promise.resolve(false)
+
+    return stopInput
+      .then(() => {
+        toggleButton.textContent = 'Start'
+        return loadAudioFile(file)
+      })
+      .then(audioBuffer => {
+        unloadFile()
+        setPlaybackBuffer(audioBuffer)
+        loadedFile = { samples: getMonoSamples(audioBuffer), sampleRate: audioBuffer.sampleRate, file }
+        const analysisSettings = { ...getAnalysisSettings(), sampleRate: audioBuffer.sampleRate }
+        return analyzeSignal(loadedFile.samples, analysisSettings, progress => {
+          loadFileButton.textContent = `Analyzing ${Math.round(progress * 100)}%`
+        })
+      })
+      .then(({ frames, layout }) => {
+        showOfflineSpectrogram({
+          frames: frames.map(frame => frame.db),
+          layout,
+          startTime: frames.length ? frames[0].time : 0
+        })
+
+        // The key of the whole file (frames do not fade out), its chords,
+        // onsets and tempo
+        const keyEstimator = createKeyEstimator({ halfLife: Infinity })
+        const chordRecognizer = createChordRecognizer()
+        const onsetDetector = createOnsetDetector()
+        const chords = []
+        const onsets = []
+        const onsetStrengths = new Float32Array(frames.length)
+        frames.forEach((frame, i) => {
+          const chroma = computeChroma(frame.db, layout)
+          keyEstimator.push(chroma, frame.time)
+          const chord = chordRecognizer.push(chroma, frame.time)
+          if (chord) chords.push(chord)
+          const onset = onsetDetector.push(frame.db, frame.time)
+          onsetStrengths[i] = onset.strength
+          onsets.push(...onset.onsets)
+        })
+        const lastChord = chordRecognizer.flush()
+        if (lastChord) chords.push(lastChord)
+        onsets.push(...onsetDetector.flush())
+        showKey(keyEstimator.getKey())
+        addChords(chords)
+        addOnsets(onsets)
+        isFileLoaded = true
+        fileTempo = estimateTempo(onsetStrengths, layout.sampleRate / layout.hopLength)
+        if (fileTempo) fileTempo.beatTime += frames[0].time
+        showTempo(fileTempo)
+        setTransportEnabled(true)
+        trackLoadedFile()
+        saveAutosave('audio', file).catch(err => console.warn('Could not autosave the audio:', err))
+        return true
+      })
+      .catch(err => {
+        console.error('Error loading audio file:', err)
+        window.alert(`Could not decode ${file.name}.`)
+        return false
+      })
+      .finally(() => {
+        loadFileButton.textContent = loadFileButtonTextInitial
+        audioFileInput.value = ''
+      })
+  }
+
+  /**
+   * Reads tempo, time signature and pitch bend for MIDI export from the UI,
+   * with the current tuning.
+   * @returns {Object} The export settings for `encodeMidiFile`.
+   */
+  function getMidiExportSettingsFromUI () {
+    const [numerator, denominator] = timeSignatureSelect.value.split('/').map(Number)
+    const bpm = parseFloat(midiBpmInput.value)
+    return {
+      bpm: bpm > 0 ? bpm : 120,
+      timeSignature: { numerator, denominator },
+      pitchBend: pitchBendCheckbox.checked,
+      tuning
+    }
+  }
+
+  /**
+   * Reads tempo, time signature, key and quantization grid for notation export
+   * from the UI, with the current tuning.
+   * @returns {Object} The settings for `createMusicXml` and `createAbc`.
+   */
+  function getNotationSettingsFromUI () {
+    const { bpm, timeSignature } = getMidiExportSettingsFromUI()
+    const [fifths, mode] = keySignatureSelect.value.split(':')
+    return {
+      bpm,
+      timeSignature,
+      key: { fifths: parseInt(fifths), mode },
+      grid: parseInt(quantizeGridSelect.value),
+      tuning
+    }
+  }
+
+  /**
+   * Reads a MIDI file and overlays its notes on the loaded recording, aligned
+   * to its time axis, or on the live view from its left edge. The notes
+   * replace a previous import and can be edited and exported like drawn ones.
+   * @param {File} file - The MIDI file.
+   * @returns {void}
+   */
+  function importMidiFile (file) {
+    if (!file) return
+
+    file.arrayBuffer()
+      .then(data => {
+        const midi = parseMidiFile(data)
+        const notes = midi.tracks.flatMap((track, index) => track.notes.map(note => ({
+          startTime: note.startTime,
+          endTime: note.endTime,
+          frequency: MIDIToFrequency(note.noteNumber, tuning),
+          velocity: note.velocity,
+          channel: note.channel,
+          program: track.program,
+          track: track.name || `Track ${index + 1}`
+        })))
+        removeNotes('imported')
+        addNotes(notes, 'imported', { fromViewStart: true })
+      })
+      .catch(err => {
+        console.error('Error importing MIDI file:', err)
+        window.alert(`Could not read ${file.name}: ${err.message}`)
+      })
+      .finally(() => {
+        midiFileInput.value = ''
+      })
+  }
+
   /**
-     * Updates the frequency range based on the UI slider value.
-     * @returns {void}
-     */
-  function updateFrequencyRangeFromUI () {
-    const frequencyRangeSlider = document.getElementById('frequencyRangeSlider')
-    const maxFreq = Math.pow(10, frequencyRangeSlider.value)
-    updateFrequencyRange(maxFreq)
-    // drawFrequencyMarkers is now called inside updateFrequencyRange
+   * Builds the tuning from the reference pitch, the temperament or loaded
+   * Scala scale and its tonic, and applies it to the display.
+   * @returns {void}
+   */
+  function updateTuningFromUI () {
+    let referenceFrequency = parseFloat(referenceFrequencyInput.value)
+    if (!(referenceFrequency > 0)) {
+      referenceFrequency = DEFAULT_TUNING.referenceFrequency
+      referenceFrequencyInput.value = referenceFrequency
+    }
+    const isScala = temperamentSelect.value === 'scala' && scalaScale
+    tuning = createTuning({
+      referenceFrequency,
+      temperament: isScala ? undefined : temperamentSelect.value,
+      scale: isScala ? scalaScale : undefined,
+      tonic: parseInt(temperamentTonicSelect.value)
+    })
+    setTuning(tuning)
+    updateAnalysis()
   }
 
   /**
-   * Updates the minimum and maximum decibel (dB) range.
+   * Applies the tempo and time signature to the time ruler and grid, with
+   * the bars starting on the last followed beat.
    * @returns {void}
    */
-  function updateDbRangeFromUI () {
-    const minDb = parseFloat(minDbSlider.value)
-    const maxDb = parseFloat(maxDbSlider.value)
-    updateDbRange(Math.min(minDb, maxDb - 0.1), maxDb)
-    // Format with one decimal place
-    document.getElementById('minDbValue').textContent = minDb.toFixed(1)
-    document.getElementById('maxDbValue').textContent = maxDb.toFixed(1)
+  function updateTempoGridFromUI () {
+    const { bpm, timeSignature } = getMidiExportSettingsFromUI()
+    setTempoGrid({ bpm, timeSignature, offset: tempoGridOffset })
   }
 
   /**
-     * Updates the contrast and brightness of the spectrogram.
-     * @returns {void}
-     */
-  function updateContrastBrightnessFromUI () {
-    const contrast = parseFloat(contrastSlider.value)
-    const brightness = parseFloat(brightnessSlider.value)
-    updateContrastBrightness(contrast, brightness)
+   * Shows or hides the tuner; the live analysis only measures while it is shown.
+   * @returns {void}
+   */
+  function updateTunerFromUI () {
+    setTunerVisible(tunerCheckbox.checked)
+    analysisPipeline.setTunerEnabled(tunerCheckbox.checked)
+    tunerPosition = null
+  }
+
+  /**
+   * Reads a Scala scale file and selects it as the temperament.
+   * @param {File} file - The .scl file.
+   * @returns {void}
+   */
+  function loadScalaFile (file) {
+    if (!file) return
+
+    file.text()
+      .then(text => {
+        scalaScale = parseScalaFile(text)
+        let option = temperamentSelect.querySelector('option[value="scala"]')
+        if (!option) {
+          option = document.createElement('option')
+          option.value = 'scala'
+          temperamentSelect.appendChild(option)
+        }
+        option.textContent = `Scala: ${scalaScale.description || file.name}`
+        temperamentSelect.value = 'scala'
+        updateTuningFromUI()
+      })
+      .catch(err => {
+        console.error('Error loading Scala file:', err)
+        window.alert(`Could not read ${file.name}: ${err.message}`)
+      })
+      .finally(() => {
+        scalaFileInput.value = ''
+      })
+  }
+
+  /**
+   * Reads the controls of a project that are not in the settings store, and
+   * the toolbar's tuner and follow-tempo switches. File inputs, the velocity
+   * of the selection and the preset list belong to the moment, not the project.
+   * @returns {Object<string, string|boolean>} Values, checkbox states as booleans, by element id.
+   */
+  function getControlsFromUI () {
+    const settingIds = Object.values(SETTING_CONTROLS)
+    const values = {}
+    const elements = [...controlsContainer.querySelectorAll('input, select'), tunerCheckbox, followTempoCheckbox]
+    for (const element of elements) {
+      if (!element.id || element.type === 'file' || element === noteVelocityInput || element === presetSelect) continue
+      if (settingIds.includes(element.id)) continue
+      values[element.id] = element.type === 'checkbox' ? element.checked : element.value
+    }
+    return values
+  }
+
+  /**
+   * Sets the controls to saved values and fires their events, so the
+   * display and analysis follow as if the user had changed them. Unknown ids
+   * are skipped.
+   * @param {Object<string, string|boolean>} values - See `getControlsFromUI`.
+   * @returns {void}
+   */
+  function applyControlsToUI (values) {
+    for (const [id, value] of Object.entries(values)) {
+      const element = document.getElementById(id)
+      if (!element || element.type === 'file') continue
+      if (element.type === 'checkbox') {
+        element.checked = Boolean(value)
+      } else {
+        element.value = value
+      }
+      element.dispatchEvent(new Event('input'))
+      element.dispatchEvent(new Event('change'))
+    }
+  }
+
+  /**
+   * Collects the project of the session, see `decodeProject`. Notes are
+   * relative to the file start, or to the bar the live view starts in.
+   * @returns {Object} The project.
+   */
+  function getProjectFromUI () {
+    const file = isFileLoaded ? loadedFile.file : null
+    const scalaOption = temperamentSelect.querySelector('option[value="scala"]')
+    return {
+      settings: settings.getAll(),
+      controls: getControlsFromUI(),
+      scala: scalaScale && { scale: scalaScale, label: scalaOption ? scalaOption.textContent : '' },
+      // Live beats are on the clock of this session only
+      tempoGridOffset: isFileLoaded ? tempoGridOffset : 0,
+      audio: file && { name: file.name, type: file.type, size: file.size },
+      notes: getNotes()
+    }
+  }
+
+  /**
+   * Restores a project: its settings and Scala scale, then its audio file if
+   * there is one, then its notes in place of tracked ones.
+   * @param {{project: Object, audio: File|null}} loaded - See `decodeProject`.
+   * @returns {Promise<void>} Resolves when the project is shown.
+   */
+  function applyProject ({ project, audio }) {
+    isLoadingProject = true
+    unloadFile()
+
+    if (project.scala) {
+      scalaScale = project.scala.scale
+      let option = temperamentSelect.querySelector('option[value="scala"]')
+      if (!option) {
+        option = document.createElement('option')
+        option.value = 'scala'
+        temperamentSelect.appendChild(option)
+      }
+      option.textContent = project.scala.label || `Scala: ${scalaScale.description}`
+    }
+    // Settings the project does not name return to their defaults; older
+    // projects keep them among the controls
+    const { settings: values, invalid } = validateSettings(project.settings)
+    if (invalid.length) console.warn(`Ignoring invalid settings in the project: ${invalid.join(', ')}`)
+    settings.reset(values)
+    applyControlsToUI(project.controls)
+    tempoGridOffset = project.tempoGridOffset || 0
+    updateTempoGridFromUI()
+
+    return openAudioFile(audio)
+      .then(() => {
+        // The saved notes already hold the tracked ones
+        noteTrackingRun++
+        setNotes(project.notes)
+      })
+      .finally(() => {
+        isLoadingProject = false
+      })
+  }
+
+  /**
+   * Saves the project as a download: a ZIP archive with the audio file when
+   * one is loaded, JSON otherwise. Live input is not recorded, so a live
+   * session keeps its settings and notes only.
+   * @returns {void}
+   */
+  function saveProject () {
+    const audio = isFileLoaded ? loadedFile.file : null
+    encodeProject(getProjectFromUI(), audio)
+      .then(blob => downloadBlob(blob, audio ? 'spectrogram_project.zip' : 'spectrogram_project.json'))
+      .catch(err => {
+        console.error('Error saving project:', err)
+        window.alert(`Could not save the project: ${err.message}`)
+      })
+  }
+
+  /**
+   * Opens a project file, see `saveProject`.
+   * @param {File} file - The .json or .zip file.
+   * @returns {void}
+   */
+  function openProjectFile (file) {
+    if (!file) return
+
+    decodeProject(file)
+      .then(loaded => {
+        if (loaded.project.audio && !loaded.audio) {
+          window.alert(`${file.name} refers to ${loaded.project.audio.name} but does not contain it; open the audio file to see the notes on it.`)
+        }
+        return applyProject(loaded)
+      })
+      .catch(err => {
+        console.error('Error opening project:', err)
+        window.alert(`Could not open ${file.name}: ${err.message}`)
+      })
+      .finally(() => {
+        projectFileInput.value = ''
+      })
+  }
+
+  /**
+   * Saves the project to the autosave when it changed since the last time.
+   * The audio file is saved once when it is opened.
+   * @returns {void}
+   */
+  function autosave () {
+    if (isLoadingProject || (loadedFile && !isFileLoaded)) return
+    const json = stringifyProject(getProjectFromUI())
+    if (json === autosavedJson) return
+    autosavedJson = json
+    saveAutosave('project', json).catch(err => console.warn('Could not autosave the project:', err))
+  }
+
+  /**
+   * Restores the autosaved session, with its audio file if it was saved.
+   * @returns {Promise<void>} Resolves when restored, or nothing was saved.
+   */
+  function restoreAutosave () {
+    return Promise.all([loadAutosave('project'), loadAutosave('audio')])
+      .then(([json, audio]) => {
+        if (!json) return
+        autosavedJson = json
+        const project = parseProject(json)
+        const isSameAudio = audio && project.audio && audio.name === project.audio.name && audio.size === project.audio.size
+        return applyProject({ project, audio: isSameAudio ? audio : null })
+      })
+      .catch(err => console.warn('Could not restore the autosave:', err))
   }
 
   /**
@@ -202,48 +1165,25 @@ export function initUIControls (canvas, labelCanvas) {
   }
 
   // Drag & Drop Setup
+  let dragMidiUrl = null
   dragMidiButton.setAttribute('draggable', 'true')
 
   dragMidiButton.addEventListener('dragstart', (e) => {
     const midiData = createMidiData()
-    if (!midiData) return
-
-    // Erstelle die MIDI-Datei als Blob
-    const header = [
-      0x4D, 0x54, 0x68, 0x64, // MThd
-      0x00, 0x00, 0x00, 0x06, // Header size
-      0x00, 0x01, // Format 1
-      0x00, 0x01, // One track
-      (midiData.ticksPerBeat >> 8) & 0xFF, midiData.ticksPerBeat & 0xFF // Ticks per beat
-    ]
-
-    // Track data
-    const track = midiData.tracks[0]
-    const events = []
-
-    // Track name
-    events.push([0x00, 0xFF, 0x03, track.name.length, ...track.name.split('').map(c => c.charCodeAt(0))])
-
-    // Set tempo (120 BPM = 500000 microseconds per beat)
-    events.push([0x00, 0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20])
-
-    // Note events
-    track.notes.forEach(note => {
-      events.push([note.startTime, 0x90, note.noteNumber, note.velocity]) // Note On
-      events.push([note.startTime + note.duration, 0x80, note.noteNumber, 0]) // Note Off
-    })
-
-    // Sort events by time
-    events.sort((a, b) => a[0] - b[0])
-    const midiArray = new Uint8Array([...header, ...events.flat()])
+    if (!midiData) {
+      e.preventDefault()
+      return
+    }
 
-    // Erstelle einen Blob und eine URL
-    const blob = new Blob([midiArray], { type: 'audio/midi' })
-    const url = URL.createObjectURL(blob)
+    // The previous file is released here rather than on dragend, as the drop
+    // target may still be reading it then
+    if (dragMidiUrl) URL.revokeObjectURL(dragMidiUrl)
+    const blob = new Blob([encodeMidiFile({ ...midiData, ...getMidiExportSettingsFromUI() })], { type: 'audio/midi' })
+    dragMidiUrl = URL.createObjectURL(blob)
 
     // Setze die URL als Drag-Daten
-    e.dataTransfer.setData('DownloadURL', `audio/midi:spectrogram_notes.mid:${url}`)
-    e.dataTransfer.setData('text/uri-list', url)
+    e.dataTransfer.setData('DownloadURL', `audio/midi:spectrogram_notes.mid:${dragMidiUrl}`)
+    e.dataTransfer.setData('text/uri-list', dragMidiUrl)
     e.dataTransfer.setData('text/plain', 'spectrogram_notes.mid')
 
     // Setze den effektiven MIME-Type
@@ -261,16 +1201,8 @@ export function initUIControls (canvas, labelCanvas) {
     setTimeout(() => document.body.removeChild(dragImage), 0)
   })
 
-  dragMidiButton.addEventListener('dragend', (e) => {
+  dragMidiButton.addEventListener('dragend', () => {
     dragMidiButton.classList.remove('dragging')
-    // Cleanup URLs
-    const url = e.dataTransfer.getData('text/uri-list')
-    if (url) {
-      URL.revokeObjectURL(url)
-    }
   })
 
-  reassignmentCheckbox.addEventListener('change', (event) => {
-    toggleReassignment(event.target.checked)
-  })
 }
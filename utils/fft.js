@@ -1,100 +1,350 @@
+/**
+ * FFT engine with cached plans.
+ *
+ * Power-of-two sizes use an iterative radix-2 transform with precomputed
+ * twiddle and bit-reverse tables; any other size goes through Bluestein's
+ * chirp-z algorithm on top of a power-of-two plan. Plans are built once per
+ * size and reused, so transforms do not allocate.
+ */
+
+const plans = new Map()
+
+/**
+ * Returns the cached FFT plan for a transform size, creating it on first use.
+ * @param {number} n - The transform size (any positive integer).
+ * @returns {Object} The plan with `forward`, `inverse`, `forwardReal` and `inverseReal`.
+ */
+export function getFFTPlan(n) {
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error(`FFT size must be a positive integer, got ${n}`)
+  }
+  let plan = plans.get(n)
+  if (!plan) {
+    plan = isPowerOfTwo(n) ? createRadix2Plan(n) : createBluesteinPlan(n)
+    addRealTransforms(plan)
+    plans.set(n, plan)
+  }
+  return plan
+}
+
+/**
+ * In-place forward FFT of any size.
+ * @param {Float64Array} re - Real parts, overwritten with the spectrum.
+ * @param {Float64Array} im - Imaginary parts, overwritten with the spectrum.
+ */
+export function fft(re, im) {
+  getFFTPlan(re.length).forward(re, im)
+}
+
+/**
+ * In-place inverse FFT of any size, normalized by 1/N.
+ * @param {Float64Array} re - Real parts, overwritten with the signal.
+ * @param {Float64Array} im - Imaginary parts, overwritten with the signal.
+ */
+export function ifft(re, im) {
+  getFFTPlan(re.length).inverse(re, im)
+}
+
 /**
  * FFT implementation for signal processing
  * @param {Float32Array} data - The input data
  * @param {Float32Array} window - The window function
- * @returns {Float32Array} - The FFT result
+ * @returns {Float32Array} - The interleaved complex FFT result
  */
 export function computeSTFT(data, window) {
   const N = data.length
-  const result = new Float32Array(N * 2)
-
-  // Apply window and normalize
-  const windowedData = new Float32Array(N)
-  let maxWindowed = 0
-  let sumWindowed = 0
+  const re = new Float64Array(N)
+  const im = new Float64Array(N)
 
   for (let i = 0; i < N; i++) {
-    const windowed = data[i] * window[i]
-    windowedData[i] = windowed
-    maxWindowed = Math.max(maxWindowed, Math.abs(windowed))
-    sumWindowed += Math.abs(windowed)
+    re[i] = data[i] * window[i]
   }
 
-  // Prepare FFT input
+  fft(re, im)
+
+  const result = new Float32Array(N * 2)
   for (let i = 0; i < N; i++) {
-    result[i * 2] = windowedData[i]
-    result[i * 2 + 1] = 0
+    result[i * 2] = re[i]
+    result[i * 2 + 1] = im[i]
   }
 
-  return performFFT(result)
+  return result
+}
+
+function isPowerOfTwo(n) {
+  return (n & (n - 1)) === 0
 }
 
 /**
- * Performs the FFT on the input data
- * @param {Float32Array} input - The input data
- * @returns {Float32Array} - The FFT result
+ * Builds a radix-2 plan with bit-reverse and twiddle tables.
+ * @param {number} n - The transform size (power of two).
+ * @returns {Object} The plan.
  */
-function performFFT(input) {
-  const N = input.length / 2
-  const fft = new Float32Array(input.length)
-  fft.set(input)
-
-  // Bit reversal
-  let j = 0
-  for (let i = 0; i < N - 1; i++) {
-    if (i < j) {
-      // Swap complex values
-      const tempReal = fft[i * 2]
-      const tempImag = fft[i * 2 + 1]
-      fft[i * 2] = fft[j * 2]
-      fft[i * 2 + 1] = fft[j * 2 + 1]
-      fft[j * 2] = tempReal
-      fft[j * 2 + 1] = tempImag
+function createRadix2Plan(n) {
+  const bits = Math.log2(n)
+  const bitReverse = new Uint32Array(n)
+  for (let i = 0; i < n; i++) {
+    let reversed = 0
+    for (let b = 0; b < bits; b++) {
+      reversed |= ((i >> b) & 1) << (bits - 1 - b)
     }
+    bitReverse[i] = reversed
+  }
 
-    let k = N >> 1
-    while (k <= j) {
-      j -= k
-      k >>= 1
+  const half = n >> 1
+  const cosTable = new Float64Array(half)
+  const sinTable = new Float64Array(half)
+  for (let k = 0; k < half; k++) {
+    cosTable[k] = Math.cos(2 * Math.PI * k / n)
+    sinTable[k] = Math.sin(2 * Math.PI * k / n)
+  }
+
+  function transform(re, im, sign) {
+    for (let i = 0; i < n; i++) {
+      const j = bitReverse[i]
+      if (i < j) {
+        const tempReal = re[i]
+        const tempImag = im[i]
+        re[i] = re[j]
+        im[i] = im[j]
+        re[j] = tempReal
+        im[j] = tempImag
+      }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+      const halfSize = size >> 1
+      const tableStep = n / size
+
+      for (let pair = 0; pair < halfSize; pair++) {
+        const rotReal = cosTable[pair * tableStep]
+        const rotImag = sign * sinTable[pair * tableStep]
+
+        for (let evenIndex = pair; evenIndex < n; evenIndex += size) {
+          const oddIndex = evenIndex + halfSize
+          const oddReal = re[oddIndex]
+          const oddImag = im[oddIndex]
+
+          const tempReal = oddReal * rotReal - oddImag * rotImag
+          const tempImag = oddReal * rotImag + oddImag * rotReal
+
+          re[oddIndex] = re[evenIndex] - tempReal
+          im[oddIndex] = im[evenIndex] - tempImag
+          re[evenIndex] += tempReal
+          im[evenIndex] += tempImag
+        }
+      }
     }
-    j += k
   }
 
-  // FFT computation
-  for (let step = 1; step < N; step <<= 1) {
-    const halfStep = step
-    const angle = -Math.PI / halfStep
+  return {
+    size: n,
+    forward: (re, im) => transform(re, im, -1),
+    inverse: (re, im) => {
+      transform(re, im, 1)
+      scale(re, im, n)
+    }
+  }
+}
 
-    for (let group = 0; group < N; group += step * 2) {
-      const cosVal = Math.cos(angle)
-      const sinVal = Math.sin(angle)
+/**
+ * Builds a Bluestein (chirp-z) plan for sizes that are not a power of two.
+ * The DFT is rewritten as a convolution with a chirp, evaluated with a
+ * power-of-two FFT of at least 2n - 1 points.
+ * @param {number} n - The transform size.
+ * @returns {Object} The plan.
+ */
+function createBluesteinPlan(n) {
+  let m = 1
+  while (m < 2 * n - 1) m <<= 1
+  const inner = getFFTPlan(m)
 
-      for (let pair = 0; pair < step; pair++) {
-        const groupOffset = group * 2
-        const pairOffset = pair * 2
-        const evenIndex = groupOffset + pairOffset
-        const oddIndex = evenIndex + step * 2
+  // Chirp w[k] = exp(-i * pi * k^2 / n); k^2 is reduced mod 2n to keep precision
+  const chirpRe = new Float64Array(n)
+  const chirpIm = new Float64Array(n)
+  for (let k = 0; k < n; k++) {
+    const angle = Math.PI * ((k * k) % (2 * n)) / n
+    chirpRe[k] = Math.cos(angle)
+    chirpIm[k] = -Math.sin(angle)
+  }
 
-        const evenReal = fft[evenIndex]
-        const evenImag = fft[evenIndex + 1]
-        const oddReal = fft[oddIndex]
-        const oddImag = fft[oddIndex + 1]
+  // Spectrum of the conjugate chirp, wrapped for circular convolution
+  const kernelRe = new Float64Array(m)
+  const kernelIm = new Float64Array(m)
+  kernelRe[0] = chirpRe[0]
+  kernelIm[0] = -chirpIm[0]
+  for (let k = 1; k < n; k++) {
+    kernelRe[k] = kernelRe[m - k] = chirpRe[k]
+    kernelIm[k] = kernelIm[m - k] = -chirpIm[k]
+  }
+  inner.forward(kernelRe, kernelIm)
 
-        const factor = pair / step
-        const rotReal = cosVal * factor
-        const rotImag = sinVal * factor
+  const workRe = new Float64Array(m)
+  const workIm = new Float64Array(m)
 
-        // Complex multiplication
-        const tempReal = oddReal * rotReal - oddImag * rotImag
-        const tempImag = oddReal * rotImag + oddImag * rotReal
+  function forward(re, im) {
+    workRe.fill(0)
+    workIm.fill(0)
+    for (let k = 0; k < n; k++) {
+      workRe[k] = re[k] * chirpRe[k] - im[k] * chirpIm[k]
+      workIm[k] = re[k] * chirpIm[k] + im[k] * chirpRe[k]
+    }
 
-        fft[oddIndex] = evenReal - tempReal
-        fft[oddIndex + 1] = evenImag - tempImag
-        fft[evenIndex] = evenReal + tempReal
-        fft[evenIndex + 1] = evenImag + tempImag
+    inner.forward(workRe, workIm)
+    for (let k = 0; k < m; k++) {
+      const r = workRe[k] * kernelRe[k] - workIm[k] * kernelIm[k]
+      workIm[k] = workRe[k] * kernelIm[k] + workIm[k] * kernelRe[k]
+      workRe[k] = r
+    }
+    inner.inverse(workRe, workIm)
+
+    for (let k = 0; k < n; k++) {
+      re[k] = workRe[k] * chirpRe[k] - workIm[k] * chirpIm[k]
+      im[k] = workRe[k] * chirpIm[k] + workIm[k] * chirpRe[k]
+    }
+  }
+
+  return {
+    size: n,
+    forward,
+    // inverse(x) = conj(forward(conj(x))) / n
+    inverse: (re, im) => {
+      for (let k = 0; k < n; k++) im[k] = -im[k]
+      forward(re, im)
+      for (let k = 0; k < n; k++) im[k] = -im[k]
+      scale(re, im, n)
+    }
+  }
+}
+
+/**
+ * Adds the real-input transforms to a plan. Even sizes pack the signal into
+ * a complex sequence of half the length and split the spectrum afterwards;
+ * odd sizes fall back to a full complex transform.
+ * @param {Object} plan - The plan to extend.
+ */
+function addRealTransforms(plan) {
+  const n = plan.size
+  const nBins = Math.floor(n / 2) + 1
+
+  if (n % 2) {
+    const workRe = new Float64Array(n)
+    const workIm = new Float64Array(n)
+
+    plan.forwardReal = (input, outRe, outIm) => {
+      for (let i = 0; i < n; i++) {
+        workRe[i] = input[i]
+        workIm[i] = 0
+      }
+      plan.forward(workRe, workIm)
+      for (let k = 0; k < nBins; k++) {
+        outRe[k] = workRe[k]
+        outIm[k] = workIm[k]
+      }
+    }
+
+    plan.inverseReal = (inRe, inIm, output) => {
+      for (let k = 0; k < nBins; k++) {
+        workRe[k] = inRe[k]
+        workIm[k] = inIm[k]
+      }
+      for (let k = nBins; k < n; k++) {
+        workRe[k] = inRe[n - k]
+        workIm[k] = -inIm[n - k]
+      }
+      plan.inverse(workRe, workIm)
+      for (let i = 0; i < n; i++) output[i] = workRe[i]
+    }
+    return
+  }
+
+  const half = n / 2
+  let halfPlan = null
+  const packedRe = new Float64Array(half)
+  const packedIm = new Float64Array(half)
+  const cosTable = new Float64Array(half)
+  const sinTable = new Float64Array(half)
+  for (let k = 0; k < half; k++) {
+    cosTable[k] = Math.cos(2 * Math.PI * k / n)
+    sinTable[k] = Math.sin(2 * Math.PI * k / n)
+  }
+
+  // The half-size plan is resolved lazily so building plan n never recurses
+  // into itself while it is being cached
+  function getHalfPlan() {
+    if (!halfPlan) halfPlan = getFFTPlan(half)
+    return halfPlan
+  }
+
+  plan.forwardReal = (input, outRe, outIm) => {
+    for (let k = 0; k < half; k++) {
+      packedRe[k] = input[2 * k]
+      packedIm[k] = input[2 * k + 1]
+    }
+    getHalfPlan().forward(packedRe, packedIm)
+
+    for (let k = 0; k < half; k++) {
+      const mirror = k === 0 ? 0 : half - k
+      const zr = packedRe[k]
+      const zi = packedIm[k]
+      const cr = packedRe[mirror]
+      const ci = -packedIm[mirror]
+
+      // Spectra of the even and odd samples
+      const evenRe = (zr + cr) / 2
+      const evenIm = (zi + ci) / 2
+      const oddRe = (zi - ci) / 2
+      const oddIm = -(zr - cr) / 2
+
+      // X[k] = E[k] + exp(-2 pi i k / n) * O[k]
+      const wr = cosTable[k]
+      const wi = -sinTable[k]
+      outRe[k] = evenRe + wr * oddRe - wi * oddIm
+      outIm[k] = evenIm + wr * oddIm + wi * oddRe
+
+      if (k === 0) {
+        outRe[half] = evenRe - oddRe
+        outIm[half] = 0
       }
     }
   }
 
-  return fft
+  plan.inverseReal = (inRe, inIm, output) => {
+    for (let k = 0; k < half; k++) {
+      const xr = inRe[k]
+      const xi = inIm[k]
+      const cr = inRe[half - k]
+      const ci = -inIm[half - k]
+
+      const evenRe = (xr + cr) / 2
+      const evenIm = (xi + ci) / 2
+      // O[k] = (X[k] - conj(X[half - k])) * exp(2 pi i k / n) / 2
+      const dr = (xr - cr) / 2
+      const di = (xi - ci) / 2
+      const wr = cosTable[k]
+      const wi = sinTable[k]
+      const oddRe = dr * wr - di * wi
+      const oddIm = dr * wi + di * wr
+
+      // Z[k] = E[k] + i * O[k]
+      packedRe[k] = evenRe - oddIm
+      packedIm[k] = evenIm + oddRe
+    }
+    getHalfPlan().inverse(packedRe, packedIm)
+
+    for (let k = 0; k < half; k++) {
+      output[2 * k] = packedRe[k]
+      output[2 * k + 1] = packedIm[k]
+    }
+  }
+}
+
+/**
+ * Normalizes the first n values of an inverse transform by 1/n.
+ */
+function scale(re, im, n) {
+  for (let i = 0; i < n; i++) {
+    re[i] /= n
+    im[i] /= n
+  }
 }
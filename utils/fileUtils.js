@@ -0,0 +1,19 @@
+/**
+ * File download helpers
+ */
+
+/**
+ * Offers a blob as a file download.
+ * @param {Blob} blob - The file contents.
+ * @param {string} filename - The suggested filename.
+ */
+export function downloadBlob (blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
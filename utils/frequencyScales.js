@@ -0,0 +1,118 @@
+/**
+ * Frequency axis scales for the spectrogram
+ */
+
+/**
+ * Frequency scales by name. Each maps a frequency in Hz to a value on the
+ * scale (`toScale`) and back (`fromScale`); equal steps on the scale get
+ * equal height on the axis.
+ * - linear: Hz
+ * - log: octaves
+ * - mel: mel (O'Shaughnessy)
+ * - bark: Bark (Traunmüller)
+ * - erb: ERB-rate (Glasberg & Moore)
+ * - semitone: MIDI note numbers; every row shows the semitone it lies in,
+ *   so each note gets a band of equal height
+ * @type {Object<string, {label: string, toScale: Function, fromScale: Function, rowsPerSemitone?: number}>}
+ */
+export const FREQUENCY_SCALES = {
+  linear: {
+    label: 'Linear',
+    toScale: (frequency) => frequency,
+    fromScale: (value) => value
+  },
+  log: {
+    label: 'Logarithmic',
+    toScale: (frequency) => Math.log2(frequency),
+    fromScale: (value) => Math.pow(2, value)
+  },
+  mel: {
+    label: 'Mel',
+    toScale: (frequency) => 2595 * Math.log10(1 + frequency / 700),
+    fromScale: (value) => 700 * (Math.pow(10, value / 2595) - 1)
+  },
+  bark: {
+    label: 'Bark',
+    toScale: (frequency) => 26.81 * frequency / (1960 + frequency) - 0.53,
+    fromScale: (value) => 1960 * (value + 0.53) / (26.28 - value)
+  },
+  erb: {
+    label: 'ERB',
+    toScale: (frequency) => 21.4 * Math.log10(1 + 0.00437 * frequency),
+    fromScale: (value) => (Math.pow(10, value / 21.4) - 1) / 0.00437
+  },
+  semitone: {
+    label: 'Semitones',
+    toScale: (frequency) => 69 + 12 * Math.log2(frequency / 440),
+    fromScale: (value) => 440 * Math.pow(2, (value - 69) / 12),
+    rowsPerSemitone: 1
+  }
+}
+
+/**
+ * Creates the mapping between frequencies and positions on an axis.
+ * @param {string} scaleName - A key of `FREQUENCY_SCALES`.
+ * @param {number} minFrequency - The frequency at the bottom in Hz, above 0.
+ * @param {number} maxFrequency - The frequency at the top in Hz.
+ * @returns {{scale: string, minFrequency: number, maxFrequency: number, frequencyToPosition: Function, positionToFrequency: Function, rowFrequency: Function}}
+ *   The axis. Positions run from 0 at the bottom to 1 at the top.
+ */
+export function createFrequencyAxis (scaleName, minFrequency, maxFrequency) {
+  const scale = FREQUENCY_SCALES[scaleName]
+  if (!scale) throw new Error(`Unknown frequency scale: ${scaleName}`)
+  if (!(minFrequency > 0) || !(maxFrequency > minFrequency)) {
+    throw new Error(`Invalid frequency range: ${minFrequency} to ${maxFrequency} Hz`)
+  }
+
+  const bottom = scale.toScale(minFrequency)
+  const range = scale.toScale(maxFrequency) - bottom
+
+  const frequencyToPosition = (frequency) => (scale.toScale(frequency) - bottom) / range
+  const positionToFrequency = (position) => scale.fromScale(bottom + position * range)
+
+  // The frequency a display row shows: the one at its position, or the
+  // centre of its semitone on the semitone scale
+  const rowFrequency = scale.rowsPerSemitone
+    ? (position) => scale.fromScale(Math.round(bottom + position * range))
+    : positionToFrequency
+
+  return { scale: scaleName, minFrequency, maxFrequency, frequencyToPosition, positionToFrequency, rowFrequency }
+}
+
+/**
+ * Picks round tick frequencies (1, 2 and 5 times a power of ten) that lie on
+ * the axis at least a minimum distance apart, preferring rounder values.
+ * @param {Object} axis - See `createFrequencyAxis`.
+ * @param {number} length - The axis length in pixels.
+ * @param {number} [minSpacing=24] - The minimum distance between ticks in pixels.
+ * @returns {number[]} The tick frequencies in Hz, ascending.
+ */
+export function getFrequencyTicks (axis, length, minSpacing = 24) {
+  const candidates = []
+  const firstDecade = Math.floor(Math.log10(axis.minFrequency))
+  const lastDecade = Math.ceil(Math.log10(axis.maxFrequency))
+  for (const step of [1, 5, 2]) {
+    for (let decade = firstDecade; decade <= lastDecade; decade++) {
+      const frequency = step * Math.pow(10, decade)
+      if (frequency >= axis.minFrequency && frequency <= axis.maxFrequency) candidates.push(frequency)
+    }
+  }
+
+  const ticks = []
+  for (const frequency of candidates) {
+    const y = axis.frequencyToPosition(frequency) * length
+    if (ticks.every(tick => Math.abs(axis.frequencyToPosition(tick) * length - y) >= minSpacing)) {
+      ticks.push(frequency)
+    }
+  }
+  return ticks.sort((a, b) => a - b)
+}
+
+/**
+ * Formats a tick frequency, e.g. `500Hz` or `2kHz`.
+ * @param {number} frequency - The frequency in Hz.
+ * @returns {string} The label.
+ */
+export function formatFrequency (frequency) {
+  return frequency >= 1000 ? `${frequency / 1000}kHz` : `${frequency}Hz`
+}
@@ -12,3 +12,18 @@ export function evaluateHermitePolynomial (n, x) {
   return 2 * x * evaluateHermitePolynomial(n - 1, x) -
          2 * (n - 1) * evaluateHermitePolynomial(n - 2, x)
 }
+
+/**
+ * Zeroth-order modified Bessel function of the first kind (power series).
+ */
+export function besselI0 (x) {
+  let sum = 1
+  let term = 1
+  const halfX = x / 2
+  for (let k = 1; k < 50; k++) {
+    term *= (halfX / k) * (halfX / k)
+    sum += term
+    if (term < sum * 1e-16) break
+  }
+  return sum
+}
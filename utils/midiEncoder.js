@@ -0,0 +1,151 @@
+/**
+ * Standard MIDI File encoder
+ */
+import { STANDARD_TUNING } from './tuning.js'
+
+export const DEFAULT_TICKS_PER_BEAT = 480
+
+// Offsets below this many cents stay unbent
+const PITCH_BEND_MIN_CENTS = 5
+const PITCH_BEND_CENTER = 8192
+
+// Order of events on the same tick: meta and setup, note off, bend reset, bend, note on
+const ORDER_SETUP = 0
+const ORDER_NOTE_OFF = 1
+const ORDER_BEND_RESET = 2
+const ORDER_BEND = 3
+const ORDER_NOTE_ON = 4
+
+/**
+ * Encodes a song as a Standard MIDI File (format 1). The first track carries
+ * tempo, time signature and markers, every part gets a track of its own. Note
+ * and marker times are in seconds and mapped to ticks at the given tempo.
+ *
+ * Notes given by a frequency are mapped to keys with `song.tuning`. With
+ * `pitchBend`, those between two keys are played on the nearest one with a
+ * pitch bend before the note and a reset after it. The bend applies to the
+ * whole channel, so overlapping bent notes on one channel share it.
+ *
+ * @param {Object} song - The song.
+ * @param {{name: string, channel?: number, program?: number, notes: {startTime: number,
+ *   endTime: number, noteNumber?: number, frequency?: number, velocity?: number}[]}[]} song.tracks -
+ *   The parts; notes need a `noteNumber` or a `frequency` in Hz.
+ * @param {{time: number, text: string}[]} [song.markers] - Marker meta events, e.g. chord symbols.
+ * @param {number} [song.bpm=120] - The tempo.
+ * @param {{numerator: number, denominator: number}} [song.timeSignature] - The time signature (default 4/4).
+ * @param {number} [song.ticksPerBeat=480] - The resolution.
+ * @param {boolean} [song.pitchBend=false] - Bend notes that fall between semitones.
+ * @param {number} [song.pitchBendRange=2] - The bend range in semitones, sent as RPN 0.
+ * @param {Object} [song.tuning] - See `createTuning`; A4 = 440 Hz in equal temperament by default.
+ * @returns {Uint8Array} The file contents.
+ */
+export function encodeMidiFile ({
+  tracks,
+  markers = [],
+  bpm = 120,
+  timeSignature = { numerator: 4, denominator: 4 },
+  ticksPerBeat = DEFAULT_TICKS_PER_BEAT,
+  pitchBend = false,
+  pitchBendRange = 2,
+  tuning = STANDARD_TUNING
+}) {
+  if (!(bpm > 0)) throw new Error(`Invalid tempo: ${bpm} BPM`)
+
+  const secondsToTicks = seconds => Math.max(0, Math.round(seconds * bpm / 60 * ticksPerBeat))
+
+  const microsecondsPerBeat = Math.round(60e6 / bpm)
+  const conductor = [
+    { tick: 0, order: ORDER_SETUP, data: metaEvent(0x03, textBytes('Tempo')) },
+    { tick: 0, order: ORDER_SETUP, data: metaEvent(0x51, [microsecondsPerBeat >> 16 & 0xFF, microsecondsPerBeat >> 8 & 0xFF, microsecondsPerBeat & 0xFF]) },
+    // Numerator, denominator as a power of two, MIDI clocks per click, 32nd notes per quarter
+    { tick: 0, order: ORDER_SETUP, data: metaEvent(0x58, [timeSignature.numerator, Math.log2(timeSignature.denominator), 24, 8]) },
+    ...markers.map(marker => ({ tick: secondsToTicks(marker.time), order: ORDER_SETUP, data: metaEvent(0x06, textBytes(marker.text)) }))
+  ]
+
+  const trackChunks = tracks.map(track => {
+    const channel = (track.channel || 0) & 0x0F
+    const events = [{ tick: 0, order: ORDER_SETUP, data: metaEvent(0x03, textBytes(track.name || 'Track')) }]
+
+    if (track.program !== undefined) {
+      events.push({ tick: 0, order: ORDER_SETUP, data: [0xC0 | channel, track.program & 0x7F] })
+    }
+    if (pitchBend) {
+      // RPN 0 (pitch bend sensitivity) in semitones and cents
+      for (const [controller, value] of [[101, 0], [100, 0], [6, pitchBendRange & 0x7F], [38, 0]]) {
+        events.push({ tick: 0, order: ORDER_SETUP, data: [0xB0 | channel, controller, value] })
+      }
+    }
+
+    for (const note of track.notes) {
+      const exactNote = note.noteNumber !== undefined ? note.noteNumber : tuning.frequencyToNote(note.frequency)
+      const noteNumber = Math.max(0, Math.min(127, Math.round(exactNote)))
+      const velocity = Math.max(1, Math.min(127, Math.round(note.velocity || 100)))
+      const startTick = secondsToTicks(note.startTime)
+      const endTick = Math.max(startTick + 1, secondsToTicks(note.endTime))
+
+      const cents = (exactNote - Math.round(exactNote)) * 100
+      if (pitchBend && Math.abs(cents) >= PITCH_BEND_MIN_CENTS) {
+        const bend = Math.max(0, Math.min(16383, Math.round(PITCH_BEND_CENTER + cents / 100 / pitchBendRange * PITCH_BEND_CENTER)))
+        events.push({ tick: startTick, order: ORDER_BEND, data: [0xE0 | channel, bend & 0x7F, bend >> 7] })
+        events.push({ tick: endTick, order: ORDER_BEND_RESET, data: [0xE0 | channel, 0, PITCH_BEND_CENTER >> 7] })
+      }
+
+      events.push({ tick: startTick, order: ORDER_NOTE_ON, data: [0x90 | channel, noteNumber, velocity] })
+      events.push({ tick: endTick, order: ORDER_NOTE_OFF, data: [0x80 | channel, noteNumber, 0] })
+    }
+
+    return trackChunk(events)
+  })
+
+  const header = [
+    ...textBytes('MThd'), 0, 0, 0, 6,
+    0, 1, // Format 1
+    (trackChunks.length + 1) >> 8, (trackChunks.length + 1) & 0xFF,
+    ticksPerBeat >> 8 & 0xFF, ticksPerBeat & 0xFF
+  ]
+
+  return new Uint8Array([...header, ...trackChunk(conductor), ...trackChunks.flat()])
+}
+
+/**
+ * Builds an MTrk chunk from timed events, with delta times and end of track.
+ * @param {{tick: number, order: number, data: number[]}[]} events - The events in any order.
+ * @returns {number[]} The chunk bytes.
+ */
+function trackChunk (events) {
+  const sorted = events.slice().sort((a, b) => a.tick - b.tick || a.order - b.order)
+  const data = []
+  let lastTick = 0
+
+  for (const event of sorted) {
+    data.push(...variableLength(event.tick - lastTick), ...event.data)
+    lastTick = event.tick
+  }
+  data.push(0x00, 0xFF, 0x2F, 0x00)
+
+  const length = data.length
+  return [...textBytes('MTrk'), length >>> 24 & 0xFF, length >> 16 & 0xFF, length >> 8 & 0xFF, length & 0xFF, ...data]
+}
+
+/**
+ * Encodes a number as a MIDI variable-length quantity.
+ * @param {number} value - A non-negative integer.
+ * @returns {number[]} The bytes, most significant first.
+ */
+function variableLength (value) {
+  const bytes = [value & 0x7F]
+  value = Math.floor(value / 128)
+  while (value > 0) {
+    bytes.unshift((value & 0x7F) | 0x80)
+    value = Math.floor(value / 128)
+  }
+  return bytes
+}
+
+function metaEvent (type, data) {
+  return [0xFF, type, ...variableLength(data.length), ...data]
+}
+
+function textBytes (text) {
+  return Array.from(new TextEncoder().encode(text))
+}
@@ -1,114 +1,233 @@
 /**
  * MIDI-related utility functions
  */
+import { encodeMidiFile } from './midiEncoder.js'
+import { downloadBlob } from './fileUtils.js'
+import { STANDARD_TUNING } from './tuning.js'
 
 /**
- * Converts a frequency to a MIDI note number.
+ * Names of the pitch classes, spelled with sharps.
+ * @type {string[]}
+ */
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']
+
+/**
+ * Converts a frequency to the nearest MIDI note number.
  * @param {number} frequency - The frequency in Hz.
+ * @param {Object} [tuning] - See `createTuning`; A4 = 440 Hz in equal temperament by default.
  * @returns {number} The MIDI note number.
  */
-export function frequencyToMIDI (frequency) {
-  return Math.round(69 + 12 * Math.log2(frequency / 440))
+export function frequencyToMIDI (frequency, tuning = STANDARD_TUNING) {
+  return Math.round(tuning.frequencyToNote(frequency))
 }
 
 /**
  * Converts a MIDI note number to a frequency.
  * @param {number} midi - The MIDI note number.
+ * @param {Object} [tuning] - See `createTuning`; A4 = 440 Hz in equal temperament by default.
  * @returns {number} The frequency in Hz.
  */
-export function MIDIToFrequency (midi) {
-  return 440 * Math.pow(2, (midi - 69) / 12)
+export function MIDIToFrequency (midi, tuning = STANDARD_TUNING) {
+  return tuning.noteToFrequency(midi)
 }
 
 /**
- * Saves MIDI data as a .mid file
- * @param {Object} midiData - The MIDI data
- * @param {string} filename - The filename
+ * Returns the name of a MIDI note with its octave, e.g. A4 for 69.
+ * @param {number} midi - The MIDI note number.
+ * @returns {string} The note name.
  */
-export function saveMidiFile (midiData, filename) {
-  // MIDI File Format 1 Header
-  const header = [
-    0x4D, 0x54, 0x68, 0x64, // MThd
-    0x00, 0x00, 0x00, 0x06, // Header size
-    0x00, 0x01, // Format 1
-    0x00, 0x01, // One track
-    (midiData.ticksPerBeat >> 8) & 0xFF, midiData.ticksPerBeat & 0xFF // Ticks per beat
-  ]
-
-  // Track data
-  const track = midiData.tracks[0]
-  const events = []
-
-  // Track name
-  events.push([0x00, 0xFF, 0x03, track.name.length, ...track.name.split('').map(c => c.charCodeAt(0))])
-
-  // Set tempo (120 BPM = 500000 microseconds per beat)
-  events.push([0x00, 0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20])
-
-  // Note events
-  track.notes.forEach(note => {
-    // Note On
-    events.push([note.startTime, 0x90, note.noteNumber, note.velocity])
-    // Note Off
-    events.push([note.startTime + note.duration, 0x80, note.noteNumber, 0])
-  })
-
-  // Sort events by time
-  events.sort((a, b) => a[0] - b[0])
-
-  // Convert delta times
-  let lastTime = 0
-  events.forEach(event => {
-    const deltaTime = event[0] - lastTime
-    event[0] = deltaTime
-    lastTime = event[0]
-  })
-
-  // Create track data
-  const trackData = []
-  events.forEach(event => {
-    // Write variable-length delta time
-    let deltaTime = event[0]
-    if (deltaTime > 0) {
-      const bytes = []
-      while (deltaTime > 0) {
-        bytes.unshift(deltaTime & 0x7F)
-        deltaTime = deltaTime >> 7
-        if (bytes.length > 1) {
-          bytes[0] |= 0x80
+export function getNoteName (midi) {
+  return `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`
+}
+
+/**
+ * Maps a level in dBFS to a MIDI velocity, linearly from `floorDb` (velocity 1) to 0 dB (127).
+ * @param {number} db - The level in dB.
+ * @param {number} [floorDb=-60] - The level mapped to the softest velocity.
+ * @returns {number} The velocity (1..127).
+ */
+export function dbToVelocity (db, floorDb = -60) {
+  const normalized = (db - floorDb) / -floorDb
+  return Math.max(1, Math.min(127, Math.round(1 + normalized * 126)))
+}
+
+/**
+ * Parses a Standard MIDI File (format 0 or 1) into notes with times in
+ * seconds. Tempo changes of all tracks form one tempo map, as in format 1
+ * files the conductor track carries them. Running status, SysEx and unknown
+ * chunks are handled; notes still sounding at the end of a track are closed there.
+ * `program` is the first program change of a track.
+ * @param {ArrayBuffer} data - The file contents.
+ * @returns {{format: number, ticksPerBeat: number|null, tempoMap: {tick: number, time: number, bpm: number}[],
+ *   timeSignatures: {tick: number, numerator: number, denominator: number}[],
+ *   tracks: {name: string, program?: number, notes: {noteNumber: number, velocity: number, channel: number,
+ *   startTick: number, endTick: number, startTime: number, endTime: number}[]}[]}} The parsed file.
+ */
+export function parseMidiFile (data) {
+  const bytes = new Uint8Array(data)
+  let offset = 0
+
+  const readUint32 = () => {
+    const value = (bytes[offset] << 24 | bytes[offset + 1] << 16 | bytes[offset + 2] << 8 | bytes[offset + 3]) >>> 0
+    offset += 4
+    return value
+  }
+  const readUint16 = () => {
+    const value = bytes[offset] << 8 | bytes[offset + 1]
+    offset += 2
+    return value
+  }
+  const readChunkType = () => {
+    const type = String.fromCharCode(...bytes.subarray(offset, offset + 4))
+    offset += 4
+    return type
+  }
+  const readVariableLength = () => {
+    let value = 0
+    let byte
+    do {
+      if (offset >= bytes.length) throw new Error('Unexpected end of MIDI data')
+      byte = bytes[offset++]
+      value = value * 128 + (byte & 0x7F)
+    } while (byte & 0x80)
+    return value
+  }
+
+  if (bytes.length < 14 || readChunkType() !== 'MThd') throw new Error('Not a Standard MIDI File')
+  const headerLength = readUint32()
+  const format = readUint16()
+  const trackCount = readUint16()
+  const division = readUint16()
+  offset = 8 + headerLength
+  if (format > 1) throw new Error(`MIDI format ${format} is not supported`)
+
+  // Division is ticks per beat, or SMPTE frames per second and ticks per frame
+  const ticksPerBeat = division & 0x8000 ? null : division
+  const smpteTicksPerSecond = division & 0x8000 ? (256 - (division >> 8)) * (division & 0xFF) : 0
+
+  const tempoEvents = []
+  const timeSignatures = []
+  const rawTracks = []
+
+  while (rawTracks.length < trackCount && offset + 8 <= bytes.length) {
+    const type = readChunkType()
+    const length = readUint32()
+    const end = Math.min(bytes.length, offset + length)
+    if (type !== 'MTrk') {
+      offset = end
+      continue
+    }
+
+    const track = { name: '', program: undefined, notes: [] }
+    const openNotes = new Map()
+    let tick = 0
+    let runningStatus = 0
+
+    while (offset < end) {
+      tick += readVariableLength()
+      let status = bytes[offset]
+      if (status & 0x80) {
+        offset++
+      } else if (runningStatus) {
+        status = runningStatus
+      } else {
+        throw new Error('MIDI data byte without status')
+      }
+
+      if (status === 0xFF) {
+        runningStatus = 0
+        const metaType = bytes[offset++]
+        const metaLength = readVariableLength()
+        const metaData = bytes.subarray(offset, offset + metaLength)
+        offset += metaLength
+
+        if (metaType === 0x2F) break
+        if (metaType === 0x03 && !track.name) track.name = String.fromCharCode(...metaData)
+        if (metaType === 0x51 && metaLength === 3) {
+          tempoEvents.push({ tick, microsecondsPerBeat: metaData[0] << 16 | metaData[1] << 8 | metaData[2] })
         }
+        if (metaType === 0x58 && metaLength >= 2) {
+          timeSignatures.push({ tick, numerator: metaData[0], denominator: Math.pow(2, metaData[1]) })
+        }
+        continue
+      }
+
+      if (status === 0xF0 || status === 0xF7) {
+        runningStatus = 0
+        const sysexLength = readVariableLength()
+        offset += sysexLength
+        continue
+      }
+
+      runningStatus = status
+      const type = status & 0xF0
+      const channel = status & 0x0F
+      const data1 = bytes[offset++]
+      const data2 = type === 0xC0 || type === 0xD0 ? 0 : bytes[offset++]
+
+      const key = `${channel}-${data1}`
+      if (type === 0xC0 && track.program === undefined) {
+        track.program = data1
+      } else if (type === 0x90 && data2 > 0) {
+        // Overlapping notes of the same pitch end in the order they started
+        if (!openNotes.has(key)) openNotes.set(key, [])
+        openNotes.get(key).push({ noteNumber: data1, velocity: data2, channel, startTick: tick })
+      } else if (type === 0x80 || type === 0x90) {
+        const started = openNotes.get(key)
+        if (started && started.length) track.notes.push({ ...started.shift(), endTick: tick })
       }
-      trackData.push(...bytes)
-    } else {
-      trackData.push(0)
     }
-    // Write event data
-    trackData.push(...event.slice(1))
-  })
-
-  // End of track
-  trackData.push(0x00, 0xFF, 0x2F, 0x00)
-
-  // Track header
-  const trackHeader = [
-    0x4D, 0x54, 0x72, 0x6B, // MTrk
-    (trackData.length >> 24) & 0xFF,
-    (trackData.length >> 16) & 0xFF,
-    (trackData.length >> 8) & 0xFF,
-    trackData.length & 0xFF
-  ]
-
-  // Combine all data
-  const fileData = new Uint8Array([...header, ...trackHeader, ...trackData])
-
-  // Create and download file
-  const blob = new Blob([fileData], { type: 'audio/midi' })
-  const url = URL.createObjectURL(blob)
-  const a = document.createElement('a')
-  a.href = url
-  a.download = filename
-  document.body.appendChild(a)
-  a.click()
-  document.body.removeChild(a)
-  URL.revokeObjectURL(url)
+
+    for (const started of openNotes.values()) {
+      started.forEach(note => track.notes.push({ ...note, endTick: tick }))
+    }
+    offset = end
+    rawTracks.push(track)
+  }
+
+  // Tempo map: seconds at every tempo change, 120 BPM until the first one.
+  // SMPTE timing does not depend on tempo.
+  tempoEvents.sort((a, b) => a.tick - b.tick)
+  const tempoMap = [{ tick: 0, time: 0, microsecondsPerBeat: 500000 }]
+  for (const event of ticksPerBeat ? tempoEvents : []) {
+    const last = tempoMap[tempoMap.length - 1]
+    const time = last.time + (event.tick - last.tick) * last.microsecondsPerBeat / 1e6 / ticksPerBeat
+    if (event.tick === last.tick) tempoMap.pop()
+    tempoMap.push({ tick: event.tick, time, microsecondsPerBeat: event.microsecondsPerBeat })
+  }
+
+  const tickToSeconds = tick => {
+    if (!ticksPerBeat) return tick / smpteTicksPerSecond
+    let segment = tempoMap[0]
+    for (const entry of tempoMap) {
+      if (entry.tick > tick) break
+      segment = entry
+    }
+    return segment.time + (tick - segment.tick) * segment.microsecondsPerBeat / 1e6 / ticksPerBeat
+  }
+
+  const tracks = rawTracks.map(track => ({
+    name: track.name,
+    program: track.program,
+    notes: track.notes
+      .map(note => ({ ...note, startTime: tickToSeconds(note.startTick), endTime: tickToSeconds(note.endTick) }))
+      .sort((a, b) => a.startTick - b.startTick)
+  }))
+
+  return {
+    format,
+    ticksPerBeat,
+    tempoMap: tempoMap.map(({ tick, time, microsecondsPerBeat }) => ({ tick, time, bpm: 60e6 / microsecondsPerBeat })),
+    timeSignatures,
+    tracks
+  }
+}
+
+/**
+ * Saves MIDI data as a .mid file
+ * @param {Object} midiData - The song, see `encodeMidiFile`
+ * @param {string} filename - The filename
+ */
+export function saveMidiFile (midiData, filename) {
+  downloadBlob(new Blob([encodeMidiFile(midiData)], { type: 'audio/midi' }), filename)
 }
@@ -0,0 +1,388 @@
+/**
+ * MusicXML and ABC notation export
+ */
+import { NOTE_NAMES, frequencyToMIDI } from './midiUtils.js'
+
+// Note values in quarter notes, longest first
+const NOTE_VALUES = [
+  { type: 'whole', quarters: 4 },
+  { type: 'half', quarters: 2 },
+  { type: 'quarter', quarters: 1 },
+  { type: 'eighth', quarters: 0.5 },
+  { type: '16th', quarters: 0.25 },
+  { type: '32nd', quarters: 0.125 }
+]
+
+// Order in which key signatures add sharps and flats
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B']
+const FLAT_ORDER = ['B', 'E', 'A', 'D', 'G', 'C', 'F']
+
+// Key names by number of fifths, from 7 flats to 7 sharps
+const MAJOR_KEYS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#']
+const MINOR_KEYS = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#']
+
+// Bars per line in ABC output
+const ABC_BARS_PER_LINE = 4
+
+/**
+ * Default notation settings.
+ * @type {{bpm: number, timeSignature: {numerator: number, denominator: number},
+ *   key: {fifths: number, mode: string}, grid: number, title: string}}
+ */
+export const DEFAULT_NOTATION_SETTINGS = {
+  bpm: 120,
+  timeSignature: { numerator: 4, denominator: 4 },
+  key: { fifths: 0, mode: 'major' },
+  // Grid steps per quarter note: 1 quarters, 2 eighths, 4 sixteenths, 8 32nds
+  grid: 4,
+  title: 'Spectrogram Notes'
+}
+
+/**
+ * Lists the key signatures for a key selection, e.g. `{fifths: -3, mode: 'major', name: 'Eb major'}`.
+ * @returns {{fifths: number, mode: string, name: string}[]} The keys, majors first.
+ */
+export function getKeySignatures () {
+  const keys = []
+  for (const [mode, names] of [['major', MAJOR_KEYS], ['minor', MINOR_KEYS]]) {
+    names.forEach((name, index) => keys.push({ fifths: index - 7, mode, name: `${name} ${mode}` }))
+  }
+  return keys
+}
+
+/**
+ * Creates a MusicXML 4.0 (partwise) score from a song, one part per track.
+ * @param {Object} song - The song, as from `createMidiData`: tracks with notes
+ *   that have `startTime` and `endTime` in seconds and a `frequency` or `noteNumber`.
+ * @param {Object} [settings] - Tempo, time signature, key, grid and title, see `DEFAULT_NOTATION_SETTINGS`,
+ *   and the `tuning` that maps note frequencies to pitches (see `createTuning`).
+ * @returns {string} The MusicXML document.
+ */
+export function createMusicXml (song, settings = {}) {
+  const score = quantizeSong(song, settings)
+  const { key, timeSignature, bpm, title } = score
+
+  const partList = score.parts.map((part, index) => {
+    const id = `P${index + 1}`
+    const program = part.program !== undefined ? `<midi-program>${part.program + 1}</midi-program>` : ''
+    return [
+      `    <score-part id="${id}">`,
+      `      <part-name>${escapeXml(part.name)}</part-name>`,
+      `      <score-instrument id="${id}-I1"><instrument-name>${escapeXml(part.name)}</instrument-name></score-instrument>`,
+      `      <midi-instrument id="${id}-I1"><midi-channel>${(part.channel || 0) + 1}</midi-channel>${program}</midi-instrument>`,
+      '    </score-part>'
+    ].join('\n')
+  })
+
+  const parts = score.parts.map((part, index) => {
+    const measures = part.measures.map((events, measureIndex) => {
+      const lines = [`    <measure number="${measureIndex + 1}">`]
+      if (measureIndex === 0) {
+        const clef = part.clef === 'bass' ? '<sign>F</sign><line>4</line>' : '<sign>G</sign><line>2</line>'
+        lines.push(
+          '      <attributes>',
+          `        <divisions>${score.divisions}</divisions>`,
+          `        <key><fifths>${key.fifths}</fifths><mode>${key.mode}</mode></key>`,
+          `        <time><beats>${timeSignature.numerator}</beats><beat-type>${timeSignature.denominator}</beat-type></time>`,
+          `        <clef>${clef}</clef>`,
+          '      </attributes>',
+          '      <direction placement="above">',
+          `        <direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${formatNumber(bpm)}</per-minute></metronome></direction-type>`,
+          `        <sound tempo="${formatNumber(bpm)}"/>`,
+          '      </direction>'
+        )
+      }
+      for (const event of events) {
+        lines.push(...musicXmlNotes(event, score, key.fifths))
+      }
+      lines.push('    </measure>')
+      return lines.join('\n')
+    })
+    return [`  <part id="P${index + 1}">`, ...measures, '  </part>'].join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+    `  <work><work-title>${escapeXml(title)}</work-title></work>`,
+    '  <part-list>',
+    ...partList,
+    '  </part-list>',
+    ...parts,
+    '</score-partwise>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * Creates ABC notation (2.1) from a song, one voice per track.
+ * @param {Object} song - The song, see `createMusicXml`.
+ * @param {Object} [settings] - Tempo, time signature, key, grid and title, see `DEFAULT_NOTATION_SETTINGS`,
+ *   and the `tuning` that maps note frequencies to pitches (see `createTuning`).
+ * @returns {string} The ABC tune.
+ */
+export function createAbc (song, settings = {}) {
+  const score = quantizeSong(song, settings)
+  const { key, timeSignature, bpm, title } = score
+  const keyName = key.mode === 'minor' ? `${MINOR_KEYS[key.fifths + 7]}m` : MAJOR_KEYS[key.fifths + 7]
+
+  // The unit note length is one grid division
+  const lines = [
+    'X:1',
+    `T:${title}`,
+    `M:${timeSignature.numerator}/${timeSignature.denominator}`,
+    `L:1/${4 * score.divisions}`,
+    `Q:1/4=${Math.round(bpm)}`,
+    `K:${keyName}`
+  ]
+
+  score.parts.forEach((part, index) => {
+    if (score.parts.length > 1) {
+      lines.push(`V:${index + 1} name="${part.name.replace(/"/g, "'")}" clef=${part.clef}`)
+    }
+
+    const bars = part.measures.map(events => {
+      // Accidentals hold for the same pitch until the end of the bar
+      const alterations = new Map()
+      return events.map(event => abcEvent(event, score.divisions, key.fifths, alterations)).join(' ')
+    })
+    for (let i = 0; i < bars.length; i += ABC_BARS_PER_LINE) {
+      const isLast = i + ABC_BARS_PER_LINE >= bars.length
+      lines.push(bars.slice(i, i + ABC_BARS_PER_LINE).join(' | ') + (isLast ? ' |]' : ' |'))
+    }
+  })
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Quantizes the notes of every track to the grid and lays them out in
+ * measures of rests, notes and chords with ties across barlines.
+ *
+ * A voice has one event at a time: notes starting on the same step form a
+ * chord that lasts until its longest note ends, and a note still sounding
+ * when the next one starts is cut there.
+ */
+function quantizeSong (song, settings) {
+  const {
+    bpm = DEFAULT_NOTATION_SETTINGS.bpm,
+    timeSignature = DEFAULT_NOTATION_SETTINGS.timeSignature,
+    key = DEFAULT_NOTATION_SETTINGS.key,
+    grid = DEFAULT_NOTATION_SETTINGS.grid,
+    title = DEFAULT_NOTATION_SETTINGS.title,
+    tuning
+  } = settings
+  if (!(bpm > 0)) throw new Error(`Invalid tempo: ${bpm} BPM`)
+
+  // Eighth-based meters need at least two divisions per quarter for a whole bar
+  const divisions = Math.max(grid, timeSignature.denominator / 4)
+  const step = divisions / grid
+  const measureLength = timeSignature.numerator * 4 / timeSignature.denominator * divisions
+  const secondsPerDivision = 60 / bpm / divisions
+  const toSteps = seconds => Math.max(0, Math.round(seconds / secondsPerDivision / step)) * step
+
+  const voices = song.tracks.map(track => {
+    const chords = new Map()
+    for (const note of track.notes) {
+      const midi = note.noteNumber !== undefined ? note.noteNumber : frequencyToMIDI(note.frequency, tuning)
+      const start = toSteps(note.startTime)
+      const end = Math.max(start + step, toSteps(note.endTime))
+      if (!chords.has(start)) chords.set(start, { start, end, pitches: new Set() })
+      const chord = chords.get(start)
+      chord.end = Math.max(chord.end, end)
+      chord.pitches.add(Math.max(0, Math.min(127, midi)))
+    }
+
+    const sorted = Array.from(chords.values()).sort((a, b) => a.start - b.start)
+    sorted.forEach((chord, index) => {
+      if (index + 1 < sorted.length) chord.end = Math.min(chord.end, sorted[index + 1].start)
+      chord.pitches = Array.from(chord.pitches).sort((a, b) => a - b)
+    })
+    return { track, chords: sorted }
+  })
+
+  const lastEnd = Math.max(0, ...voices.map(({ chords }) => chords.length ? chords[chords.length - 1].end : 0))
+  const measureCount = Math.max(1, Math.ceil(lastEnd / measureLength))
+
+  const parts = voices.map(({ track, chords }) => {
+    const pitches = chords.flatMap(chord => chord.pitches)
+    const averagePitch = pitches.reduce((sum, pitch) => sum + pitch, 0) / (pitches.length || 1)
+    const measures = Array.from({ length: measureCount }, () => [])
+
+    // Chords and the rests between them, split at barlines
+    let time = 0
+    const place = (start, end, pitches) => {
+      let position = start
+      while (position < end) {
+        const measure = Math.floor(position / measureLength)
+        const pieceEnd = Math.min(end, (measure + 1) * measureLength)
+        measures[measure].push({
+          duration: pieceEnd - position,
+          pitches,
+          tieStart: pieceEnd < end,
+          tieStop: position > start
+        })
+        position = pieceEnd
+      }
+    }
+    for (const chord of chords) {
+      if (chord.start > time) place(time, chord.start, [])
+      place(chord.start, chord.end, chord.pitches)
+      time = chord.end
+    }
+    if (time < measureCount * measureLength) place(time, measureCount * measureLength, [])
+
+    return {
+      name: track.name || DEFAULT_NOTATION_SETTINGS.title,
+      channel: track.channel,
+      program: track.program,
+      clef: pitches.length && averagePitch < 60 ? 'bass' : 'treble',
+      measures
+    }
+  })
+
+  return { bpm, timeSignature, key, title, divisions, measureLength, parts }
+}
+
+/**
+ * Splits a duration into written note values, longest first.
+ * @param {number} duration - The duration in divisions.
+ * @param {number} divisions - Divisions per quarter note.
+ * @returns {{type: string, dots: number, duration: number}[]} The note values.
+ */
+function splitDuration (duration, divisions) {
+  const candidates = []
+  for (const value of NOTE_VALUES) {
+    candidates.push({ type: value.type, dots: 1, duration: value.quarters * 1.5 * divisions })
+    candidates.push({ type: value.type, dots: 0, duration: value.quarters * divisions })
+  }
+  const usable = candidates.filter(value => Number.isInteger(value.duration))
+
+  const values = []
+  let remaining = duration
+  while (remaining > 0) {
+    const value = usable.find(candidate => candidate.duration <= remaining)
+    values.push(value)
+    remaining -= value.duration
+  }
+  return values
+}
+
+/**
+ * Spells a MIDI note as step, alteration and octave. Black keys are sharps,
+ * or flats in flat keys.
+ */
+function spellPitch (midi, fifths) {
+  const octave = Math.floor(midi / 12) - 1
+  const name = NOTE_NAMES[midi % 12]
+  if (name.length === 1) return { step: name, alter: 0, octave }
+  if (fifths < 0) return { step: NOTE_NAMES[(midi + 1) % 12], alter: -1, octave }
+  return { step: name[0], alter: 1, octave }
+}
+
+/**
+ * Returns the alteration the key signature gives a step.
+ */
+function keyAlteration (step, fifths) {
+  if (fifths > 0 && SHARP_ORDER.indexOf(step) < fifths) return 1
+  if (fifths < 0 && FLAT_ORDER.indexOf(step) < -fifths) return -1
+  return 0
+}
+
+/**
+ * Writes one measure event as MusicXML notes, tied where it is split into note values.
+ */
+function musicXmlNotes (event, { divisions, measureLength }, fifths) {
+  if (!event.pitches.length && event.duration === measureLength) {
+    return [`      <note><rest measure="yes"/><duration>${event.duration}</duration><voice>1</voice></note>`]
+  }
+
+  const values = splitDuration(event.duration, divisions)
+  const lines = []
+
+  values.forEach((value, valueIndex) => {
+    const tieStop = valueIndex > 0 || event.tieStop
+    const tieStart = valueIndex < values.length - 1 || event.tieStart
+    const dots = '<dot/>'.repeat(value.dots)
+
+    if (!event.pitches.length) {
+      lines.push(`      <note><rest/><duration>${value.duration}</duration><voice>1</voice><type>${value.type}</type>${dots}</note>`)
+      return
+    }
+
+    event.pitches.forEach((midi, pitchIndex) => {
+      const { step, alter, octave } = spellPitch(midi, fifths)
+      const ties = []
+      const tied = []
+      if (tieStop) {
+        ties.push('<tie type="stop"/>')
+        tied.push('<tied type="stop"/>')
+      }
+      if (tieStart) {
+        ties.push('<tie type="start"/>')
+        tied.push('<tied type="start"/>')
+      }
+      lines.push([
+        '      <note>',
+        pitchIndex > 0 ? '<chord/>' : '',
+        `<pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>`,
+        `<duration>${value.duration}</duration>`,
+        ...ties,
+        '<voice>1</voice>',
+        `<type>${value.type}</type>`,
+        dots,
+        tied.length ? `<notations>${tied.join('')}</notations>` : '',
+        '</note>'
+      ].join(''))
+    })
+  })
+  return lines
+}
+
+/**
+ * Writes one measure event in ABC, e.g. `[CEG]4-` or `z2`. `alterations`
+ * holds the accidentals written so far in the bar.
+ */
+function abcEvent (event, divisions, fifths, alterations) {
+  return splitDuration(event.duration, divisions).map((value, index, values) => {
+    const length = value.duration === 1 ? '' : String(value.duration)
+    if (!event.pitches.length) return `z${length}`
+
+    const notes = event.pitches.map(midi => abcPitch(midi, fifths, alterations))
+    const tie = index < values.length - 1 || event.tieStart ? '-' : ''
+    return (notes.length > 1 ? `[${notes.join('')}]` : notes[0]) + length + tie
+  }).join(' ')
+}
+
+/**
+ * Writes a pitch in ABC: C4 is `C`, C5 is `c`, higher octaves add `'` and
+ * lower ones `,`. Accidentals are written where the key or an earlier
+ * accidental in the bar would give a different pitch.
+ */
+function abcPitch (midi, fifths, alterations) {
+  const { step, alter, octave } = spellPitch(midi, fifths)
+  const key = `${step}${octave}`
+  const current = alterations.has(key) ? alterations.get(key) : keyAlteration(step, fifths)
+
+  let accidental = ''
+  if (alter !== current) {
+    accidental = alter === 1 ? '^' : alter === -1 ? '_' : '='
+    alterations.set(key, alter)
+  }
+
+  const letter = octave >= 5 ? step.toLowerCase() + "'".repeat(octave - 5) : step + ','.repeat(4 - octave)
+  return accidental + letter
+}
+
+function escapeXml (text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function formatNumber (value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2)
+}
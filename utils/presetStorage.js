@@ -0,0 +1,39 @@
+/**
+ * User presets of the settings in localStorage
+ */
+
+const STORAGE_KEY = 'spectrogram-presets'
+
+/**
+ * Returns the saved presets.
+ * @returns {Object<string, Object>} The settings by preset name; empty when
+ *   none were saved or the storage cannot be read.
+ */
+export function loadUserPresets () {
+  try {
+    const presets = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return presets && typeof presets === 'object' ? presets : {}
+  } catch (err) {
+    console.warn('Could not read the presets:', err)
+    return {}
+  }
+}
+
+/**
+ * Saves a preset, replacing one of the same name.
+ * @param {string} name - The preset name.
+ * @param {Object} settings - The settings by name.
+ */
+export function saveUserPreset (name, settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...loadUserPresets(), [name]: settings }))
+}
+
+/**
+ * Removes a preset.
+ * @param {string} name - The preset name.
+ */
+export function deleteUserPreset (name) {
+  const presets = loadUserPresets()
+  delete presets[name]
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets))
+}
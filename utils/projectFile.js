@@ -0,0 +1,100 @@
+/**
+ * Project files: the notes, settings and audio of a session as JSON, or as
+ * a ZIP archive of the JSON and the audio file
+ */
+import { createZip, isZip, readZip } from './zipArchive.js'
+
+/**
+ * Format tag and version of project files.
+ * @type {{format: string, version: number}}
+ */
+export const PROJECT_FORMAT = { format: 'spectrogram-project', version: 2 }
+
+// Names inside a zipped project
+const PROJECT_ENTRY = 'project.json'
+const AUDIO_FOLDER = 'audio/'
+
+/**
+ * Serializes a project as JSON with the format tag.
+ * @param {Object} project - The project, see `decodeProject`.
+ * @returns {string} The JSON.
+ */
+export function stringifyProject (project) {
+  return JSON.stringify({ ...PROJECT_FORMAT, ...project }, null, 2)
+}
+
+/**
+ * Parses and checks the JSON of a project, see `stringifyProject`. Version 1
+ * projects kept all settings as control values; they are read as `controls`.
+ * @param {string} json - The JSON.
+ * @returns {Object} The project.
+ */
+export function parseProject (json) {
+  let project
+  try {
+    project = JSON.parse(json)
+  } catch (err) {
+    throw new Error(`Invalid project file: ${err.message}`)
+  }
+  if (!project || project.format !== PROJECT_FORMAT.format) throw new Error('Invalid project file: not a spectrogram project')
+  if (project.version > PROJECT_FORMAT.version) throw new Error(`Unsupported project version ${project.version}`)
+  if (!Array.isArray(project.notes) || !project.settings || typeof project.settings !== 'object') {
+    throw new Error('Invalid project file: notes or settings missing')
+  }
+  if (project.version < 2) return { ...project, settings: {}, controls: project.settings }
+  if (!project.controls || typeof project.controls !== 'object') throw new Error('Invalid project file: controls missing')
+  return project
+}
+
+/**
+ * Encodes a project. With an audio file the result is a ZIP archive holding
+ * `project.json` and the file under `audio/`; without, the plain JSON.
+ * @param {Object} project - The project, see `decodeProject`.
+ * @param {Blob} [audio] - The audio file the project refers to.
+ * @returns {Promise<Blob>} The file contents.
+ */
+export async function encodeProject (project, audio) {
+  const json = stringifyProject(project)
+  if (!audio) return new Blob([json], { type: 'application/json' })
+
+  const zip = createZip([
+    { name: PROJECT_ENTRY, data: new TextEncoder().encode(json) },
+    { name: AUDIO_FOLDER + getAudioName(project, audio), data: new Uint8Array(await audio.arrayBuffer()) }
+  ])
+  return new Blob([zip], { type: 'application/zip' })
+}
+
+/**
+ * Decodes a project file written by `encodeProject`.
+ * @param {Blob} file - The JSON or ZIP file.
+ * @returns {Promise<{project: Object, audio: File|null}>} The project with
+ *   `settings` (see `SETTINGS_SCHEMA`), `controls` (values of the other
+ *   controls by element id), `notes` (see `getNotes`),
+ *   `scala` (a loaded Scala scale and its label, or null), `tempoGridOffset`
+ *   and `audio` (the name, type and size of the audio file, or null), and
+ *   the audio file when the archive holds it.
+ */
+export async function decodeProject (file) {
+  const bytes = new Uint8Array(await file.arrayBuffer())
+  let json = bytes
+  let audio = null
+
+  if (isZip(bytes)) {
+    const entries = await readZip(bytes)
+    json = entries.get(PROJECT_ENTRY)
+    if (!json) throw new Error(`Invalid project file: ${PROJECT_ENTRY} missing`)
+    for (const [name, data] of entries) {
+      if (name.startsWith(AUDIO_FOLDER) && name.length > AUDIO_FOLDER.length) {
+        audio = { name: name.slice(AUDIO_FOLDER.length), data }
+      }
+    }
+  }
+
+  const project = parseProject(new TextDecoder().decode(json))
+  const type = project.audio ? project.audio.type : ''
+  return { project, audio: audio && new File([audio.data], audio.name, { type }) }
+}
+
+function getAudioName (project, audio) {
+  return (project.audio && project.audio.name) || audio.name || 'audio'
+}
@@ -0,0 +1,59 @@
+/**
+ * Autosave of the session in IndexedDB
+ */
+
+const DATABASE_NAME = 'spectrogram'
+const DATABASE_VERSION = 1
+const STORE_NAME = 'autosave'
+
+let database = null
+
+function openDatabase () {
+  if (!database) {
+    database = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION)
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Let a later call try again, e.g. after the user allowed storage
+    database.catch(() => { database = null })
+  }
+  return database
+}
+
+function runRequest (mode, createRequest) {
+  return openDatabase().then(db => new Promise((resolve, reject) => {
+    const request = createRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  }))
+}
+
+/**
+ * Stores a value of the autosave.
+ * @param {string} key - The name, e.g. 'project' or 'audio'.
+ * @param {*} value - Anything IndexedDB can clone, including blobs.
+ * @returns {Promise<void>} Resolves when stored.
+ */
+export function saveAutosave (key, value) {
+  return runRequest('readwrite', store => store.put(value, key)).then(() => {})
+}
+
+/**
+ * Reads a value of the autosave.
+ * @param {string} key - The name.
+ * @returns {Promise<*>} The value, undefined if none was saved.
+ */
+export function loadAutosave (key) {
+  return runRequest('readonly', store => store.get(key))
+}
+
+/**
+ * Removes a value of the autosave.
+ * @param {string} key - The name.
+ * @returns {Promise<void>} Resolves when removed.
+ */
+export function deleteAutosave (key) {
+  return runRequest('readwrite', store => store.delete(key)).then(() => {})
+}
@@ -0,0 +1,73 @@
+/**
+ * Short-time Fourier transform helpers
+ */
+import { getFFTPlan } from './fft.js'
+
+/**
+ * Returns the number of full frames that fit into a signal.
+ * @param {number} length - The signal length in samples.
+ * @param {number} nFft - The frame length.
+ * @param {number} hopLength - The hop between frames.
+ * @returns {number} The number of frames.
+ */
+export function getFrameCount (length, nFft, hopLength) {
+  if (length < nFft) return 0
+  return 1 + Math.floor((length - nFft) / hopLength)
+}
+
+/**
+ * Zero-pads a signal by half a frame on both sides when frames are centered.
+ * @param {Float32Array} y - The input signal.
+ * @param {number} nFft - The frame length.
+ * @param {boolean} center - Whether frames are centered on their time stamps.
+ * @returns {Float32Array} The (possibly padded) signal.
+ */
+export function padSignal (y, nFft, center) {
+  if (!center) return y
+  const pad = Math.floor(nFft / 2)
+  const padded = new Float32Array(y.length + 2 * pad)
+  padded.set(y, pad)
+  return padded
+}
+
+/**
+ * Computes the STFT of a signal with several windows at once. Every frame is
+ * transformed once per window and handed to `onFrame` before the next frame
+ * overwrites the buffers, so nothing is allocated per frame.
+ * @param {Float32Array} y - The input signal.
+ * @param {Float32Array[]} windows - Windows of length `nFft`.
+ * @param {Object} options - STFT options.
+ * @param {number} options.nFft - The FFT size.
+ * @param {number} options.hopLength - The hop between frames in samples.
+ * @param {boolean} [options.center=false] - Whether to center frames on their time stamps.
+ * @param {Function} onFrame - Called as `onFrame(frame, spectra)` where `spectra[k]`
+ *   holds `{ re, im }` of window `k` for bins `0..nFft/2`.
+ * @returns {number} The number of frames processed.
+ */
+export function stftMulti (y, windows, { nFft, hopLength, center = false }, onFrame) {
+  const signal = padSignal(y, nFft, center)
+  const nFrames = getFrameCount(signal.length, nFft, hopLength)
+  const plan = getFFTPlan(nFft)
+  const nBins = Math.floor(nFft / 2) + 1
+  const windowed = new Float64Array(nFft)
+  const spectra = windows.map(() => ({
+    re: new Float64Array(nBins),
+    im: new Float64Array(nBins)
+  }))
+
+  for (let frame = 0; frame < nFrames; frame++) {
+    const start = frame * hopLength
+
+    for (let k = 0; k < windows.length; k++) {
+      const window = windows[k]
+      for (let i = 0; i < nFft; i++) {
+        windowed[i] = signal[start + i] * window[i]
+      }
+      plan.forwardReal(windowed, spectra[k].re, spectra[k].im)
+    }
+
+    onFrame(frame, spectra)
+  }
+
+  return nFrames
+}
@@ -0,0 +1,126 @@
+/**
+ * Tempo grid: bars and beats on the time axis, and snapping times to them
+ */
+
+/**
+ * Default tempo grid: 120 quarter notes per minute in 4/4, the first bar
+ * starting at 0 s.
+ * @type {{bpm: number, timeSignature: {numerator: number, denominator: number}, offset: number}}
+ */
+export const DEFAULT_TEMPO_GRID = {
+  bpm: 120,
+  timeSignature: { numerator: 4, denominator: 4 },
+  offset: 0
+}
+
+/**
+ * Snap divisions by name, as their length in quarter notes; triplets fit
+ * three in the time of two. `off` does not snap.
+ * @type {Object<string, {label: string, quarters: number}>}
+ */
+export const GRID_DIVISIONS = {
+  off: { label: 'Off', quarters: 0 },
+  '1/4': { label: '1/4', quarters: 1 },
+  '1/8': { label: '1/8', quarters: 1 / 2 },
+  '1/16': { label: '1/16', quarters: 1 / 4 },
+  '1/32': { label: '1/32', quarters: 1 / 8 },
+  '1/4T': { label: '1/4 triplet', quarters: 2 / 3 },
+  '1/8T': { label: '1/8 triplet', quarters: 1 / 3 },
+  '1/16T': { label: '1/16 triplet', quarters: 1 / 6 }
+}
+
+/**
+ * Creates a tempo grid. The tempo counts quarter notes per minute, like the
+ * MIDI and notation exports; a beat is a note of the time signature's
+ * denominator, e.g. an eighth in 6/8.
+ * @param {Object} [options] - Settings, see `DEFAULT_TEMPO_GRID`.
+ * @param {number} [options.bpm] - Quarter notes per minute.
+ * @param {{numerator: number, denominator: number}} [options.timeSignature] - The time signature.
+ * @param {number} [options.offset] - The time of the first beat of bar 1 in seconds.
+ * @returns {Object} The grid with its settings, the lengths of a beat and a
+ *   bar in seconds (`secondsPerBeat`, `secondsPerBar`) and the functions below.
+ */
+export function createTempoGrid (options = {}) {
+  const { bpm, timeSignature, offset } = { ...DEFAULT_TEMPO_GRID, ...options }
+  if (!(bpm > 0)) throw new Error(`Invalid tempo: ${bpm} BPM`)
+  if (!(timeSignature.numerator > 0 && timeSignature.denominator > 0)) {
+    throw new Error(`Invalid time signature: ${timeSignature.numerator}/${timeSignature.denominator}`)
+  }
+
+  const secondsPerQuarter = 60 / bpm
+  const secondsPerBeat = secondsPerQuarter * 4 / timeSignature.denominator
+  const secondsPerBar = secondsPerBeat * timeSignature.numerator
+
+  /**
+   * Returns the (fractional) number of beats from the first beat of bar 1.
+   * @param {number} time - The time in seconds.
+   * @returns {number} The beats, negative before bar 1.
+   */
+  function timeToBeat (time) {
+    return (time - offset) / secondsPerBeat
+  }
+
+  /**
+   * Returns the time of a beat, see `timeToBeat`.
+   * @param {number} beat - The beats from the first beat of bar 1.
+   * @returns {number} The time in seconds.
+   */
+  function beatToTime (beat) {
+    return offset + beat * secondsPerBeat
+  }
+
+  /**
+   * Returns the start of the bar a time lies in.
+   * @param {number} time - The time in seconds.
+   * @returns {number} The bar start in seconds.
+   */
+  function getBarStart (time) {
+    return offset + Math.floor((time - offset) / secondsPerBar) * secondsPerBar
+  }
+
+  /**
+   * Formats the position of a time as bar:beat, both counted from 1.
+   * @param {number} time - The time in seconds.
+   * @returns {string} E.g. '5:3'.
+   */
+  function formatPosition (time) {
+    const beat = Math.floor(timeToBeat(time) + 1e-6)
+    const bar = Math.floor(beat / timeSignature.numerator)
+    return `${bar + 1}:${beat - bar * timeSignature.numerator + 1}`
+  }
+
+  /**
+   * Moves a time to the nearest line of a snap division.
+   * @param {number} time - The time in seconds.
+   * @param {string} division - A key of `GRID_DIVISIONS`.
+   * @returns {number} The snapped time, or the time itself for 'off'.
+   */
+  function snap (time, division) {
+    const step = getDivisionLength(division)
+    return step > 0 ? offset + Math.round((time - offset) / step) * step : time
+  }
+
+  /**
+   * Returns the length of a snap division.
+   * @param {string} division - A key of `GRID_DIVISIONS`.
+   * @returns {number} The length in seconds, 0 for 'off'.
+   */
+  function getDivisionLength (division) {
+    const { quarters } = GRID_DIVISIONS[division] || GRID_DIVISIONS.off
+    return quarters * secondsPerQuarter
+  }
+
+  return {
+    bpm,
+    timeSignature,
+    offset,
+    secondsPerBeat,
+    secondsPerBar,
+    timeToBeat,
+    beatToTime,
+    getBarStart,
+    formatPosition,
+    snap,
+    getDivisionLength
+  }
+}
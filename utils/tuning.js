@@ -0,0 +1,178 @@
+/**
+ * Tuning systems: reference pitch, temperaments and Scala scales
+ */
+
+/**
+ * Default tuning: A4 (MIDI note 69) at 440 Hz in equal temperament.
+ * @type {{referenceFrequency: number, referenceNote: number, temperament: string, tonic: number}}
+ */
+export const DEFAULT_TUNING = {
+  referenceFrequency: 440,
+  referenceNote: 69,
+  temperament: 'equal',
+  tonic: 0
+}
+
+/**
+ * Temperaments by name, as the pitches of the twelve degrees from the tonic
+ * in cents, with an octave as the period.
+ * @type {Object<string, {label: string, cents: number[], period: number}>}
+ */
+export const TEMPERAMENTS = {
+  equal: {
+    label: 'Equal',
+    cents: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100],
+    period: 1200
+  },
+  pythagorean: {
+    label: 'Pythagorean',
+    cents: [0, 90.225, 203.910, 294.135, 407.820, 498.045, 611.730, 701.955, 792.180, 905.865, 996.090, 1109.775],
+    period: 1200
+  },
+  meantone: {
+    label: 'Quarter-comma meantone',
+    cents: [0, 76.049, 193.157, 310.265, 386.314, 503.422, 579.471, 696.578, 772.627, 889.735, 1006.843, 1082.892],
+    period: 1200
+  },
+  werckmeister3: {
+    label: 'Werckmeister III',
+    cents: [0, 90.225, 192.180, 294.135, 390.225, 498.045, 588.270, 696.090, 792.180, 888.270, 996.090, 1092.180],
+    period: 1200
+  },
+  kirnberger3: {
+    label: 'Kirnberger III',
+    cents: [0, 90.225, 193.157, 294.135, 386.314, 498.045, 590.224, 696.578, 792.180, 889.735, 996.090, 1088.269],
+    period: 1200
+  },
+  vallotti: {
+    label: 'Vallotti',
+    cents: [0, 94.135, 196.090, 298.045, 392.180, 501.955, 592.180, 698.045, 796.090, 894.135, 1000, 1090.225],
+    period: 1200
+  },
+  just: {
+    label: 'Just intonation (5-limit)',
+    cents: [0, 111.731, 203.910, 315.641, 386.314, 498.045, 590.224, 701.955, 813.686, 884.359, 1017.596, 1088.269],
+    period: 1200
+  }
+}
+
+/**
+ * Creates a tuning: the frequency of every MIDI note and back. The degrees
+ * of the scale are laid on consecutive keys from the tonic on, so a 12-note
+ * scale repeats every octave of the keyboard; the whole scale is then
+ * transposed so the reference note sounds at the reference frequency.
+ * @param {Object} [options] - Settings, see `DEFAULT_TUNING`.
+ * @param {number} [options.referenceFrequency] - The frequency of the reference note in Hz.
+ * @param {number} [options.referenceNote] - The MIDI note tuned to the reference frequency.
+ * @param {string} [options.temperament] - A key of `TEMPERAMENTS`.
+ * @param {{cents: number[], period: number}} [options.scale] - A scale to use
+ *   instead of the temperament, e.g. from `parseScalaFile`.
+ * @param {number} [options.tonic] - The pitch class (0 = C) the scale starts on.
+ * @returns {{noteToFrequency: Function, frequencyToNote: Function, getCents: Function}} The tuning.
+ */
+export function createTuning (options = {}) {
+  const { referenceFrequency, referenceNote, temperament, scale, tonic } = { ...DEFAULT_TUNING, ...options }
+  const { cents, period } = scale || TEMPERAMENTS[temperament] || {}
+  if (!cents) throw new Error(`Unknown temperament: ${temperament}`)
+  if (!(referenceFrequency > 0)) throw new Error(`Invalid reference frequency: ${referenceFrequency} Hz`)
+
+  const size = cents.length
+
+  // Cents of a whole key above the tonic in the lowest octave
+  const keyCents = (key) => {
+    const steps = key - tonic
+    const cycle = Math.floor(steps / size)
+    return cycle * period + cents[steps - cycle * size]
+  }
+  const referenceCents = keyCents(referenceNote)
+
+  /**
+   * Returns the frequency of a MIDI note; fractional notes lie between
+   * their neighbours in cents.
+   * @param {number} note - The MIDI note number.
+   * @returns {number} The frequency in Hz.
+   */
+  function noteToFrequency (note) {
+    const lower = Math.floor(note)
+    const lowerCents = keyCents(lower)
+    const noteCents = lowerCents + (note - lower) * (keyCents(lower + 1) - lowerCents)
+    return referenceFrequency * Math.pow(2, (noteCents - referenceCents) / 1200)
+  }
+
+  /**
+   * Returns the (fractional) MIDI note of a frequency, see `noteToFrequency`.
+   * @param {number} frequency - The frequency in Hz.
+   * @returns {number} The MIDI note number.
+   */
+  function frequencyToNote (frequency) {
+    const frequencyCents = referenceCents + 1200 * Math.log2(frequency / referenceFrequency)
+    const cycle = Math.floor(frequencyCents / period)
+    let degree = 0
+    while (degree + 1 < size && cents[degree + 1] + cycle * period <= frequencyCents) degree++
+
+    const lower = tonic + cycle * size + degree
+    const lowerCents = keyCents(lower)
+    return lower + (frequencyCents - lowerCents) / (keyCents(lower + 1) - lowerCents)
+  }
+
+  /**
+   * Returns how far a frequency lies from a note.
+   * @param {number} frequency - The frequency in Hz.
+   * @param {number} note - The MIDI note number.
+   * @returns {number} The deviation in cents, positive when sharp.
+   */
+  function getCents (frequency, note) {
+    return 1200 * Math.log2(frequency / noteToFrequency(note))
+  }
+
+  return { noteToFrequency, frequencyToNote, getCents }
+}
+
+/**
+ * The default tuning, see `DEFAULT_TUNING`.
+ * @type {Object}
+ */
+export const STANDARD_TUNING = createTuning()
+
+/**
+ * Parses a Scala scale file (.scl): a description line, the number of
+ * pitches, then one pitch per line in cents (with a period) or as a ratio.
+ * Lines starting with `!` are comments. The unison is implied and the last
+ * pitch is the period, usually the octave.
+ * @param {string} text - The file contents.
+ * @returns {{description: string, cents: number[], period: number}} The
+ *   scale: the degrees in cents starting with 0, and the period in cents.
+ */
+export function parseScalaFile (text) {
+  const lines = text.split(/\r?\n/).filter(line => !line.startsWith('!'))
+  if (lines.length < 2) throw new Error('Invalid Scala file: missing header')
+
+  const description = lines[0].trim()
+  const count = parseInt(lines[1], 10)
+  if (!(count > 0)) throw new Error(`Invalid Scala file: bad pitch count "${lines[1].trim()}"`)
+
+  const pitches = lines.slice(2).map(line => line.trim()).filter(line => line !== '').slice(0, count).map(parseScalaPitch)
+  if (pitches.length < count) throw new Error(`Invalid Scala file: ${count} pitches expected, ${pitches.length} found`)
+
+  const period = pitches.pop()
+  const cents = [0, ...pitches]
+  if (!cents.every((value, i) => i === 0 || value > cents[i - 1]) || !(period > cents[cents.length - 1])) {
+    throw new Error('Invalid Scala file: pitches must ascend below the period')
+  }
+  return { description, cents, period }
+}
+
+// A pitch in cents ("701.955"), or as a ratio ("3/2") or integer ("2");
+// anything after the value is a comment
+function parseScalaPitch (line) {
+  const value = line.split(/\s+/)[0]
+  if (value.includes('.')) {
+    const cents = parseFloat(value)
+    if (Number.isFinite(cents)) return cents
+  } else {
+    const [numerator, denominator = '1'] = value.split('/')
+    const ratio = parseInt(numerator, 10) / parseInt(denominator, 10)
+    if (ratio > 0 && Number.isFinite(ratio)) return 1200 * Math.log2(ratio)
+  }
+  throw new Error(`Invalid Scala file: bad pitch "${line}"`)
+}
@@ -1,7 +1,7 @@
 /**
  * Window function generators for signal processing
  */
-import { factorial, evaluateHermitePolynomial } from './mathHelpers.js'
+import { factorial, evaluateHermitePolynomial, besselI0 } from './mathHelpers.js'
 
 export function createHermiteFunctions (N, M = 6, tm = 6.0) {
   const h = new Float32Array(M * N)
@@ -32,3 +32,125 @@ export function createHermiteFunctions (N, M = 6, tm = 6.0) {
 
   return { h, Dh, Th }
 }
+
+/**
+ * Names of the windows that `getWindow` can generate.
+ * @type {string[]}
+ */
+export const WINDOW_TYPES = ['hann', 'hamming', 'blackmanHarris', 'kaiser', 'gaussian', 'flatTop']
+
+/**
+ * Creates a periodic analysis window (the `fftbins=True` convention used by
+ * scipy and librosa), so that overlapping frames sum to a constant.
+ * @param {string|Float32Array} window - Window name (see `WINDOW_TYPES`) or precomputed samples.
+ * @param {number} N - The window length in samples.
+ * @param {Object} [options] - Shape parameters.
+ * @param {number} [options.beta=8.6] - Kaiser shape parameter.
+ * @param {number} [options.sigma=0.4] - Gaussian standard deviation relative to half the window length.
+ * @returns {Float32Array} The window samples.
+ */
+export function getWindow (window, N, { beta = 8.6, sigma = 0.4 } = {}) {
+  if (typeof window !== 'string') {
+    if (window.length !== N) {
+      throw new Error(`Window length ${window.length} does not match winLength ${N}`)
+    }
+    return Float32Array.from(window)
+  }
+
+  const w = new Float32Array(N)
+  switch (window) {
+    case 'hann':
+      return fillCosineSum(w, [0.5, 0.5])
+    case 'hamming':
+      return fillCosineSum(w, [0.54, 0.46])
+    case 'blackmanHarris':
+      return fillCosineSum(w, [0.35875, 0.48829, 0.14128, 0.01168])
+    case 'flatTop':
+      return fillCosineSum(w, [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368])
+    case 'kaiser': {
+      const norm = besselI0(beta)
+      for (let i = 0; i < N; i++) {
+        const x = 2 * i / N - 1
+        w[i] = besselI0(beta * Math.sqrt(1 - x * x)) / norm
+      }
+      return w
+    }
+    case 'gaussian': {
+      const halfWidth = N / 2
+      for (let i = 0; i < N; i++) {
+        const x = (i - halfWidth) / (sigma * halfWidth)
+        w[i] = Math.exp(-0.5 * x * x)
+      }
+      return w
+    }
+    default:
+      throw new Error(`Unknown window type: ${window}`)
+  }
+}
+
+/**
+ * Fills a periodic generalized cosine window
+ * `w[n] = a0 - a1 cos(2 pi n / N) + a2 cos(4 pi n / N) - ...`.
+ * @param {Float32Array} w - The window to fill.
+ * @param {number[]} coefficients - The cosine coefficients a0, a1, ...
+ * @returns {Float32Array} The filled window.
+ */
+function fillCosineSum (w, coefficients) {
+  const N = w.length
+  for (let i = 0; i < N; i++) {
+    let value = 0
+    for (let k = 0; k < coefficients.length; k++) {
+      const sign = k % 2 ? -1 : 1
+      value += sign * coefficients[k] * Math.cos(2 * Math.PI * k * i / N)
+    }
+    w[i] = value
+  }
+  return w
+}
+
+/**
+ * Zero-pads a window on both sides so it is centered in a frame of the given size.
+ * @param {Float32Array} window - The window samples.
+ * @param {number} size - The target frame length.
+ * @returns {Float32Array} The centered window.
+ */
+export function padCenter (window, size) {
+  if (window.length > size) {
+    throw new Error(`Window length ${window.length} exceeds frame size ${size}`)
+  }
+  const padded = new Float32Array(size)
+  padded.set(window, Math.floor((size - window.length) / 2))
+  return padded
+}
+
+/**
+ * Computes the derivative of a periodically repeating window with a central
+ * difference that wraps around the edges.
+ * @param {Float32Array} window - The window samples.
+ * @returns {Float32Array} The window derivative per sample.
+ */
+export function cyclicGradient (window) {
+  const N = window.length
+  const dw = new Float32Array(N)
+  for (let i = 0; i < N; i++) {
+    dw[i] = (window[(i + 1) % N] - window[(i - 1 + N) % N]) / 2
+  }
+  return dw
+}
+
+/**
+ * Multiplies a window by its sample offset from the frame center.
+ * @param {Float32Array} window - The window samples.
+ * @returns {Float32Array} The time-weighted window.
+ */
+export function timeWeightedWindow (window) {
+  const N = window.length
+  const halfWidth = Math.floor(N / 2)
+  // Odd lengths are centered on a sample, even lengths between two samples
+  const firstTime = N % 2 ? -halfWidth : 0.5 - halfWidth
+  const tw = new Float32Array(N)
+  for (let i = 0; i < N; i++) {
+    tw[i] = window[i] * (firstTime + i)
+  }
+  return tw
+}
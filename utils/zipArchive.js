@@ -0,0 +1,141 @@
+/**
+ * Minimal ZIP archives: writing without compression, reading stored and
+ * deflated entries
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50
+const UTF8_NAMES_FLAG = 0x0800
+
+let crcTable = null
+
+/**
+ * Returns the CRC-32 of bytes, as used by ZIP and PNG.
+ * @param {Uint8Array} bytes - The data.
+ * @returns {number} The checksum as an unsigned 32-bit number.
+ */
+export function crc32 (bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+      crcTable[n] = c >>> 0
+    }
+  }
+  let crc = 0xFFFFFFFF
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+/**
+ * Creates a ZIP archive with the entries stored uncompressed; audio files
+ * hardly compress, and JSON is small.
+ * @param {{name: string, data: Uint8Array}[]} entries - The files.
+ * @param {Date} [date] - The modification time of the entries.
+ * @returns {Uint8Array} The archive.
+ */
+export function createZip (entries, date = new Date()) {
+  const encoder = new TextEncoder()
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+
+  const files = entries.map(entry => ({ name: encoder.encode(entry.name), data: entry.data, crc: crc32(entry.data) }))
+  const localSize = files.reduce((sum, file) => sum + 30 + file.name.length + file.data.length, 0)
+  const centralSize = files.reduce((sum, file) => sum + 46 + file.name.length, 0)
+  const bytes = new Uint8Array(localSize + centralSize + 22)
+  const view = new DataView(bytes.buffer)
+
+  // Fields shared by the local and the central header, from "version needed" on
+  const writeCommon = (offset, file) => {
+    view.setUint16(offset, 20, true)
+    view.setUint16(offset + 2, UTF8_NAMES_FLAG, true)
+    view.setUint16(offset + 4, 0, true) // stored
+    view.setUint16(offset + 6, time, true)
+    view.setUint16(offset + 8, day, true)
+    view.setUint32(offset + 10, file.crc, true)
+    view.setUint32(offset + 14, file.data.length, true)
+    view.setUint32(offset + 18, file.data.length, true)
+    view.setUint16(offset + 22, file.name.length, true)
+  }
+
+  let offset = 0
+  for (const file of files) {
+    file.offset = offset
+    view.setUint32(offset, LOCAL_HEADER_SIGNATURE, true)
+    writeCommon(offset + 4, file)
+    bytes.set(file.name, offset + 30)
+    bytes.set(file.data, offset + 30 + file.name.length)
+    offset += 30 + file.name.length + file.data.length
+  }
+
+  for (const file of files) {
+    view.setUint32(offset, CENTRAL_HEADER_SIGNATURE, true)
+    view.setUint16(offset + 4, 20, true)
+    writeCommon(offset + 6, file)
+    view.setUint32(offset + 42, file.offset, true)
+    bytes.set(file.name, offset + 46)
+    offset += 46 + file.name.length
+  }
+
+  view.setUint32(offset, END_OF_DIRECTORY_SIGNATURE, true)
+  view.setUint16(offset + 8, files.length, true)
+  view.setUint16(offset + 10, files.length, true)
+  view.setUint32(offset + 12, centralSize, true)
+  view.setUint32(offset + 16, localSize, true)
+  return bytes
+}
+
+/**
+ * Returns whether bytes start like a ZIP archive.
+ * @param {Uint8Array} bytes - The data.
+ * @returns {boolean} Whether it has the local header signature.
+ */
+export function isZip (bytes) {
+  return bytes.length >= 4 && new DataView(bytes.buffer, bytes.byteOffset).getUint32(0, true) === LOCAL_HEADER_SIGNATURE
+}
+
+/**
+ * Reads the files of a ZIP archive. Stored entries are returned as they
+ * are, deflated ones are inflated with `DecompressionStream`.
+ * @param {Uint8Array} bytes - The archive.
+ * @returns {Promise<Map<string, Uint8Array>>} The file contents by name.
+ */
+export async function readZip (bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+  let end = bytes.length - 22
+  while (end >= 0 && view.getUint32(end, true) !== END_OF_DIRECTORY_SIGNATURE) end--
+  if (end < 0) throw new Error('Invalid zip file: end of central directory not found')
+
+  const decoder = new TextDecoder()
+  const count = view.getUint16(end + 10, true)
+  let offset = view.getUint32(end + 16, true)
+  const files = new Map()
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) throw new Error('Invalid zip file: broken central directory')
+    const method = view.getUint16(offset + 10, true)
+    const compressedSize = view.getUint32(offset + 20, true)
+    const nameLength = view.getUint16(offset + 28, true)
+    const extraLength = view.getUint16(offset + 30, true)
+    const commentLength = view.getUint16(offset + 32, true)
+    const localOffset = view.getUint32(offset + 42, true)
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+    offset += 46 + nameLength + extraLength + commentLength
+
+    // The local header may carry a different extra field
+    const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true)
+    const data = bytes.subarray(dataOffset, dataOffset + compressedSize)
+    if (method === 0) {
+      files.set(name, data)
+    } else if (method === 8) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+      files.set(name, new Uint8Array(await new Response(stream).arrayBuffer()))
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`)
+    }
+  }
+  return files
+}